@@ -1,5 +1,10 @@
 import React, { useState, useEffect } from 'react';
-import axios from 'axios';
+import api from './api';
+import RecordingPlayer from './components/RecordingPlayer';
+import PolicyConfirmations from './components/PolicyConfirmations';
+import WebTerminal from './components/WebTerminal';
+import ProcessPanel from './components/ProcessPanel';
+import HeartbeatTimeline from './components/HeartbeatTimeline';
 import './App.css';
 
 function App() {
@@ -9,8 +14,7 @@ function App() {
     useEffect(() => {
         const fetchStatus = async () => {
             try {
-                // The backend status server is running on port 4000
-                const response = await axios.get('http://localhost:4000/status');
+                const response = await api.get('/status');
                 setStatus(response.data);
                 setError(null);
             } catch (err) {
@@ -25,9 +29,15 @@ function App() {
         return () => clearInterval(intervalId);
     }, []);
 
+    // Callback types that still hold events the server has not acknowledged
+    const pendingCallbacks = Object.entries(status.pendingCallbacks || {})
+        .map(([type, value]) => [type, Array.isArray(value) ? value.length : (value ? 1 : 0)])
+        .filter(([, count]) => count > 0);
+
     const getStatusColor = () => {
         if (status.status === 'Success') return '#28a745'; // Green
         if (status.status === 'Failed') return '#dc3545'; // Red
+        if (status.status === 'Rejected') return '#fd7e14'; // Orange
         return '#6c757d'; // Gray
     };
 
@@ -37,13 +47,30 @@ function App() {
                 <h1>AgentplusCli Status</h1>
                 <p>This page shows the status of the background heartbeat process.</p>
             </header>
+            {status.connectivity && status.connectivity.offlineSince && (
+                <div className="offline-banner">
+                    <strong>Offline</strong> since {new Date(status.connectivity.offlineSince).toLocaleString()}
+                    {' · '}{status.connectivity.consecutiveFailures} failed attempts
+                    {status.connectivity.nextRetryAt && ` · next retry ${new Date(status.connectivity.nextRetryAt).toLocaleTimeString()}`}
+                    {' · '}{status.connectivity.undeliveredEvents} undelivered events
+                </div>
+            )}
+            <PolicyConfirmations />
+
             <div className="status-card">
                 <h2>Heartbeat Status</h2>
                 <div className="status-indicator">
                     <span className="status-light" style={{ backgroundColor: getStatusColor() }}></span>
                     <p><strong>Status:</strong> {status.status || 'Loading...'}</p>
                 </div>
+                <p><strong>Transport:</strong> {status.websocketConnected ? 'WebSocket' : 'HTTP'}</p>
                 <p><strong>Last Sent:</strong> {status.lastSent ? new Date(status.lastSent).toLocaleString() : 'N/A'}</p>
+                <p>
+                    <strong>Pending Callbacks:</strong>{' '}
+                    {pendingCallbacks.length === 0
+                        ? 'none'
+                        : pendingCallbacks.map(([type, count]) => `${type} (${count})`).join(', ')}
+                </p>
                 
                 <h3>Last Response:</h3>
                 <pre className="response-box">
@@ -52,6 +79,14 @@ function App() {
 
                 {error && <p className="error-message">{error}</p>}
             </div>
+
+            <HeartbeatTimeline />
+
+            <ProcessPanel processes={status.processes} />
+
+            <WebTerminal processes={status.processes} />
+
+            <RecordingPlayer />
         </div>
     );
 }
@@ -0,0 +1,131 @@
+// Minimal ANSI renderer for the output pane: turns terminal output into styled
+// segments. Only SGR (colour/bold/underline) sequences are interpreted; cursor
+// movement and other control sequences are dropped.
+
+const PALETTE = [
+    '#000000', '#cd3131', '#0dbc79', '#e5e510', '#2472c8', '#bc3fbc', '#11a8cd', '#e5e5e5',
+    '#666666', '#f14c4c', '#23d18b', '#f5f543', '#3b8eea', '#d670d6', '#29b8db', '#ffffff'
+];
+
+// Colour for an index of the xterm 256-colour palette
+function color256(n) {
+    if (n < 16) return PALETTE[n];
+    if (n < 232) {
+        const steps = [0, 95, 135, 175, 215, 255];
+        const i = n - 16;
+        return `rgb(${steps[Math.floor(i / 36)]}, ${steps[Math.floor(i / 6) % 6]}, ${steps[i % 6]})`;
+    }
+    const level = 8 + (n - 232) * 10;
+    return `rgb(${level}, ${level}, ${level})`;
+}
+
+// Apply the parameters of one SGR sequence to the current style
+function applySgr(style, params) {
+    const codes = params.length === 0 ? [0] : params;
+    for (let i = 0; i < codes.length; i++) {
+        const code = codes[i];
+        if (code === 0) {
+            style = {};
+        } else if (code === 1) {
+            style = { ...style, bold: true };
+        } else if (code === 2) {
+            style = { ...style, dim: true };
+        } else if (code === 3) {
+            style = { ...style, italic: true };
+        } else if (code === 4) {
+            style = { ...style, underline: true };
+        } else if (code === 7) {
+            style = { ...style, inverse: true };
+        } else if (code === 22) {
+            style = { ...style, bold: false, dim: false };
+        } else if (code === 23) {
+            style = { ...style, italic: false };
+        } else if (code === 24) {
+            style = { ...style, underline: false };
+        } else if (code === 27) {
+            style = { ...style, inverse: false };
+        } else if (code >= 30 && code <= 37) {
+            style = { ...style, fg: PALETTE[code - 30] };
+        } else if (code >= 90 && code <= 97) {
+            style = { ...style, fg: PALETTE[code - 90 + 8] };
+        } else if (code >= 40 && code <= 47) {
+            style = { ...style, bg: PALETTE[code - 40] };
+        } else if (code >= 100 && code <= 107) {
+            style = { ...style, bg: PALETTE[code - 100 + 8] };
+        } else if (code === 39) {
+            style = { ...style, fg: undefined };
+        } else if (code === 49) {
+            style = { ...style, bg: undefined };
+        } else if (code === 38 || code === 48) {
+            // 38;5;n / 38;2;r;g;b (and the same for backgrounds)
+            const key = code === 38 ? 'fg' : 'bg';
+            if (codes[i + 1] === 5) {
+                style = { ...style, [key]: color256(codes[i + 2] || 0) };
+                i += 2;
+            } else if (codes[i + 1] === 2) {
+                style = { ...style, [key]: `rgb(${codes[i + 2] || 0}, ${codes[i + 3] || 0}, ${codes[i + 4] || 0})` };
+                i += 4;
+            }
+        }
+    }
+    return style;
+}
+
+// Collapse carriage returns the way a terminal would show the final line
+function applyCarriageReturns(text) {
+    return text
+        .replace(/\r+\n/g, '\n')
+        .split('\n')
+        .map((line) => {
+            const index = line.lastIndexOf('\r');
+            return index === -1 ? line : line.substring(index + 1);
+        })
+        .join('\n');
+}
+
+const ESCAPE = /\x1b(?:\[([0-9;?]*)([@-~])|\][^\x07\x1b]*(?:\x07|\x1b\\)|[@-Z\\-_])/g;
+
+// Control characters other than tab and newline
+const CONTROL = /[\x00-\x08\x0b-\x1f\x7f]/g;
+
+// Parse output into [{ text, style }] segments
+export function parseAnsi(input) {
+    const text = applyCarriageReturns(input);
+    const segments = [];
+    const push = (end) => {
+        const chunk = text.substring(last, end).replace(CONTROL, '');
+        if (chunk) segments.push({ text: chunk, style });
+    };
+    let style = {};
+    let last = 0;
+    let match;
+
+    ESCAPE.lastIndex = 0;
+    while ((match = ESCAPE.exec(text)) !== null) {
+        push(match.index);
+        if (match[2] === 'm') {
+            const params = match[1] ? match[1].split(';').map((p) => parseInt(p, 10) || 0) : [];
+            style = applySgr(style, params);
+        }
+        last = ESCAPE.lastIndex;
+    }
+    push(text.length);
+    return segments;
+}
+
+// Inline CSS for a segment style
+export function styleToCss(style) {
+    const css = {};
+    let fg = style.fg;
+    let bg = style.bg;
+    if (style.inverse) {
+        [fg, bg] = [bg || '#1e1e1e', fg || '#e5e5e5'];
+    }
+    if (fg) css.color = fg;
+    if (bg) css.backgroundColor = bg;
+    if (style.bold) css.fontWeight = 'bold';
+    if (style.dim) css.opacity = 0.7;
+    if (style.italic) css.fontStyle = 'italic';
+    if (style.underline) css.textDecoration = 'underline';
+    return css;
+}
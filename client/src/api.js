@@ -0,0 +1,45 @@
+import axios from 'axios';
+
+// The backend status server is running on port 4000 and only listens on the loopback address
+export const API_BASE = 'http://127.0.0.1:4000';
+
+const api = axios.create({ baseURL: API_BASE });
+
+let tokenPromise = null;
+
+// The backend generates a new session token on every start; the Vite dev
+// server hands it to this page from the token file.
+export function getApiToken() {
+    if (!tokenPromise) {
+        tokenPromise = axios.get('/api-token')
+            .then((response) => response.data.token)
+            .catch((err) => {
+                tokenPromise = null;
+                throw err;
+            });
+    }
+    return tokenPromise;
+}
+
+// Forget the cached token, e.g. after the backend restarted
+export function clearApiToken() {
+    tokenPromise = null;
+}
+
+api.interceptors.request.use(async (config) => {
+    config.headers.Authorization = `Bearer ${await getApiToken()}`;
+    return config;
+});
+
+// A 401 usually means the backend restarted with a new token: fetch it again and retry once
+api.interceptors.response.use(null, async (error) => {
+    const { config, response } = error;
+    if (response && response.status === 401 && config && !config.retriedWithNewToken) {
+        clearApiToken();
+        config.retriedWithNewToken = true;
+        return api(config);
+    }
+    throw error;
+});
+
+export default api;
@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import api from '../api';
+
+const WIDTH = 740;
+const HEIGHT = 140;
+const PADDING = { top: 10, right: 10, bottom: 20, left: 45 };
+const OUTCOME_COLORS = {
+    success: '#28a745',
+    failed: '#dc3545',
+    rejected: '#fd7e14'
+};
+
+function formatMs(value) {
+    return value === null || value === undefined ? 'n/a' : `${value} ms`;
+}
+
+function formatBytes(value) {
+    if (value === null || value === undefined) return 'n/a';
+    if (value < 1024) return `${value} B`;
+    return `${(value / 1024).toFixed(1)} KB`;
+}
+
+// Timeline of recent heartbeat attempts: one bar per attempt, its height is the
+// latency and its colour the outcome; offline periods are shaded.
+function HeartbeatTimeline() {
+    const [history, setHistory] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const fetchHistory = async () => {
+            try {
+                const response = await api.get('/heartbeats');
+                setHistory(response.data);
+                setError(null);
+            } catch (err) {
+                setError('Could not load heartbeat history.');
+                console.error(err);
+            }
+        };
+
+        const intervalId = setInterval(fetchHistory, 5000);
+        fetchHistory();
+        return () => clearInterval(intervalId);
+    }, []);
+
+    if (!history) {
+        return null;
+    }
+
+    const { heartbeats, summary } = history;
+    const now = Date.now();
+    const start = heartbeats.length > 0 ? Date.parse(heartbeats[0].time) : now;
+    const span = Math.max(now - start, 1000);
+    const maxLatency = Math.max(1, ...heartbeats.map((entry) => entry.duration_ms || 0));
+
+    const plotWidth = WIDTH - PADDING.left - PADDING.right;
+    const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+    const x = (time) => PADDING.left + ((Date.parse(time) - start) / span) * plotWidth;
+    const y = (ms) => PADDING.top + plotHeight - (ms / maxLatency) * plotHeight;
+    const barWidth = Math.max(2, Math.min(8, plotWidth / Math.max(heartbeats.length, 1) - 1));
+
+    return (
+        <div className="status-card heartbeat-timeline">
+            <h2>Heartbeat History</h2>
+            <p>
+                <strong>Success rate:</strong>{' '}
+                {summary.success_rate === null ? 'n/a' : `${(summary.success_rate * 100).toFixed(1)}%`}
+                {` (${summary.succeeded}/${summary.attempts}, ${summary.failed} failed, ${summary.rejected} rejected)`}
+            </p>
+            <p>
+                <strong>Latency:</strong> p50 {formatMs(summary.latency_ms.p50)} · p90 {formatMs(summary.latency_ms.p90)}
+                {' · '}p99 {formatMs(summary.latency_ms.p99)} · max {formatMs(summary.latency_ms.max)}
+            </p>
+            <svg className="timeline-chart" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} width="100%">
+                {summary.offline.map((period) => (
+                    <rect
+                        key={period.start}
+                        className="timeline-offline"
+                        x={x(period.start)}
+                        y={PADDING.top}
+                        width={Math.max(2, x(period.end || new Date(now).toISOString()) - x(period.start))}
+                        height={plotHeight}
+                    >
+                        <title>
+                            Offline from {new Date(period.start).toLocaleString()}
+                            {period.end ? ` to ${new Date(period.end).toLocaleString()}` : ' (still offline)'}
+                            {` · ${period.failures} failed attempts`}
+                        </title>
+                    </rect>
+                ))}
+                <line
+                    x1={PADDING.left}
+                    y1={PADDING.top + plotHeight}
+                    x2={WIDTH - PADDING.right}
+                    y2={PADDING.top + plotHeight}
+                    stroke="#adb5bd"
+                />
+                <text x={PADDING.left - 5} y={PADDING.top + 4} className="timeline-label" textAnchor="end">{maxLatency} ms</text>
+                <text x={PADDING.left - 5} y={PADDING.top + plotHeight} className="timeline-label" textAnchor="end">0</text>
+                <text x={PADDING.left} y={HEIGHT - 4} className="timeline-label">{new Date(start).toLocaleTimeString()}</text>
+                <text x={WIDTH - PADDING.right} y={HEIGHT - 4} className="timeline-label" textAnchor="end">now</text>
+                {heartbeats.map((entry, index) => {
+                    // Failed attempts without a latency still get a short marker
+                    const top = entry.duration_ms ? y(entry.duration_ms) : PADDING.top + plotHeight - 6;
+                    return (
+                        <rect
+                            key={index}
+                            x={x(entry.time) - barWidth / 2}
+                            y={Math.min(top, PADDING.top + plotHeight - 2)}
+                            width={barWidth}
+                            height={Math.max(2, PADDING.top + plotHeight - top)}
+                            fill={OUTCOME_COLORS[entry.outcome]}
+                        >
+                            <title>
+                                {new Date(entry.time).toLocaleString()} · {entry.transport} · {entry.outcome}
+                                {` · ${formatMs(entry.duration_ms)} · ${formatBytes(entry.payload_bytes)}`}
+                                {entry.http_status ? ` · HTTP ${entry.http_status}` : ''}
+                                {` · ${entry.tasks_received} tasks`}
+                                {entry.error ? ` · ${entry.error}` : ''}
+                            </title>
+                        </rect>
+                    );
+                })}
+            </svg>
+            <p className="timeline-legend">
+                <span style={{ color: OUTCOME_COLORS.success }}>■</span> success{' '}
+                <span style={{ color: OUTCOME_COLORS.failed }}>■</span> failed{' '}
+                <span style={{ color: OUTCOME_COLORS.rejected }}>■</span> rejected{' '}
+                <span className="timeline-offline-swatch">■</span> offline
+                {` · last ${heartbeats.length} of at most ${history.capacity} attempts`}
+            </p>
+            {error && <p className="error-message">{error}</p>}
+        </div>
+    );
+}
+
+export default HeartbeatTimeline;
@@ -0,0 +1,55 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../api';
+
+// Commands held by a "confirm" policy rule until a local operator approves or rejects them
+function PolicyConfirmations() {
+    const [confirmations, setConfirmations] = useState([]);
+    const [error, setError] = useState(null);
+
+    const fetchConfirmations = useCallback(async () => {
+        try {
+            const response = await api.get('/policy/confirmations');
+            setConfirmations(response.data.confirmations);
+            setError(null);
+        } catch (err) {
+            setError('Could not load pending confirmations.');
+            console.error(err);
+        }
+    }, []);
+
+    useEffect(() => {
+        const intervalId = setInterval(fetchConfirmations, 2000);
+        fetchConfirmations();
+        return () => clearInterval(intervalId);
+    }, [fetchConfirmations]);
+
+    const resolve = async (id, decision) => {
+        try {
+            await api.post(`/policy/confirmations/${encodeURIComponent(id)}/${decision}`);
+        } catch (err) {
+            setError(err.response?.data?.error || `Could not ${decision} command.`);
+        }
+        fetchConfirmations();
+    };
+
+    if (confirmations.length === 0 && !error) {
+        return null;
+    }
+
+    return (
+        <div className="status-card confirmations">
+            <h2>Commands Awaiting Confirmation</h2>
+            {confirmations.map((confirmation) => (
+                <div key={confirmation.id} className="confirmation">
+                    <p><strong>PID {confirmation.PID}</strong> · rule <code>{confirmation.rule}</code> · {new Date(confirmation.requested_at).toLocaleString()}</p>
+                    <pre className="response-box">{confirmation.command}</pre>
+                    <button onClick={() => resolve(confirmation.id, 'approve')}>Approve</button>
+                    <button onClick={() => resolve(confirmation.id, 'reject')}>Reject</button>
+                </div>
+            ))}
+            {error && <p className="error-message">{error}</p>}
+        </div>
+    );
+}
+
+export default PolicyConfirmations;
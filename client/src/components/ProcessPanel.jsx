@@ -0,0 +1,227 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import api from '../api';
+import { parseAnsi, styleToCss } from '../ansi';
+
+// The output pane keeps at most this many characters
+const OUTPUT_LIMIT = 200000;
+// Auto-scroll only while the pane is scrolled to (near) the bottom
+const SCROLL_SLACK = 30;
+
+function formatResources(resources) {
+    if (!resources) return 'n/a';
+    const cpu = resources.cpu_percent === null ? 'n/a' : `${resources.cpu_percent}%`;
+    const memory = `${(resources.rss_bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${cpu} · ${memory} · ${resources.children} children`;
+}
+
+function formatAge(time) {
+    if (!time) return 'never';
+    const seconds = Math.max(0, Math.round((Date.now() - new Date(time).getTime()) / 1000));
+    if (seconds < 60) return `${seconds}s ago`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    return new Date(time).toLocaleTimeString();
+}
+
+// Output of one process, polled incrementally from /process/:pid/output.
+// The agent serves it from a local scrollback, so output the server already acked is still shown.
+function OutputPane({ pid }) {
+    const [output, setOutput] = useState('');
+    const [error, setError] = useState(null);
+    const paneRef = useRef(null);
+    const followRef = useRef(true);
+
+    useEffect(() => {
+        let cancelled = false;
+        let offset = null;
+
+        const poll = async () => {
+            try {
+                const response = await api.get(`/process/${pid}/output`, {
+                    params: offset === null ? {} : { from: offset }
+                });
+                if (cancelled) return;
+                const { output: chunk, end } = response.data;
+                offset = end;
+                if (chunk) {
+                    setOutput((previous) => (previous + chunk).slice(-OUTPUT_LIMIT));
+                }
+                setError(null);
+            } catch (err) {
+                if (!cancelled) setError(err.response?.status === 404 ? 'No output for this process.' : 'Could not load output.');
+            }
+        };
+
+        setOutput('');
+        followRef.current = true;
+        poll();
+        const intervalId = setInterval(poll, 1000);
+        return () => {
+            cancelled = true;
+            clearInterval(intervalId);
+        };
+    }, [pid]);
+
+    const segments = useMemo(() => parseAnsi(output), [output]);
+
+    useEffect(() => {
+        const pane = paneRef.current;
+        if (pane && followRef.current) {
+            pane.scrollTop = pane.scrollHeight;
+        }
+    }, [segments]);
+
+    const onScroll = () => {
+        const pane = paneRef.current;
+        followRef.current = pane.scrollHeight - pane.scrollTop - pane.clientHeight < SCROLL_SLACK;
+    };
+
+    return (
+        <>
+            <pre className="output-pane" ref={paneRef} onScroll={onScroll}>
+                {segments.map((segment, index) => (
+                    <span key={index} style={styleToCss(segment.style)}>{segment.text}</span>
+                ))}
+            </pre>
+            {error && <p className="error-message">{error}</p>}
+        </>
+    );
+}
+
+function ProcessPanel({ processes = [] }) {
+    const [selected, setSelected] = useState(null);
+    const [command, setCommand] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [message, setMessage] = useState(null);
+    const [error, setError] = useState(null);
+
+    const pids = processes.map((proc) => proc.PID);
+    const pid = pids.includes(selected) ? selected : null;
+
+    const run = async (action, request) => {
+        setBusy(true);
+        setError(null);
+        setMessage(null);
+        try {
+            const response = await request();
+            if (response.data.success === false) {
+                setError(`${action} failed.`);
+            }
+            return response.data;
+        } catch (err) {
+            setError(err.response?.data?.error || `${action} failed.`);
+            return null;
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const create = async () => {
+        const data = await run('Create process', () => api.post('/process/create', {}));
+        if (data && data.pid) {
+            setSelected(String(data.pid));
+            setMessage(`Created process ${data.pid}.`);
+        }
+    };
+
+    const kill = async (killPid) => {
+        if (!window.confirm(`Kill process ${killPid}?`)) return;
+        const data = await run('Kill process', () => api.post(`/process/${killPid}/kill`));
+        if (data && data.success) setMessage(`Killed process ${killPid}.`);
+    };
+
+    const execute = async (e) => {
+        e.preventDefault();
+        if (!pid || !command.trim()) return;
+        const data = await run('Execute command', () => api.post(`/process/${pid}/execute`, { command }));
+        if (data && data.success) {
+            setMessage(`Queued command ${data.command_id}.`);
+            setCommand('');
+        }
+    };
+
+    return (
+        <div className="status-card process-panel">
+            <h2>Processes</h2>
+            <div className="player-controls">
+                <button onClick={create} disabled={busy}>New process</button>
+                {message && <span className="process-message">{message}</span>}
+            </div>
+            {processes.length === 0 ? (
+                <p>No managed processes.</p>
+            ) : (
+                <table className="process-table">
+                    <thead>
+                        <tr>
+                            <th>PID</th>
+                            <th>Shell</th>
+                            <th>Working directory</th>
+                            <th>Status</th>
+                            <th>Last output</th>
+                            <th>Queue</th>
+                            <th>Resources</th>
+                            <th>Redactions</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {processes.map((proc) => (
+                            <tr
+                                key={proc.PID}
+                                className={proc.PID === pid ? 'selected' : ''}
+                                onClick={() => setSelected(proc.PID)}
+                            >
+                                <td>{proc.PID}{proc.label ? ` · ${proc.label}` : ''}</td>
+                                <td><code>{proc.shell || proc.command}</code></td>
+                                <td><code>{proc.cwd}</code></td>
+                                <td>
+                                    <span className={`process-status process-${proc.status}`}>{proc.status.replace(/_/g, ' ')}</span>
+                                    {proc.foreground && (
+                                        <code className="process-foreground" title={proc.foreground.argv.join(' ')}>
+                                            {proc.foreground.name} ({proc.foreground.pid})
+                                        </code>
+                                    )}
+                                </td>
+                                <td>{formatAge(proc.lastOutputTime)}</td>
+                                <td>{(proc.currentCommand ? 1 : 0) + proc.queuedCommands}</td>
+                                <td title={proc.resources ? `${proc.resources.open_files} open files · ${proc.resources.cpu_time_ms} ms CPU time` : ''}>
+                                    {formatResources(proc.resources)}
+                                </td>
+                                <td title={proc.redactions ? Object.entries(proc.redactions.by_type).map(([type, count]) => `${type}: ${count}`).join('\n') : ''}>
+                                    {proc.redactions ? proc.redactions.total : 0}
+                                </td>
+                                <td>
+                                    <button
+                                        disabled={busy}
+                                        onClick={(e) => {
+                                            e.stopPropagation();
+                                            kill(proc.PID);
+                                        }}
+                                    >
+                                        Kill
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+            {pid && (
+                <>
+                    <form className="player-controls command-form" onSubmit={execute}>
+                        <input
+                            type="text"
+                            value={command}
+                            placeholder={`Command for process ${pid}`}
+                            onChange={(e) => setCommand(e.target.value)}
+                        />
+                        <button type="submit" disabled={busy || !command.trim()}>Execute</button>
+                    </form>
+                    <OutputPane key={pid} pid={pid} />
+                </>
+            )}
+            {error && <p className="error-message">{error}</p>}
+        </div>
+    );
+}
+
+export default ProcessPanel;
@@ -0,0 +1,193 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Terminal } from '@xterm/xterm';
+import '@xterm/xterm/css/xterm.css';
+import api from '../api';
+
+const SPEEDS = [0.5, 1, 2, 4, 8];
+// Long pauses in a recording are shortened to this many seconds during replay
+const MAX_IDLE_SECONDS = 2;
+
+// Parse an asciicast v2 file into its header and event list
+function parseCast(text) {
+    const lines = text.split('\n').filter((line) => line.trim().length > 0);
+    const header = JSON.parse(lines[0]);
+    const events = lines.slice(1).map((line) => JSON.parse(line));
+    return { header, events };
+}
+
+function formatTime(seconds) {
+    const total = Math.floor(seconds);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function RecordingPlayer() {
+    const [recordings, setRecordings] = useState([]);
+    const [selected, setSelected] = useState('');
+    const [cast, setCast] = useState(null);
+    const [playing, setPlaying] = useState(false);
+    const [speed, setSpeed] = useState(1);
+    const [position, setPosition] = useState(0);
+    const [error, setError] = useState(null);
+
+    const containerRef = useRef(null);
+    const termRef = useRef(null);
+    const timerRef = useRef(null);
+    const indexRef = useRef(0);
+    const speedRef = useRef(speed);
+
+    const fetchRecordings = useCallback(async () => {
+        try {
+            const response = await api.get('/recordings');
+            setRecordings(response.data.recordings);
+            setError(null);
+        } catch (err) {
+            setError('Could not load recordings.');
+            console.error(err);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchRecordings();
+    }, [fetchRecordings]);
+
+    useEffect(() => {
+        const term = new Terminal({ convertEol: false, disableStdin: true, fontSize: 13 });
+        term.open(containerRef.current);
+        termRef.current = term;
+        return () => {
+            clearTimeout(timerRef.current);
+            term.dispose();
+        };
+    }, []);
+
+    useEffect(() => {
+        speedRef.current = speed;
+    }, [speed]);
+
+    const stop = () => {
+        clearTimeout(timerRef.current);
+        setPlaying(false);
+    };
+
+    const reset = (header) => {
+        stop();
+        indexRef.current = 0;
+        setPosition(0);
+        termRef.current.reset();
+        if (header) {
+            termRef.current.resize(header.width, header.height);
+        }
+    };
+
+    const load = async (name) => {
+        setSelected(name);
+        if (!name) {
+            setCast(null);
+            return;
+        }
+        try {
+            const response = await api.get(`/recordings/${encodeURIComponent(name)}`, { responseType: 'text' });
+            const parsed = parseCast(response.data);
+            setCast(parsed);
+            reset(parsed.header);
+            setError(null);
+        } catch (err) {
+            setError(`Could not load recording ${name}.`);
+            console.error(err);
+        }
+    };
+
+    // Write the next event to the terminal and schedule the one after it
+    const step = () => {
+        const { events } = cast;
+        const index = indexRef.current;
+        if (index >= events.length) {
+            setPlaying(false);
+            return;
+        }
+
+        const [time, type, data] = events[index];
+        if (type === 'o') {
+            termRef.current.write(data);
+        } else if (type === 'r') {
+            const [cols, rows] = data.split('x').map(Number);
+            termRef.current.resize(cols, rows);
+        }
+        // Input events are already echoed by the shell, so they are not written again
+
+        indexRef.current = index + 1;
+        setPosition(time);
+
+        if (index + 1 < events.length) {
+            const gap = Math.min(events[index + 1][0] - time, MAX_IDLE_SECONDS);
+            timerRef.current = setTimeout(step, (gap * 1000) / speedRef.current);
+        } else {
+            setPlaying(false);
+        }
+    };
+
+    const play = () => {
+        if (!cast || cast.events.length === 0) return;
+        if (indexRef.current >= cast.events.length) {
+            reset(cast.header);
+        }
+        setPlaying(true);
+        step();
+    };
+
+    // Fetched through the API client so the request carries the session token
+    const download = async () => {
+        try {
+            const response = await api.get(`/recordings/${encodeURIComponent(selected)}`, { responseType: 'blob' });
+            const url = URL.createObjectURL(response.data);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = selected;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            setError(`Could not download recording ${selected}.`);
+            console.error(err);
+        }
+    };
+
+    const duration = cast && cast.events.length > 0 ? cast.events[cast.events.length - 1][0] : 0;
+
+    return (
+        <div className="status-card recording-player">
+            <h2>Session Recordings</h2>
+            <div className="player-controls">
+                <select value={selected} onChange={(e) => load(e.target.value)}>
+                    <option value="">Select a recording...</option>
+                    {recordings.map((recording) => (
+                        <option key={recording.name} value={recording.name}>
+                            PID {recording.pid} · {new Date(recording.created).toLocaleString()}
+                            {recording.part > 0 ? ` · part ${recording.part + 1}` : ''}
+                        </option>
+                    ))}
+                </select>
+                <button onClick={fetchRecordings}>Refresh</button>
+                <button onClick={playing ? stop : play} disabled={!cast}>
+                    {playing ? 'Pause' : 'Play'}
+                </button>
+                <button onClick={() => cast && reset(cast.header)} disabled={!cast}>Restart</button>
+                <label>
+                    Speed{' '}
+                    <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))}>
+                        {SPEEDS.map((value) => (
+                            <option key={value} value={value}>{value}x</option>
+                        ))}
+                    </select>
+                </label>
+                {selected && <button onClick={download}>Download</button>}
+            </div>
+            {cast && (
+                <p className="player-progress">{formatTime(position)} / {formatTime(duration)}</p>
+            )}
+            <div className="player-terminal" ref={containerRef}></div>
+            {error && <p className="error-message">{error}</p>}
+        </div>
+    );
+}
+
+export default RecordingPlayer;
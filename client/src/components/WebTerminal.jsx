@@ -0,0 +1,177 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Terminal } from '@xterm/xterm';
+import { FitAddon } from '@xterm/addon-fit';
+import '@xterm/xterm/css/xterm.css';
+import { API_BASE, getApiToken, clearApiToken } from '../api';
+
+const WS_BASE = API_BASE.replace(/^http/, 'ws');
+
+// Live view of one managed process. Watching is read-only until the operator takes over.
+function TerminalView({ pid }) {
+    const [connection, setConnection] = useState('connecting');
+    const [takeOver, setTakeOver] = useState(false);
+    const [attempt, setAttempt] = useState(0);
+    const [error, setError] = useState(null);
+
+    const containerRef = useRef(null);
+    const termRef = useRef(null);
+    const fitRef = useRef(null);
+    const wsRef = useRef(null);
+    const takeOverRef = useRef(takeOver);
+
+    const send = (message) => {
+        const ws = wsRef.current;
+        if (ws && ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify(message));
+        }
+    };
+
+    useEffect(() => {
+        const term = new Terminal({ convertEol: false, disableStdin: !takeOverRef.current, fontSize: 13 });
+        const fit = new FitAddon();
+        term.loadAddon(fit);
+        term.open(containerRef.current);
+        termRef.current = term;
+        fitRef.current = fit;
+
+        const inputListener = term.onData((data) => {
+            if (takeOverRef.current) send({ type: 'input', data });
+        });
+
+        let cancelled = false;
+        setConnection('connecting');
+
+        const connect = async () => {
+            let token;
+            try {
+                token = await getApiToken();
+            } catch (err) {
+                setConnection('closed');
+                setError('Could not get the API token.');
+                return;
+            }
+            if (cancelled) return;
+
+            const ws = new WebSocket(`${WS_BASE}/process/${pid}/terminal?token=${encodeURIComponent(token)}`);
+            wsRef.current = ws;
+            let exited = false;
+
+            ws.onopen = () => {
+                setConnection('open');
+                setError(null);
+            };
+            ws.onmessage = (event) => {
+                const message = JSON.parse(event.data);
+                if (message.type === 'snapshot') {
+                    term.reset();
+                    if (takeOverRef.current) {
+                        fit.fit();
+                        send({ type: 'resize', cols: term.cols, rows: term.rows });
+                    } else {
+                        term.resize(message.cols, message.rows);
+                    }
+                    term.write(message.data);
+                } else if (message.type === 'output') {
+                    term.write(message.data);
+                } else if (message.type === 'resize') {
+                    term.resize(message.cols, message.rows);
+                } else if (message.type === 'exit') {
+                    exited = true;
+                    setConnection('exited');
+                } else if (message.type === 'error') {
+                    setError(message.error);
+                }
+            };
+            ws.onclose = () => {
+                if (cancelled || exited) return;
+                // The upgrade is rejected when the backend restarted with a new token
+                clearApiToken();
+                setConnection('closed');
+            };
+        };
+        connect();
+
+        return () => {
+            cancelled = true;
+            if (wsRef.current) {
+                wsRef.current.close();
+                wsRef.current = null;
+            }
+            inputListener.dispose();
+            term.dispose();
+        };
+    }, [pid, attempt]);
+
+    // Taking over fits the pty to this view and forwards keystrokes
+    useEffect(() => {
+        takeOverRef.current = takeOver;
+        const term = termRef.current;
+        term.options.disableStdin = !takeOver;
+        if (!takeOver) return undefined;
+
+        const fitToView = () => {
+            fitRef.current.fit();
+            send({ type: 'resize', cols: term.cols, rows: term.rows });
+        };
+        fitToView();
+        term.focus();
+        window.addEventListener('resize', fitToView);
+        return () => window.removeEventListener('resize', fitToView);
+    }, [takeOver, connection]);
+
+    return (
+        <div>
+            <div className="player-controls">
+                <span className={`terminal-connection terminal-${connection}`}>{connection}</span>
+                <label>
+                    <input
+                        type="checkbox"
+                        checked={takeOver}
+                        disabled={connection !== 'open'}
+                        onChange={(e) => setTakeOver(e.target.checked)}
+                    />
+                    {' '}Take over (send keystrokes)
+                </label>
+                {connection === 'closed' && (
+                    <button onClick={() => setAttempt((n) => n + 1)}>Reconnect</button>
+                )}
+            </div>
+            <div className={`player-terminal${takeOver ? ' terminal-active' : ''}`} ref={containerRef}></div>
+            {error && <p className="error-message">{error}</p>}
+        </div>
+    );
+}
+
+function WebTerminal({ processes = [] }) {
+    const [selected, setSelected] = useState(null);
+
+    // Fall back to the first process when the selected one is gone
+    const pids = processes.map((proc) => proc.PID);
+    const pid = pids.includes(selected) ? selected : pids[0];
+
+    return (
+        <div className="status-card web-terminal">
+            <h2>Terminals</h2>
+            {pids.length === 0 ? (
+                <p>No managed processes.</p>
+            ) : (
+                <>
+                    <div className="terminal-tabs">
+                        {processes.map((proc) => (
+                            <button
+                                key={proc.PID}
+                                className={proc.PID === pid ? 'selected' : ''}
+                                onClick={() => setSelected(proc.PID)}
+                            >
+                                PID {proc.PID}{proc.label ? ` · ${proc.label}` : ''}
+                            </button>
+                        ))}
+                    </div>
+                    <TerminalView key={pid} pid={pid} />
+                </>
+            )}
+        </div>
+    );
+}
+
+export default WebTerminal;
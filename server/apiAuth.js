@@ -0,0 +1,84 @@
+/**
+ * apiAuth.js
+ *
+ * 本地API认证 - 每次启动时生成一个会话令牌，所有本地API请求都必须携带
+ *
+ * 令牌写入 API_TOKEN_FILE（仅当前用户可读），Vite开发服务器从该文件读取后提供给同源的控制台页面。
+ * 请求通过 Authorization: Bearer <token> 头携带令牌；浏览器无法为WebSocket设置请求头，
+ * 因此WebSocket升级请求也可以使用 ?token= 查询参数。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+
+let apiToken = null;
+
+/**
+ * 生成新的会话令牌并写入令牌文件
+ *
+ * @returns {string} 令牌
+ */
+function createApiToken() {
+    apiToken = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(path.dirname(config.API_TOKEN_FILE), { recursive: true });
+    fs.writeFileSync(config.API_TOKEN_FILE, `${apiToken}\n`, { mode: 0o600 });
+    // 文件已存在时 writeFileSync 不会修改权限
+    fs.chmodSync(config.API_TOKEN_FILE, 0o600);
+    console.log(`Local API token written to ${config.API_TOKEN_FILE}`);
+    return apiToken;
+}
+
+/**
+ * 检查令牌是否正确
+ *
+ * @param {string} token - 请求携带的令牌
+ * @returns {boolean}
+ */
+function isValidToken(token) {
+    if (!apiToken || typeof token !== 'string') return false;
+    const expected = Buffer.from(apiToken);
+    const actual = Buffer.from(token);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * 从请求中取出令牌
+ *
+ * @param {Object} req - HTTP请求（Express请求或WebSocket升级请求）
+ * @param {boolean} [allowQuery] - 是否接受 ?token= 查询参数
+ * @returns {string|null}
+ */
+function tokenFromRequest(req, allowQuery = false) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+        return header.substring('Bearer '.length).trim();
+    }
+    if (allowQuery) {
+        const url = new URL(req.url, 'http://localhost');
+        return url.searchParams.get('token');
+    }
+    return null;
+}
+
+/**
+ * Express中间件：拒绝没有携带正确令牌的请求
+ *
+ * @param {Object} req - 请求
+ * @param {Object} res - 响应
+ * @param {Function} next - 下一个中间件
+ */
+function requireToken(req, res, next) {
+    if (isValidToken(tokenFromRequest(req))) {
+        return next();
+    }
+    res.status(401).json({ success: false, error: 'Missing or invalid API token' });
+}
+
+module.exports = {
+    createApiToken,
+    isValidToken,
+    tokenFromRequest,
+    requireToken
+};
@@ -0,0 +1,25 @@
+/**
+ * backoff.js
+ *
+ * 重试退避 - 连续失败时按指数增长重试间隔，并加入随机抖动
+ */
+
+/**
+ * 计算第 attempt 次连续失败后的重试间隔
+ *
+ * 间隔为 baseMs * 2^(attempt-1)，不超过 maxMs；实际等待时间在其一半到全部之间随机，
+ * 避免大量代理在服务器恢复后同时重连
+ *
+ * @param {number} attempt - 连续失败次数，从1开始
+ * @param {number} baseMs - 第一次重试的间隔（毫秒）
+ * @param {number} maxMs - 间隔上限（毫秒）
+ * @returns {number} 重试间隔（毫秒）
+ */
+function backoffDelay(attempt, baseMs, maxMs) {
+    const delay = Math.min(maxMs, baseMs * 2 ** Math.max(0, attempt - 1));
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+module.exports = {
+    backoffDelay
+};
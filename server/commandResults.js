@@ -0,0 +1,147 @@
+/**
+ * commandResults.js
+ *
+ * 命令结果模块 - 为每条命令维护一份结构化的执行记录
+ *
+ * 每条命令都有一个 command_id（由服务器分配；旧版服务器不发送时由代理在本地生成），
+ * 记录中包含状态、退出码、起止时间以及该命令自身产生的输出片段，
+ * 通过心跳的 command_results 字段上报，服务器确认后删除。
+ */
+
+const crypto = require('crypto');
+const metrics = require('./metrics');
+
+// 单条命令保留的最大输出长度（字符），超出时只保留最新部分
+const COMMAND_OUTPUT_LIMIT = 64 * 1024;
+
+// 命令状态
+const COMMAND_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    DONE: 'done',
+    FAILED: 'failed',
+    TIMEOUT: 'timeout'
+};
+
+const FINAL_STATUSES = new Set([COMMAND_STATUS.DONE, COMMAND_STATUS.FAILED, COMMAND_STATUS.TIMEOUT]);
+
+/**
+ * 生成本地命令ID（用于没有分配ID的旧版服务器和本地API）
+ *
+ * @returns {string}
+ */
+function generateCommandId() {
+    return `local-${crypto.randomBytes(6).toString('hex')}`;
+}
+
+/**
+ * 创建命令记录
+ *
+ * @param {string} pid - 进程ID
+ * @param {string} command - 命令内容
+ * @param {string} [commandId] - 服务器分配的命令ID
+ * @returns {Object} 命令记录
+ */
+function createCommandRecord(pid, command, commandId) {
+    return {
+        command_id: commandId ? String(commandId) : generateCommandId(),
+        PID: pid,
+        command,
+        status: COMMAND_STATUS.QUEUED,
+        exit_code: null,
+        error: null,
+        queued_at: Date.now(),
+        started_at: null,
+        ended_at: null,
+        output: '',
+        output_truncated: false
+    };
+}
+
+/**
+ * 追加命令输出
+ *
+ * @param {Object} record - 命令记录
+ * @param {string} text - 输出内容
+ */
+function appendCommandOutput(record, text) {
+    record.output += text;
+    if (record.output.length > COMMAND_OUTPUT_LIMIT) {
+        record.output = record.output.substring(record.output.length - COMMAND_OUTPUT_LIMIT);
+        record.output_truncated = true;
+    }
+}
+
+/**
+ * 标记命令开始执行
+ *
+ * @param {Object} record - 命令记录
+ */
+function markCommandRunning(record) {
+    record.status = COMMAND_STATUS.RUNNING;
+    record.started_at = Date.now();
+}
+
+/**
+ * 标记命令结束
+ *
+ * @param {Object} record - 命令记录
+ * @param {number|null} exitCode - 退出码
+ * @param {string} [status] - 结束状态，默认根据退出码判断 done / failed
+ * @param {string} [error] - 错误信息
+ */
+function finishCommandRecord(record, exitCode, status, error) {
+    record.exit_code = exitCode;
+    record.status = status || (exitCode === 0 || exitCode === null ? COMMAND_STATUS.DONE : COMMAND_STATUS.FAILED);
+    record.error = error || null;
+    record.ended_at = Date.now();
+    if (!record.started_at) {
+        record.started_at = record.ended_at;
+    }
+    metrics.observeCommandFinished(record.status, record.ended_at - record.started_at);
+}
+
+/**
+ * 命令是否已结束
+ *
+ * @param {Object} record - 命令记录
+ * @returns {boolean}
+ */
+function isFinished(record) {
+    return FINAL_STATUSES.has(record.status);
+}
+
+/**
+ * 转换为心跳中的 command_results 条目
+ *
+ * @param {Object} record - 命令记录
+ * @returns {Object}
+ */
+function toResult(record) {
+    const toIso = (time) => (time ? new Date(time).toISOString() : null);
+    return {
+        command_id: record.command_id,
+        PID: record.PID,
+        command: record.command,
+        status: record.status,
+        exit_code: record.exit_code,
+        error: record.error,
+        queued_at: toIso(record.queued_at),
+        started_at: toIso(record.started_at),
+        ended_at: toIso(record.ended_at),
+        duration_ms: record.started_at && record.ended_at ? record.ended_at - record.started_at : null,
+        output: record.output,
+        output_truncated: record.output_truncated
+    };
+}
+
+module.exports = {
+    COMMAND_STATUS,
+    generateCommandId,
+    createCommandRecord,
+    appendCommandOutput,
+    markCommandRunning,
+    finishCommandRecord,
+    isFinished,
+    toResult
+};
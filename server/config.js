@@ -0,0 +1,164 @@
+/**
+ * config.js
+ *
+ * 配置模块 - 从环境变量（.env）读取可选配置项并提供默认值
+ *
+ * 必须在 dotenv 加载之后再引入本模块。
+ */
+
+const os = require('os');
+const path = require('path');
+
+/**
+ * 读取整数配置
+ *
+ * @param {string} name - 环境变量名
+ * @param {number} defaultValue - 默认值
+ * @returns {number}
+ */
+function intFromEnv(name, defaultValue) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? defaultValue : value;
+}
+
+/**
+ * 读取字符串配置
+ *
+ * @param {string} name - 环境变量名
+ * @param {string} defaultValue - 默认值
+ * @returns {string}
+ */
+function stringFromEnv(name, defaultValue) {
+    const value = process.env[name];
+    return value === undefined || value === '' ? defaultValue : value;
+}
+
+/**
+ * 读取逗号分隔的列表配置
+ *
+ * @param {string} name - 环境变量名
+ * @returns {Array<string>} 去除空白后的非空条目
+ */
+function listFromEnv(name) {
+    return (process.env[name] || '')
+        .split(',')
+        .map((item) => item.trim())
+        .filter(Boolean);
+}
+
+module.exports = {
+    intFromEnv,
+    stringFromEnv,
+    listFromEnv,
+
+    // 每个进程保存在内存中的未确认输出上限（字节），超出部分写入磁盘
+    OUTPUT_MEMORY_LIMIT: intFromEnv('OUTPUT_MEMORY_LIMIT', 1024 * 1024),
+    // 每个进程写入磁盘的未确认输出上限（字节），为0时不写磁盘，超出部分会被丢弃
+    OUTPUT_SPILL_LIMIT: intFromEnv('OUTPUT_SPILL_LIMIT', 64 * 1024 * 1024),
+    // 输出溢出文件目录
+    OUTPUT_SPILL_DIR: path.resolve(stringFromEnv('OUTPUT_SPILL_DIR', path.join(os.tmpdir(), 'agentplus-output'))),
+    // 每个进程在本地保留的最近输出（字符），供网页终端和控制台展示，与服务器的确认无关
+    SCROLLBACK_LIMIT: intFromEnv('SCROLLBACK_LIMIT', 256 * 1024),
+    // 单次心跳中每个进程最多发送的输出（字节）
+    HEARTBEAT_OUTPUT_LIMIT: intFromEnv('HEARTBEAT_OUTPUT_LIMIT', 256 * 1024),
+    // 心跳默认携带的输出形式（raw、plain、screen），服务器可以通过响应中的 output_formats 重新选择
+    OUTPUT_FORMATS: listFromEnv('OUTPUT_FORMATS').length > 0 ? listFromEnv('OUTPUT_FORMATS') : ['raw'],
+
+    // 会话录制（asciicast v2），设置为0关闭
+    RECORDING_ENABLED: intFromEnv('RECORDING_ENABLED', 1) !== 0,
+    // 录制文件目录
+    RECORDING_DIR: path.resolve(stringFromEnv('RECORDING_DIR', './recordings')),
+    // 单个录制文件的大小上限（字节），超出后轮转为新的分段文件
+    RECORDING_MAX_FILE_BYTES: intFromEnv('RECORDING_MAX_FILE_BYTES', 10 * 1024 * 1024),
+    // 录制文件保存天数，为0时不按时间清理
+    RECORDING_RETENTION_DAYS: intFromEnv('RECORDING_RETENTION_DAYS', 30),
+    // 录制文件数量上限
+    RECORDING_MAX_FILES: intFromEnv('RECORDING_MAX_FILES', 500),
+    // 录制文件总大小上限（字节）
+    RECORDING_MAX_TOTAL_BYTES: intFromEnv('RECORDING_MAX_TOTAL_BYTES', 1024 * 1024 * 1024),
+
+    // 命令策略文件，不存在时允许所有命令
+    POLICY_FILE: path.resolve(stringFromEnv('POLICY_FILE', './policy.json')),
+    // 需要本地确认的命令等待确认的时间（毫秒），超时后视为拒绝
+    POLICY_CONFIRM_TIMEOUT_MS: intFromEnv('POLICY_CONFIRM_TIMEOUT_MS', 5 * 60 * 1000),
+
+    // 输出脱敏规则文件，不存在时只使用内置规则
+    REDACTION_FILE: path.resolve(stringFromEnv('REDACTION_FILE', './redaction.json')),
+    // 未结束的一行最多暂存的时间（毫秒），超过后不再等待行尾直接脱敏发送
+    REDACTION_FLUSH_MS: intFromEnv('REDACTION_FLUSH_MS', 50),
+
+    // 文件操作：单次 read_file 最多返回的字节数
+    FILE_READ_LIMIT: intFromEnv('FILE_READ_LIMIT', 1024 * 1024),
+    // 文件操作：write_file / append_file 单次写入的字节上限
+    FILE_WRITE_LIMIT: intFromEnv('FILE_WRITE_LIMIT', 10 * 1024 * 1024),
+    // 文件操作：list_dir 最多返回的条目数
+    FILE_LIST_LIMIT: intFromEnv('FILE_LIST_LIMIT', 1000),
+
+    // 启用的系统信息采集器：os、cpu、load、memory、disks，可选 network、processes、docker、battery、temperature
+    SYSINFO_COLLECTORS: listFromEnv('SYSINFO_COLLECTORS').length > 0
+        ? listFromEnv('SYSINFO_COLLECTORS')
+        : ['os', 'cpu', 'load', 'memory', 'disks'],
+    // 覆盖采集器的采集周期（毫秒），格式为 name=ms，例如 load=10000,disks=300000
+    SYSINFO_INTERVALS: Object.fromEntries(listFromEnv('SYSINFO_INTERVALS').map((item) => {
+        const [name, value] = item.split('=');
+        return [name.trim(), parseInt(value, 10)];
+    })),
+    // processes 采集器上报的进程数
+    SYSINFO_TOP_PROCESSES: intFromEnv('SYSINFO_TOP_PROCESSES', 10),
+
+    // 心跳连续失败时重试间隔的上限（毫秒），间隔从正常心跳间隔开始按指数增长
+    HEARTBEAT_BACKOFF_MAX_MS: intFromEnv('HEARTBEAT_BACKOFF_MAX_MS', 60 * 1000),
+    // 保留的心跳记录条数（环形缓冲区，最旧的记录被覆盖）
+    HEARTBEAT_HISTORY_SIZE: Math.max(1, intFromEnv('HEARTBEAT_HISTORY_SIZE', 500)),
+    // 状态文件：保存未确认的回调事件和输出，代理重启后补发
+    STATE_FILE: path.resolve(stringFromEnv('STATE_FILE', './agent-state.json')),
+    // 状态文件中每个进程最多保存的未确认输出（字节）
+    STATE_OUTPUT_LIMIT: intFromEnv('STATE_OUTPUT_LIMIT', 256 * 1024),
+    // 发件箱最多保存的未确认事件数，超出时丢弃最旧的事件
+    OUTBOX_MAX_EVENTS: intFromEnv('OUTBOX_MAX_EVENTS', 1000),
+
+    // 本地API监听的地址，默认只监听本机
+    API_HOST: stringFromEnv('API_HOST', '127.0.0.1'),
+    // 本地API会话令牌文件，每次启动时重新生成
+    API_TOKEN_FILE: path.resolve(stringFromEnv('API_TOKEN_FILE', './api-token')),
+    // 允许跨域访问本地API的控制台页面地址
+    DASHBOARD_ORIGINS: listFromEnv('DASHBOARD_ORIGINS').length > 0 ? listFromEnv('DASHBOARD_ORIGINS') : ['http://localhost:3000', 'http://127.0.0.1:3000'],
+    // 是否注册 /debug/* 调试端点
+    ENABLE_DEBUG_ROUTES: intFromEnv('ENABLE_DEBUG_ROUTES', 0) !== 0,
+
+    // 消息签名密钥文件，不存在时不签名也不验证服务器响应，修改后自动重新加载
+    SIGNING_KEY_FILE: path.resolve(stringFromEnv('SIGNING_KEY_FILE', './signing-keys.json')),
+    // 服务器响应签名时间戳允许的最大偏差（毫秒），超出时视为重放
+    SIGNATURE_MAX_SKEW_MS: intFromEnv('SIGNATURE_MAX_SKEW_MS', 5 * 60 * 1000),
+    // 只信任该文件中的CA证书（PEM），为空时使用系统CA
+    SERVER_CA_FILE: stringFromEnv('SERVER_CA_FILE', ''),
+    // 只接受这些SHA-256指纹的服务器证书，为空时不检查指纹
+    SERVER_CERT_FINGERPRINT: listFromEnv('SERVER_CERT_FINGERPRINT'),
+
+    // 命令的默认超时时间（毫秒），任务可以通过 timeout_ms 单独指定，0表示不限制
+    COMMAND_TIMEOUT_MS: intFromEnv('COMMAND_TIMEOUT_MS', 30 * 60 * 1000),
+    // 超时取消时每一步（Ctrl-C、SIGTERM、SIGKILL）之后等待命令退出的时间（毫秒）
+    COMMAND_KILL_GRACE_MS: intFromEnv('COMMAND_KILL_GRACE_MS', 5000),
+
+    // 子进程从代理环境中继承的变量（支持 LC_* 这样的前缀通配，* 表示全部），其余变量不传给子进程
+    ENV_INHERIT: listFromEnv('ENV_INHERIT').length > 0
+        ? listFromEnv('ENV_INHERIT')
+        : ['PATH', 'HOME', 'USER', 'LOGNAME', 'SHELL', 'LANG', 'LANGUAGE', 'LC_*', 'TZ', 'TMPDIR'],
+    // 无论继承列表、profile还是进程选项如何设置，都不传给子进程的变量（CLI_TOKEN 等代理自身的变量总是删除）
+    ENV_STRIP: listFromEnv('ENV_STRIP'),
+    // 子进程环境变量profile配置文件，不存在时只使用 ENV_INHERIT
+    ENV_PROFILES_FILE: path.resolve(stringFromEnv('ENV_PROFILES_FILE', './env-profiles.json')),
+
+    // 托管进程资源统计的采样间隔（毫秒），为0时不统计也不限制
+    RESOURCE_SAMPLE_MS: intFromEnv('RESOURCE_SAMPLE_MS', 5000),
+    // 每个会话的资源上限，0表示不限制：进程树常驻内存（MB）、正在运行的命令的CPU时间（秒）、后代进程数、会话存在时间（秒）
+    LIMIT_MEMORY_MB: intFromEnv('LIMIT_MEMORY_MB', 0),
+    LIMIT_CPU_SECONDS: intFromEnv('LIMIT_CPU_SECONDS', 0),
+    LIMIT_CHILDREN: intFromEnv('LIMIT_CHILDREN', 0),
+    LIMIT_WALL_SECONDS: intFromEnv('LIMIT_WALL_SECONDS', 0),
+
+    // 创建进程时允许使用的shell（名称或绝对路径），为空时只允许默认shell
+    ALLOWED_SHELLS: listFromEnv('ALLOWED_SHELLS'),
+    // 创建进程时允许使用的初始工作目录的根目录，为空时为用户主目录和代理的工作目录
+    ALLOWED_ROOTS: listFromEnv('ALLOWED_ROOTS').map((root) => path.resolve(root))
+};
@@ -0,0 +1,509 @@
+/**
+ * fileOps.js
+ *
+ * 文件操作模块 - 服务器可以直接通过任务读写文件，而不必拼接 echo ... > file 之类的shell命令
+ *
+ * 任务格式：tasks.file_ops = [{ op_id, PID, op, path, ... }]
+ * - 相对路径基于 PID 对应进程当前跟踪的工作目录（没有PID时基于代理的工作目录）
+ * - 文件内容统一使用base64编码，避免任何转义问题
+ * - 每个操作的结果通过 file_op_results 回调上报
+ *
+ * 支持的操作：
+ *   read_file    { path, offset?, length? }             -> { content, size, offset, length, truncated }
+ *   write_file   { path, content, mode?, create_dirs? }  -> { size }
+ *   append_file  { path, content }                       -> { size }
+ *   list_dir     { path }                                -> { entries: [{ name, type, size, mode, mtime }] }
+ *   stat         { path }                                -> { type, size, mode, mtime, ... }
+ *   mkdir        { path, recursive?, mode? }             -> {}
+ *   delete       { path, recursive? }                    -> {}
+ *   apply_patch  { patch, path? }                        -> { files: [{ path, action }] }  (unified diff，新建的文件已存在时失败)
+ *
+ * 路径（包括解析符号链接后的真实路径）必须被命令策略的 allowed_paths 允许，见 policy.checkPath。
+ * 补丁、补丁修改的原始文件和修改结果都不能超过 FILE_WRITE_LIMIT。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const policy = require('./policy');
+
+/**
+ * 文件操作错误，code 会原样出现在结果中
+ */
+class FileOpError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+// 补丁中的hunk最多偏离声明的行号这么多行
+const HUNK_SEARCH_LINES = 1000;
+
+/**
+ * 解析目标路径并检查策略
+ *
+ * 路径本身和解析符号链接之后的真实路径都要在策略允许的范围内，
+ * 避免通过允许目录中指向外部的符号链接访问其他文件。
+ *
+ * @param {string} baseDir - 相对路径的基准目录
+ * @param {string} target - 目标路径
+ * @returns {Promise<string>} 绝对路径
+ * @throws {FileOpError} 路径缺失或不被策略允许时
+ */
+async function resolveTarget(baseDir, target) {
+    if (typeof target !== 'string' || target.length === 0) {
+        throw new FileOpError('EINVAL', 'path is required');
+    }
+    const resolved = path.resolve(baseDir, target);
+    for (const candidate of [resolved, await realPath(resolved)]) {
+        const check = policy.checkPath(candidate);
+        if (!check.allowed) {
+            throw new FileOpError('EPOLICY', `Path ${candidate} is not allowed by rule ${check.rule}`);
+        }
+    }
+    return resolved;
+}
+
+/**
+ * 解析符号链接后的真实路径，路径还不存在时解析最近的已存在的上级目录
+ *
+ * @param {string} target - 绝对路径
+ * @returns {Promise<string>}
+ */
+async function realPath(target) {
+    const missing = [];
+    let current = target;
+    for (;;) {
+        try {
+            return path.join(await fs.promises.realpath(current), ...missing);
+        } catch (error) {
+            const parent = path.dirname(current);
+            if (error.code !== 'ENOENT' || parent === current) throw error;
+            missing.unshift(path.basename(current));
+            current = parent;
+        }
+    }
+}
+
+/**
+ * 解码base64内容并检查大小
+ *
+ * @param {string} content - base64内容
+ * @returns {Buffer}
+ * @throws {FileOpError} 内容缺失或超过大小上限时
+ */
+function decodeContent(content) {
+    if (typeof content !== 'string') {
+        throw new FileOpError('EINVAL', 'content must be a base64 string');
+    }
+    const buf = Buffer.from(content, 'base64');
+    if (buf.length > config.FILE_WRITE_LIMIT) {
+        throw new FileOpError('EFBIG', `Content is ${buf.length} bytes, limit is ${config.FILE_WRITE_LIMIT}`);
+    }
+    return buf;
+}
+
+/**
+ * 解析文件权限
+ *
+ * @param {string|number} [mode] - 例如 '644'、'0755' 或 420
+ * @returns {number|undefined}
+ */
+function parseMode(mode) {
+    if (mode === undefined || mode === null) return undefined;
+    const value = typeof mode === 'number' ? mode : parseInt(String(mode), 8);
+    if (Number.isNaN(value) || value < 0 || value > 0o7777) {
+        throw new FileOpError('EINVAL', `Invalid mode: ${mode}`);
+    }
+    return value;
+}
+
+/**
+ * 转换文件状态信息
+ *
+ * @param {fs.Stats} stat - 文件状态
+ * @returns {Object}
+ */
+function describeStat(stat) {
+    let type = 'other';
+    if (stat.isFile()) type = 'file';
+    else if (stat.isDirectory()) type = 'directory';
+    else if (stat.isSymbolicLink()) type = 'symlink';
+    return {
+        type,
+        size: stat.size,
+        mode: (stat.mode & 0o7777).toString(8).padStart(4, '0'),
+        uid: stat.uid,
+        gid: stat.gid,
+        mtime: stat.mtime.toISOString()
+    };
+}
+
+// --- 各个操作 ---
+
+const operations = {
+    async read_file(op, baseDir) {
+        const file = await resolveTarget(baseDir, op.path);
+        const stat = await fs.promises.stat(file);
+        if (!stat.isFile()) throw new FileOpError('EISDIR', `${file} is not a regular file`);
+
+        const offset = Math.max(0, parseInt(op.offset, 10) || 0);
+        const wanted = op.length === undefined ? stat.size - offset : Math.max(0, parseInt(op.length, 10) || 0);
+        const length = Math.max(0, Math.min(wanted, config.FILE_READ_LIMIT, stat.size - offset));
+
+        const buf = Buffer.alloc(length);
+        const handle = await fs.promises.open(file, 'r');
+        try {
+            await handle.read(buf, 0, length, offset);
+        } finally {
+            await handle.close();
+        }
+
+        return {
+            content: buf.toString('base64'),
+            size: stat.size,
+            offset,
+            length,
+            truncated: offset + length < stat.size && length < wanted
+        };
+    },
+
+    async write_file(op, baseDir) {
+        const file = await resolveTarget(baseDir, op.path);
+        const content = decodeContent(op.content);
+        if (op.create_dirs) {
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        }
+        await fs.promises.writeFile(file, content);
+        const mode = parseMode(op.mode);
+        if (mode !== undefined) {
+            await fs.promises.chmod(file, mode);
+        }
+        return { size: content.length };
+    },
+
+    async append_file(op, baseDir) {
+        const file = await resolveTarget(baseDir, op.path);
+        const content = decodeContent(op.content);
+        await fs.promises.appendFile(file, content);
+        const stat = await fs.promises.stat(file);
+        return { size: stat.size };
+    },
+
+    async list_dir(op, baseDir) {
+        const dir = await resolveTarget(baseDir, op.path || '.');
+        // 多读一项，用来判断目录是否超过上限
+        const names = [];
+        for await (const entry of await fs.promises.opendir(dir)) {
+            names.push(entry.name);
+            if (names.length > config.FILE_LIST_LIMIT) break;
+        }
+        const truncated = names.length > config.FILE_LIST_LIMIT;
+        if (truncated) {
+            names.length = config.FILE_LIST_LIMIT;
+        }
+        const entries = [];
+        for (const name of names.sort()) {
+            try {
+                const stat = await fs.promises.lstat(path.join(dir, name));
+                entries.push({ name, ...describeStat(stat) });
+            } catch (error) {
+                entries.push({ name, type: 'unknown', error: error.code });
+            }
+        }
+        return { path: dir, entries, truncated };
+    },
+
+    async stat(op, baseDir) {
+        const file = await resolveTarget(baseDir, op.path);
+        const stat = await fs.promises.lstat(file);
+        return { path: file, ...describeStat(stat) };
+    },
+
+    async mkdir(op, baseDir) {
+        const dir = await resolveTarget(baseDir, op.path);
+        await fs.promises.mkdir(dir, { recursive: op.recursive !== false, mode: parseMode(op.mode) });
+        return { path: dir };
+    },
+
+    async delete(op, baseDir) {
+        const target = await resolveTarget(baseDir, op.path);
+        const stat = await fs.promises.lstat(target);
+        if (stat.isDirectory()) {
+            await fs.promises.rm(target, { recursive: !!op.recursive });
+        } else {
+            await fs.promises.unlink(target);
+        }
+        return { path: target };
+    },
+
+    async apply_patch(op, baseDir) {
+        if (typeof op.patch !== 'string' || op.patch.length === 0) {
+            throw new FileOpError('EINVAL', 'patch is required');
+        }
+        const patchSize = Buffer.byteLength(op.patch);
+        if (patchSize > config.FILE_WRITE_LIMIT) {
+            throw new FileOpError('EFBIG', `Patch is ${patchSize} bytes, limit is ${config.FILE_WRITE_LIMIT}`);
+        }
+        const root = op.path ? await resolveTarget(baseDir, op.path) : baseDir;
+        const filePatches = parsePatch(op.patch);
+        if (filePatches.length === 0) {
+            throw new FileOpError('EINVAL', 'Patch contains no file changes');
+        }
+
+        // 先计算所有文件的新内容，全部成功后再写入，避免只应用一半
+        const changes = [];
+        for (const filePatch of filePatches) {
+            const target = await resolveTarget(root, filePatch.newPath || filePatch.oldPath);
+            const source = filePatch.oldPath ? await resolveTarget(root, filePatch.oldPath) : null;
+            let original = '';
+            if (source) {
+                original = await readPatchSource(source, filePatch.oldPath);
+            }
+            // 新建或重命名的目标已经存在时失败，不覆盖原有文件
+            if (filePatch.newPath && target !== source && await pathExists(target)) {
+                throw new FileOpError('EEXIST', `Cannot create ${filePatch.newPath}: file already exists`);
+            }
+            const content = filePatch.newPath ? applyHunks(original, filePatch) : null;
+            if (content !== null && Buffer.byteLength(content) > config.FILE_WRITE_LIMIT) {
+                throw new FileOpError('EFBIG', `Patched ${filePatch.newPath} exceeds the limit of ${config.FILE_WRITE_LIMIT} bytes`);
+            }
+            changes.push({
+                target,
+                source,
+                deleted: !filePatch.newPath,
+                content
+            });
+        }
+
+        const files = [];
+        for (const change of changes) {
+            if (change.deleted) {
+                await fs.promises.unlink(change.source);
+                files.push({ path: change.source, action: 'deleted' });
+                continue;
+            }
+            await fs.promises.mkdir(path.dirname(change.target), { recursive: true });
+            // 计算之后目标才被创建的情况同样不覆盖
+            await fs.promises.writeFile(change.target, change.content, { flag: change.target === change.source ? 'w' : 'wx' });
+            if (change.source && change.source !== change.target) {
+                await fs.promises.unlink(change.source);
+            }
+            files.push({ path: change.target, action: change.source ? 'modified' : 'created' });
+        }
+        return { files };
+    }
+};
+
+/**
+ * 读取补丁要修改的原始文件，超过写入上限的文件不处理
+ *
+ * @param {string} file - 绝对路径
+ * @param {string} name - 补丁中的文件名（用于错误信息）
+ * @returns {Promise<string>}
+ */
+async function readPatchSource(file, name) {
+    let stat;
+    try {
+        stat = await fs.promises.stat(file);
+    } catch (error) {
+        throw new FileOpError(error.code || 'ENOENT', `Cannot read ${name}: ${error.message}`);
+    }
+    if (!stat.isFile()) {
+        throw new FileOpError('EISDIR', `${name} is not a regular file`);
+    }
+    if (stat.size > config.FILE_WRITE_LIMIT) {
+        throw new FileOpError('EFBIG', `${name} is ${stat.size} bytes, limit is ${config.FILE_WRITE_LIMIT}`);
+    }
+    try {
+        return await fs.promises.readFile(file, 'utf8');
+    } catch (error) {
+        throw new FileOpError(error.code || 'EIO', `Cannot read ${name}: ${error.message}`);
+    }
+}
+
+/**
+ * 路径是否存在（符号链接本身存在即可）
+ *
+ * @param {string} target - 绝对路径
+ * @returns {Promise<boolean>}
+ */
+async function pathExists(target) {
+    try {
+        await fs.promises.lstat(target);
+        return true;
+    } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+    }
+}
+
+/**
+ * 解析unified diff
+ *
+ * @param {string} patch - 补丁文本
+ * @returns {Array<Object>} 每个文件的 { oldPath, newPath, hunks }，新建文件oldPath为null，删除文件newPath为null
+ */
+function parsePatch(patch) {
+    const lines = patch.replace(/\r\n/g, '\n').split('\n');
+    const files = [];
+    let current = null;
+    let hunk = null;
+
+    const stripPrefix = (name) => {
+        const value = name.split('\t')[0].trim();
+        if (value === '/dev/null') return null;
+        return value.replace(/^[ab]\//, '');
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (line.startsWith('--- ') && i + 1 < lines.length && lines[i + 1].startsWith('+++ ')) {
+            current = {
+                oldPath: stripPrefix(line.substring(4)),
+                newPath: stripPrefix(lines[i + 1].substring(4)),
+                hunks: []
+            };
+            files.push(current);
+            hunk = null;
+            i++;
+            continue;
+        }
+
+        const header = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/.exec(line);
+        if (header && current) {
+            hunk = {
+                oldStart: parseInt(header[1], 10),
+                oldCount: header[2] === undefined ? 1 : parseInt(header[2], 10),
+                lines: []
+            };
+            current.hunks.push(hunk);
+            continue;
+        }
+
+        if (!hunk) continue;
+
+        if (line.startsWith('\\')) {
+            // "\ No newline at end of file" 作用于上一行
+            const last = hunk.lines[hunk.lines.length - 1];
+            if (last) last.noNewline = true;
+        } else if (line.startsWith(' ') || line.startsWith('-') || line.startsWith('+')) {
+            hunk.lines.push({ type: line[0], text: line.substring(1) });
+        } else if (line === '' && i < lines.length - 1) {
+            // 一些工具会把空的上下文行输出为完全空行
+            hunk.lines.push({ type: ' ', text: '' });
+        }
+    }
+
+    return files;
+}
+
+/**
+ * 将文件的所有hunk应用到原始内容
+ *
+ * @param {string} original - 原始内容
+ * @param {Object} filePatch - 文件补丁
+ * @returns {string} 新内容
+ * @throws {FileOpError} 上下文不匹配时
+ */
+function applyHunks(original, filePatch) {
+    const hadTrailingNewline = original.endsWith('\n');
+    const source = original.length === 0 ? [] : (hadTrailingNewline ? original.slice(0, -1) : original).split('\n');
+    const result = [];
+    let cursor = 0;
+    let trailingNewline = hadTrailingNewline || source.length === 0;
+
+    for (const hunk of filePatch.hunks) {
+        const expected = hunk.lines.filter((l) => l.type !== '+').map((l) => l.text);
+        const replacement = hunk.lines.filter((l) => l.type !== '-').map((l) => l.text);
+
+        // 在声明的位置附近查找匹配的上下文，允许行号有偏移
+        const declared = Math.max(0, hunk.oldStart - 1);
+        const position = findHunk(source, expected, declared, cursor);
+        if (position === -1) {
+            throw new FileOpError('EPATCH', `Hunk at line ${hunk.oldStart} of ${filePatch.newPath || filePatch.oldPath} does not match`);
+        }
+
+        result.push(...source.slice(cursor, position), ...replacement);
+        cursor = position + expected.length;
+
+        // 修改到文件末尾时，以补丁中的 "No newline" 标记为准
+        if (cursor === source.length) {
+            const lastNew = [...hunk.lines].reverse().find((l) => l.type !== '-');
+            trailingNewline = !(lastNew && lastNew.noNewline);
+        }
+    }
+
+    result.push(...source.slice(cursor));
+    if (result.length === 0) return '';
+    return result.join('\n') + (trailingNewline ? '\n' : '');
+}
+
+/**
+ * 查找hunk上下文在源文件中的位置
+ *
+ * @param {Array<string>} source - 源文件行
+ * @param {Array<string>} expected - hunk中的原始行
+ * @param {number} declared - hunk声明的起始行（从0开始）
+ * @param {number} min - 不能早于此行（之前的hunk已经应用）
+ * @returns {number} 起始行，在声明位置前后 HUNK_SEARCH_LINES 行内找不到时返回-1
+ */
+function findHunk(source, expected, declared, min) {
+    const matchesAt = (start) => {
+        if (start < min || start + expected.length > source.length) return false;
+        return expected.every((text, i) => source[start + i] === text);
+    };
+
+    const range = Math.min(source.length, HUNK_SEARCH_LINES);
+    for (let delta = 0; delta <= range; delta++) {
+        if (matchesAt(declared + delta)) return declared + delta;
+        if (delta > 0 && matchesAt(declared - delta)) return declared - delta;
+    }
+    return -1;
+}
+
+/**
+ * 执行一个文件操作
+ *
+ * @param {Object} op - 文件操作任务
+ * @param {string} baseDir - 相对路径的基准目录
+ * @returns {Promise<Object>} file_op_results 条目
+ */
+async function executeFileOperation(op, baseDir) {
+    const entry = {
+        op_id: op.op_id === undefined ? null : op.op_id,
+        PID: op.PID === undefined ? null : op.PID,
+        op: op.op,
+        path: op.path === undefined ? null : op.path,
+        success: false,
+        error: null,
+        error_code: null,
+        result: null
+    };
+
+    const handler = Object.prototype.hasOwnProperty.call(operations, op.op) ? operations[op.op] : null;
+    if (!handler) {
+        entry.error = `Unknown file operation: ${op.op}`;
+        entry.error_code = 'EINVAL';
+        return entry;
+    }
+
+    try {
+        entry.result = await handler(op, baseDir);
+        entry.success = true;
+    } catch (error) {
+        entry.error = error.message;
+        entry.error_code = error.code || 'EIO';
+    }
+
+    console.log(`File operation ${op.op} ${op.path || ''}: ${entry.success ? 'ok' : entry.error}`);
+    return entry;
+}
+
+module.exports = {
+    executeFileOperation,
+    parsePatch,
+    applyHunks
+};
@@ -0,0 +1,157 @@
+/**
+ * heartbeatHistory.js
+ *
+ * 心跳历史 - 在固定大小的环形缓冲区中记录最近的心跳尝试，供控制台查看间歇性失败和延迟
+ *
+ * 每条记录：
+ * {
+ *   time,           // 开始发送的时间（ISO字符串）
+ *   transport,      // 'http' 或 'websocket'
+ *   outcome,        // 'success'、'failed' 或 'rejected'（响应签名验证失败）
+ *   duration_ms,    // HTTP为请求往返时间；WebSocket只包含构建和写入时间（响应异步到达）
+ *   payload_bytes,  // 心跳请求体大小
+ *   http_status,    // HTTP状态码，没有收到响应时为null
+ *   tasks_received, // 响应中的任务数量
+ *   error           // 失败原因
+ * }
+ */
+
+const config = require('./config');
+
+// 环形缓冲区，next为下一条记录写入的位置
+const entries = new Array(config.HEARTBEAT_HISTORY_SIZE);
+let next = 0;
+let count = 0;
+
+/**
+ * 统计服务器响应中的任务数量
+ *
+ * @param {Object} tasks - 响应中的 tasks 字段
+ * @returns {number}
+ */
+function countTasks(tasks) {
+    if (!tasks || typeof tasks !== 'object') return 0;
+    let total = 0;
+    for (const [key, value] of Object.entries(tasks)) {
+        if (Array.isArray(value)) {
+            total += value.length;
+        } else if (key === 'if_require_new_process' && value === 1) {
+            total += 1;
+        }
+    }
+    return total;
+}
+
+/**
+ * 记录一次心跳尝试
+ *
+ * @param {Object} attempt - 心跳记录，字段见文件头部说明
+ */
+function record(attempt) {
+    entries[next] = {
+        time: attempt.time,
+        transport: attempt.transport,
+        outcome: attempt.outcome,
+        duration_ms: attempt.duration_ms === undefined ? null : attempt.duration_ms,
+        payload_bytes: attempt.payload_bytes === undefined ? null : attempt.payload_bytes,
+        http_status: attempt.http_status === undefined ? null : attempt.http_status,
+        tasks_received: attempt.tasks_received || 0,
+        error: attempt.error || null
+    };
+    next = (next + 1) % entries.length;
+    count = Math.min(count + 1, entries.length);
+}
+
+/**
+ * 获取心跳记录，按时间从旧到新排列
+ *
+ * @param {Object} [options] - 过滤条件
+ * @param {string} [options.since] - 只返回该时间之后的记录（ISO字符串）
+ * @param {number} [options.limit] - 最多返回最新的多少条
+ * @returns {Array} 心跳记录
+ */
+function list({ since, limit } = {}) {
+    const start = (next - count + entries.length) % entries.length;
+    let result = [];
+    for (let i = 0; i < count; i++) {
+        result.push(entries[(start + i) % entries.length]);
+    }
+    if (since) {
+        const sinceTime = Date.parse(since);
+        if (!Number.isNaN(sinceTime)) {
+            result = result.filter((entry) => Date.parse(entry.time) > sinceTime);
+        }
+    }
+    if (limit > 0 && result.length > limit) {
+        result = result.slice(result.length - limit);
+    }
+    return result;
+}
+
+/**
+ * 计算百分位数（最近秩法）
+ *
+ * @param {number[]} sorted - 已升序排列的数值
+ * @param {number} p - 百分位（0-100）
+ * @returns {number|null}
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(sorted.length, Math.max(rank, 1)) - 1];
+}
+
+/**
+ * 汇总心跳记录：成功率、延迟百分位数和离线时段
+ *
+ * 离线时段从第一次失败开始，到下一次成功为止；仍未恢复时 end 为null。
+ * 延迟只统计成功的HTTP心跳，WebSocket的写入时间不代表往返延迟。
+ *
+ * @param {Array} history - list() 返回的记录
+ * @returns {Object} 汇总信息
+ */
+function summarize(history) {
+    const succeeded = history.filter((entry) => entry.outcome === 'success').length;
+    const latencies = history
+        .filter((entry) => entry.outcome === 'success' && entry.transport === 'http' && entry.duration_ms !== null)
+        .map((entry) => entry.duration_ms)
+        .sort((a, b) => a - b);
+
+    const offline = [];
+    let current = null;
+    for (const entry of history) {
+        if (entry.outcome === 'failed') {
+            if (!current) {
+                current = { start: entry.time, end: null, failures: 0 };
+                offline.push(current);
+            }
+            current.failures++;
+        } else if (current) {
+            // 签名被拒绝说明服务器可达，同样结束离线时段
+            current.end = entry.time;
+            current = null;
+        }
+    }
+
+    return {
+        attempts: history.length,
+        succeeded,
+        failed: history.filter((entry) => entry.outcome === 'failed').length,
+        rejected: history.filter((entry) => entry.outcome === 'rejected').length,
+        success_rate: history.length > 0 ? succeeded / history.length : null,
+        latency_ms: {
+            p50: percentile(latencies, 50),
+            p90: percentile(latencies, 90),
+            p99: percentile(latencies, 99),
+            max: latencies.length > 0 ? latencies[latencies.length - 1] : null
+        },
+        offline
+    };
+}
+
+module.exports = {
+    countTasks,
+    record,
+    list,
+    summarize
+};
@@ -1,16 +1,39 @@
-require('dotenv').config({ path: './.env' });
+const dotenvResult = require('dotenv').config({ path: './.env' });
 const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
-const si = require('systeminformation');
 const processManager = require('./process');
+const wsTransport = require('./wsTransport');
+const { generateCommandId } = require('./commandResults');
+const { ProcessOptionsError } = require('./processOptions');
+const recorder = require('./recorder');
+const config = require('./config');
+const outbox = require('./outbox');
+const { backoffDelay } = require('./backoff');
+const signing = require('./signing');
+const serverTls = require('./serverTls');
+const policy = require('./policy');
+const redaction = require('./redaction');
+const processEnv = require('./processEnv');
+const apiAuth = require('./apiAuth');
+const { attachTerminalSocket } = require('./terminalSocket');
+const heartbeatHistory = require('./heartbeatHistory');
+const metrics = require('./metrics');
+const systemInfo = require('./systemInfo');
 
 const app = express();
-app.use(cors());
+// 只允许控制台页面跨域访问，所有请求都必须携带本次启动生成的令牌
+app.use(cors({ origin: config.DASHBOARD_ORIGINS }));
+app.use(apiAuth.requireToken);
 app.use(express.json());
 const INTERNAL_PORT = 4000;
+// 本地API单次返回的最大输出（字符）
+const OUTPUT_API_LIMIT = 64 * 1024;
 
-const { CLI_TOKEN, SERVER_URL } = process.env;
+const { CLI_TOKEN, SERVER_URL, SERVER_WS_URL } = process.env;
+
+// 配置了CA或证书指纹时，HTTP心跳只接受匹配的服务器证书
+const httpsAgent = serverTls.createHttpsAgent();
 
 if (!CLI_TOKEN || !SERVER_URL) {
     console.error('Error: CLI_TOKEN and SERVER_URL must be set in the .env file.');
@@ -19,6 +42,7 @@ if (!CLI_TOKEN || !SERVER_URL) {
 
 let lastHeartbeatStatus = {
     status: 'Not yet sent',
+    transport: null,
     lastSent: null,
     response: null,
     error: null
@@ -28,6 +52,13 @@ let lastHeartbeatStatus = {
 let heartbeatInProgress = false;
 let heartbeatTimer = null;
 
+// 连接状态：连续失败时按指数退避重试，offlineSince 为第一次失败的时间
+let connectivity = {
+    consecutiveFailures: 0,
+    offlineSince: null,
+    nextRetryAt: null
+};
+
 // 心跳间隔配置（毫秒）
 const DEFAULT_HEARTBEAT_INTERVAL = 5000;  // 默认模式：5秒
 const MANAGED_HEARTBEAT_INTERVAL = 2000;  // 托管进程模式：2秒
@@ -56,11 +87,19 @@ function scheduleNextHeartbeat(delay = null) {
         nextDelay = DEFAULT_HEARTBEAT_INTERVAL;
     }
     
+    // 离线期间按退避时间重试，不因新输出或新命令提前重试
+    if (connectivity.nextRetryAt) {
+        nextDelay = Math.max(0, connectivity.nextRetryAt - Date.now());
+    }
+    
     console.log(`Scheduling next heartbeat in ${nextDelay}ms`);
     
     // 设置新的定时器
     heartbeatTimer = setTimeout(() => {
-        if (!heartbeatInProgress && !processManager.processingTasks) {
+        if (wsTransport.isConnected()) {
+            // WebSocket可用时通过它发送心跳，HTTP心跳作为回退
+            sendWsHeartbeat();
+        } else if (!heartbeatInProgress && !processManager.processingTasks) {
             sendHeartbeat();
         } else {
             // 如果心跳或任务处理正在进行，重新安排
@@ -69,9 +108,151 @@ function scheduleNextHeartbeat(delay = null) {
     }, nextDelay);
 }
 
+// 心跳失败：记录离线时间并按退避间隔安排重试
+function recordHeartbeatFailure() {
+    connectivity.consecutiveFailures++;
+    if (!connectivity.offlineSince) {
+        connectivity.offlineSince = new Date().toISOString();
+    }
+    const delay = backoffDelay(connectivity.consecutiveFailures, DEFAULT_HEARTBEAT_INTERVAL, config.HEARTBEAT_BACKOFF_MAX_MS);
+    connectivity.nextRetryAt = Date.now() + delay;
+    console.log(`Server unreachable since ${connectivity.offlineSince} (${connectivity.consecutiveFailures} consecutive failures), retrying in ${delay}ms`);
+}
+
+// 心跳成功：恢复正常心跳间隔
+function recordHeartbeatSuccess() {
+    if (connectivity.offlineSince) {
+        console.log(`Server reachable again after being offline since ${connectivity.offlineSince}`);
+        // 服务器可能在离线期间重启过，下一次心跳重新发送全部系统信息
+        systemInfo.reset();
+    }
+    connectivity = {
+        consecutiveFailures: 0,
+        offlineSince: null,
+        nextRetryAt: null
+    };
+}
+
+// 记录一次心跳尝试（心跳历史和Prometheus指标）
+function recordHeartbeatAttempt(attempt) {
+    heartbeatHistory.record(attempt);
+    metrics.observeHeartbeat(attempt);
+}
+
 // 将scheduleNextHeartbeat函数传递给processManager
 processManager.scheduleNextHeartbeat = scheduleNextHeartbeat;
 
+// WebSocket连接可用时，进程有新输出就立即推送给服务器
+processManager.events.on('output', () => {
+    wsTransport.requestPush();
+});
+
+// 构建心跳数据（HTTP和WebSocket两种传输共用）
+async function buildHeartbeatPayload() {
+    // 准备心跳数据
+    const payload = processManager.prepareHeartbeatData(CLI_TOKEN);
+    
+    // 系统信息由后台采集器缓存，这里只取出上次成功发送之后变化的部分
+    const changes = systemInfo.takeChanges();
+    payload.system_info = changes.data;
+    if (changes.full) payload.system_info_full = true;
+    
+    // 配置了签名密钥时为心跳签名
+    return signing.signMessage(payload);
+}
+
+// 处理服务器返回的数据（HTTP响应体或WebSocket推送的消息）
+// sentEventIds 为该响应对应的请求发送的事件ID，WebSocket消息无法对应到请求，不提供
+async function handleServerResponse(data, transport, sentEventIds) {
+    // 配置了验证密钥时，签名缺失、不匹配或重放的响应整体拒绝（任务和确认都不处理），
+    // 也不算作成功的心跳：伪造的响应不能重置退避
+    const verification = signing.verifyMessage(data);
+    if (!verification.ok) {
+        recordHeartbeatFailure();
+        processManager.reportRejectedTasks(verification.reason, data, transport);
+        lastHeartbeatStatus = {
+            status: 'Rejected',
+            transport,
+            lastSent: new Date().toISOString(),
+            response: data,
+            error: verification.reason
+        };
+        return;
+    }
+    recordHeartbeatSuccess();
+    
+    // 处理服务器返回的任务
+    if (data && data.statusCode === 1) {
+        // 处理命令执行确认回调
+        if (data.callback && data.callback.command_executed_confirmed) {
+            const confirmedPids = data.callback.command_executed_confirmed;
+            if (Array.isArray(confirmedPids) && confirmedPids.length > 0) {
+                console.log(`Server confirmed command execution for PIDs: ${confirmedPids.join(', ')}`);
+                
+                // 重置已确认进程的命令执行标记
+                for (const pid of confirmedPids) {
+                    processManager.confirmCommandExecuted(pid);
+                }
+            }
+        }
+        
+        // 处理按偏移量的输出确认: [{ PID, offset }]
+        if (data.callback && Array.isArray(data.callback.process_output_ack)) {
+            for (const ack of data.callback.process_output_ack) {
+                if (ack && ack.PID !== undefined) {
+                    processManager.acknowledgeOutput(String(ack.PID), ack.offset);
+                }
+            }
+        }
+        
+        // 处理纯文本输出的确认: [{ PID, offset }]
+        if (data.callback && Array.isArray(data.callback.process_plain_output_ack)) {
+            for (const ack of data.callback.process_plain_output_ack) {
+                if (ack && ack.PID !== undefined) {
+                    processManager.acknowledgePlainOutput(String(ack.PID), ack.offset);
+                }
+            }
+        }
+        
+        // 处理输出更新确认（旧版服务器只返回PID，确认到该次心跳发送的位置）
+        if (data.callback && data.callback.process_output_update_succeed) {
+            for (const pid of data.callback.process_output_update_succeed) {
+                processManager.acknowledgeOutput(pid);
+            }
+        }
+        
+        // 处理命令结果确认，删除服务器已收到的已结束命令
+        if (data.callback && Array.isArray(data.callback.command_results_ack)) {
+            processManager.acknowledgeCommandResults(data.callback.command_results_ack);
+        }
+        
+        // 处理回调事件确认：按 event_id 删除服务器已收到的事件；
+        // 旧版服务器不返回 events_ack，HTTP响应即确认该次请求发送的事件
+        processManager.acknowledgeEvents(
+            data.callback && Array.isArray(data.callback.events_ack) ? data.callback.events_ack : undefined,
+            sentEventIds
+        );
+        
+        // 服务器选择心跳携带的输出形式（raw / plain / screen）
+        if (data.output_formats !== undefined) {
+            processManager.setOutputFormats(data.output_formats);
+        }
+        
+        // 处理新任务
+        if (data.tasks) {
+            await processManager.processTasks(data.tasks, data.callback);
+        }
+    }
+    
+    lastHeartbeatStatus = {
+        status: 'Success',
+        transport,
+        lastSent: new Date().toISOString(),
+        response: data,
+        error: null
+    };
+}
+
 // 发送心跳
 async function sendHeartbeat() {
     // 如果心跳正在进行或者正在处理任务，则跳过
@@ -82,12 +263,17 @@ async function sendHeartbeat() {
     }
     
     heartbeatInProgress = true;
+    // 本次心跳的记录，供 /heartbeats 和控制台时间线使用
+    const attempt = { time: new Date().toISOString(), transport: 'http' };
     
     if (!CLI_TOKEN || !SERVER_URL) {
         const errorMsg = 'Token or URL not configured.';
         console.error(errorMsg);
+        recordHeartbeatFailure();
+        recordHeartbeatAttempt({ ...attempt, outcome: 'failed', error: errorMsg });
         lastHeartbeatStatus = {
             status: 'Failed',
+            transport: 'http',
             lastSent: new Date().toISOString(),
             response: null,
             error: errorMsg
@@ -97,100 +283,73 @@ async function sendHeartbeat() {
         return;
     }
 
+    let requestStartedAt = null;
     try {
-        // 准备心跳数据
-        const payload = processManager.prepareHeartbeatData(CLI_TOKEN);
-        
-        // 异步获取系统信息
-        payload.system_info = {
-            os: await si.osInfo(),
-            cpu: await si.cpu(),
-            load: await si.currentLoad(),
-            memory: await si.mem(),
-            disks: await si.fsSize(),
-        };
+        const payload = await buildHeartbeatPayload();
+        attempt.payload_bytes = Buffer.byteLength(JSON.stringify(payload));
 
         // 在发送前打印完整的payload数据
         console.log('Heartbeat payload prepared:');
         // console.log(JSON.stringify(payload, null, 2));
 
         console.log('Sending heartbeat to server...');
-        const response = await axios.post(SERVER_URL, payload);
+        requestStartedAt = Date.now();
+        const response = await axios.post(SERVER_URL, payload, { httpsAgent });
+        attempt.duration_ms = Date.now() - requestStartedAt;
+        attempt.http_status = response.status;
+        attempt.tasks_received = heartbeatHistory.countTasks(response.data && response.data.tasks);
         console.log('Heartbeat sent successfully.');
+        systemInfo.markSent(payload.system_info, payload.system_info_full);
         
-        // 检查是否有命令执行
-        let commandExecuted = false;
-        
-        // 处理服务器返回的任务
-        if (response.data && response.data.statusCode === 1) {
-            // 处理命令执行确认回调
-            if (response.data.callback && response.data.callback.command_executed_confirmed) {
-                const confirmedPids = response.data.callback.command_executed_confirmed;
-                if (Array.isArray(confirmedPids) && confirmedPids.length > 0) {
-                    console.log(`Server confirmed command execution for PIDs: ${confirmedPids.join(', ')}`);
-                    
-                    // 重置已确认进程的命令执行标记
-                    for (const pid of confirmedPids) {
-                        if (processManager.runningProcesses.has(pid)) {
-                            // 明确重置为false
-                            processManager.processCommandExecuted.set(pid, false);
-                            console.log(`Reset command executed flag for process ${pid} to false`);
-                        }
-                    }
-                }
-            }
-            
-            // 处理输出更新确认
-            if (response.data.callback && response.data.callback.process_output_update_succeed) {
-                for (const pid of response.data.callback.process_output_update_succeed) {
-                    if (processManager.runningProcesses.has(pid)) {
-                        processManager.processOutputBuffer.set(pid, '');
-                        console.log(`Cleared output buffer for process ${pid}`);
-                    }
-                }
-            }
-            
-            // 重置已发送的回调
-            processManager.pendingCallbacks = {
-                process_death: [],
-                process_created: null
-            };
-            
-            // 处理新任务
-            if (response.data.tasks) {
-                // 检查是否有命令需要执行
-                if (response.data.tasks.command && Array.isArray(response.data.tasks.command) && 
-                    response.data.tasks.command.length > 0) {
-                    commandExecuted = true;
-                }
-                
-                await processManager.processTasks(response.data.tasks, response.data.callback);
-            }
-        }
-        
-        lastHeartbeatStatus = {
-            status: 'Success',
-            lastSent: new Date().toISOString(),
-            response: response.data,
-            error: null
-        };
+        await handleServerResponse(response.data, 'http', payload.events.map(event => event.event_id));
+        attempt.outcome = lastHeartbeatStatus.status === 'Rejected' ? 'rejected' : 'success';
+        attempt.error = lastHeartbeatStatus.error;
         
         // 安排下一次心跳
         scheduleNextHeartbeat();
     } catch (error) {
         console.error('Error sending heartbeat:', error.message);
+        recordHeartbeatFailure();
+        attempt.outcome = 'failed';
+        attempt.error = error.message;
+        if (error.response) attempt.http_status = error.response.status;
+        if (requestStartedAt !== null && attempt.duration_ms === undefined) {
+            attempt.duration_ms = Date.now() - requestStartedAt;
+        }
         lastHeartbeatStatus = {
             status: 'Failed',
+            transport: 'http',
             lastSent: new Date().toISOString(),
             response: null,
             error: error.message
         };
-        scheduleNextHeartbeat(); // 出错后仍然安排下一次心跳
+        scheduleNextHeartbeat(); // 出错后按退避间隔安排下一次心跳
     } finally {
+        recordHeartbeatAttempt(attempt);
         heartbeatInProgress = false;
     }
 }
 
+// 通过WebSocket发送心跳，同时作为保活消息
+async function sendWsHeartbeat() {
+    const startedAt = Date.now();
+    const sentBytes = await wsTransport.push();
+    recordHeartbeatAttempt({
+        time: new Date(startedAt).toISOString(),
+        transport: 'websocket',
+        outcome: sentBytes > 0 ? 'success' : 'failed',
+        duration_ms: Date.now() - startedAt,
+        payload_bytes: sentBytes || null,
+        error: sentBytes > 0 ? null : 'WebSocket connection unavailable'
+    });
+    if (!sentBytes) {
+        // WebSocket已不可用，立即回退到HTTP心跳
+        sendHeartbeat();
+        return;
+    }
+    scheduleNextHeartbeat();
+}
+
 // --- Internal API for the React Frontend ---
 app.get('/status', (req, res) => {
     // 获取进程状态信息
@@ -198,30 +357,90 @@ app.get('/status', (req, res) => {
     
     const statusResponse = {
         ...lastHeartbeatStatus,
+        websocketConnected: wsTransport.isConnected(),
+        connectivity: {
+            ...connectivity,
+            nextRetryAt: connectivity.nextRetryAt ? new Date(connectivity.nextRetryAt).toISOString() : null,
+            undeliveredEvents: outbox.size
+        },
         processes: processStatus,
-        pendingCallbacks: processManager.pendingCallbacks // 添加待确认回调信息，方便调试
+        commandResults: processManager.getCommandResults(),
+        pendingCallbacks: processManager.getPendingCallbacks() // 添加待确认回调信息，方便调试
     };
     
     res.json(statusResponse);
 });
 
-// 获取特定进程的输出
+// 心跳历史：?since=<ISO时间> 只返回之后的记录，?limit=<n> 只返回最新的n条；summary 基于返回的记录计算
+app.get('/heartbeats', (req, res) => {
+    const heartbeats = heartbeatHistory.list({
+        since: req.query.since,
+        limit: parseInt(req.query.limit, 10) || 0
+    });
+    res.json({
+        capacity: config.HEARTBEAT_HISTORY_SIZE,
+        heartbeats,
+        summary: heartbeatHistory.summarize(heartbeats)
+    });
+});
+
+// Prometheus指标
+app.get('/metrics', async (req, res) => {
+    try {
+        res.set('Content-Type', metrics.register.contentType);
+        res.send(await metrics.register.metrics());
+    } catch (error) {
+        res.status(500).send(error.message);
+    }
+});
+
+// 获取特定进程的输出，可通过 ?from=<offset> 从指定偏移量读取，否则返回最新的输出
+// 读取的是本地滚动缓冲，服务器确认过的输出同样可以读取；dropped 为超出滚动缓冲上限而丢弃的字符数
 app.get('/process/:pid/output', (req, res) => {
-    const { pid } = req.params;
-    if (processManager.processOutputBuffer.has(pid)) {
-        res.json({ output: processManager.processOutputBuffer.get(pid) });
+    const proc = processManager.runningProcesses.get(req.params.pid);
+    if (proc) {
+        const scrollback = proc._scrollback;
+        if (req.query.from !== undefined) {
+            const chunk = scrollback.read(parseInt(req.query.from, 10) || 0, OUTPUT_API_LIMIT);
+            res.json({ output: chunk.data, offset: chunk.offset, end: chunk.end, dropped: chunk.dropped });
+        } else {
+            res.json({ output: scrollback.tail(OUTPUT_API_LIMIT), end: scrollback.end });
+        }
     } else {
         res.status(404).json({ error: 'Process output not found' });
     }
 });
 
+// 列出会话录制文件
+app.get('/recordings', (req, res) => {
+    try {
+        res.json({ recordings: recorder.listRecordings() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 下载会话录制文件（asciicast v2）
+app.get('/recordings/:name', (req, res) => {
+    const file = recorder.getRecordingPath(req.params.name);
+    if (!file) {
+        return res.status(400).json({ error: 'Invalid recording name' });
+    }
+    res.download(file, req.params.name, (error) => {
+        if (error && !res.headersSent) {
+            res.status(404).json({ error: 'Recording not found' });
+        }
+    });
+});
+
 // 手动创建新进程的API端点（用于测试）
 app.post('/process/create', async (req, res) => {
     try {
-        const pid = await processManager.createNewProcess();
+        const pid = await processManager.createNewProcess(req.body || {});
         res.json({ success: true, pid });
     } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        const status = error instanceof ProcessOptionsError ? 400 : 500;
+        res.status(status).json({ success: false, error: error.message });
     }
 });
 
@@ -240,55 +459,165 @@ app.post('/process/:pid/kill', async (req, res) => {
 app.post('/process/:pid/execute', async (req, res) => {
     const { pid } = req.params;
     const { command } = req.body;
+    const commandId = req.body.command_id || generateCommandId();
     
     if (!command) {
         return res.status(400).json({ success: false, error: 'Command is required' });
     }
     
     try {
-        const result = await processManager.executeCommandInProcess(pid, command);
-        res.json({ success: result });
+        const result = await processManager.executeCommandInProcess(pid, command, { commandId, timeoutMs: req.body.timeout_ms });
+        res.json({ success: result, command_id: commandId });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// 添加一个调试端点，用于检查命令执行状态
-app.get('/debug/command-status', (req, res) => {
-    const status = {};
-    for (const [pid, executed] of processManager.processCommandExecuted.entries()) {
-        status[pid] = {
-            executed: executed,
-            running: processManager.runningProcesses.has(pid)
-        };
+// 向进程原样写入输入（不追加换行），例如回答 y/n 提示或向全屏程序发送按键
+app.post('/process/:pid/input', (req, res) => {
+    const { pid } = req.params;
+    const { data, encoding } = req.body;
+
+    if (typeof data !== 'string') {
+        return res.status(400).json({ success: false, error: 'Input data is required' });
+    }
+
+    try {
+        const written = processManager.sendInput(pid, data, { encoding });
+        res.json({ success: true, written });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
     }
-    res.json(status);
 });
 
-// 添加一个端点，用于手动重置命令执行状态（仅用于调试）
-app.post('/debug/reset-command-status/:pid', (req, res) => {
+// 向进程终端的前台进程组发送信号
+app.post('/process/:pid/signal', (req, res) => {
     const { pid } = req.params;
-    if (processManager.runningProcesses.has(pid)) {
-        processManager.processCommandExecuted.set(pid, false);
-        res.json({ success: true, message: `Reset command executed flag for process ${pid}` });
-    } else {
-        res.status(404).json({ success: false, error: 'Process not found' });
+    const signal = req.body.signal || 'SIGINT';
+
+    try {
+        const result = processManager.sendSignal(pid, signal);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
-app.listen(INTERNAL_PORT, () => {
-    console.log(`Backend status server listening on http://localhost:${INTERNAL_PORT}`);
+// 调整进程的终端尺寸
+app.post('/process/:pid/resize', (req, res) => {
+    const { pid } = req.params;
+    const { cols, rows } = req.body;
+
+    try {
+        const size = processManager.resizeProcess(pid, cols, rows);
+        res.json({ success: true, ...size });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
 });
 
+// 修改运行中会话的环境变量，请求体 { set: { NAME: value }, unset: [NAME] }，响应只包含变量名
+app.post('/process/:pid/env', (req, res) => {
+    const { pid } = req.params;
+    const { set, unset } = req.body;
+
+    try {
+        const result = processManager.changeEnvironment(pid, set, unset);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 清除进程队列中尚未执行的命令，不提供 command_ids 时清除全部
+app.post('/process/:pid/queue/clear', (req, res) => {
+    const { pid } = req.params;
+    try {
+        const removed = processManager.clearCommandQueue(pid, req.body.command_ids);
+        res.json({ success: true, removed });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 调整进程队列中命令的顺序
+app.post('/process/:pid/queue/reorder', (req, res) => {
+    const { pid } = req.params;
+    try {
+        const queue = processManager.reorderCommandQueue(pid, req.body.command_ids);
+        res.json({ success: true, queue });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 列出等待本地确认的命令（由命令策略中 action 为 confirm 的规则产生）
+app.get('/policy/confirmations', (req, res) => {
+    res.json({ confirmations: [...processManager.pendingConfirmations.values()] });
+});
+
+// 批准或拒绝等待确认的命令
+app.post('/policy/confirmations/:id/:decision', (req, res) => {
+    const { id, decision } = req.params;
+    if (decision !== 'approve' && decision !== 'reject') {
+        return res.status(400).json({ success: false, error: 'Decision must be approve or reject' });
+    }
+    
+    try {
+        const found = processManager.resolveConfirmation(id, decision === 'approve');
+        if (!found) {
+            return res.status(404).json({ success: false, error: 'Confirmation not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        res.status(409).json({ success: false, error: error.message });
+    }
+});
+
+// 调试端点默认关闭，设置 ENABLE_DEBUG_ROUTES=1 后才注册
+if (config.ENABLE_DEBUG_ROUTES) {
+    // 添加一个调试端点，用于检查命令执行状态
+    app.get('/debug/command-status', (req, res) => {
+        const status = {};
+        for (const [pid, executed] of processManager.processCommandExecuted.entries()) {
+            status[pid] = {
+                executed: executed,
+                running: processManager.runningProcesses.has(pid)
+            };
+        }
+        res.json(status);
+    });
+
+    // 添加一个端点，用于手动重置命令执行状态（仅用于调试）
+    app.post('/debug/reset-command-status/:pid', (req, res) => {
+        const { pid } = req.params;
+        if (processManager.runningProcesses.has(pid)) {
+            processManager.processCommandExecuted.set(pid, false);
+            res.json({ success: true, message: `Reset command executed flag for process ${pid}` });
+        } else {
+            res.status(404).json({ success: false, error: 'Process not found' });
+        }
+    });
+}
+
+apiAuth.createApiToken();
+const server = app.listen(INTERNAL_PORT, config.API_HOST, () => {
+    console.log(`Backend status server listening on http://${config.API_HOST}:${INTERNAL_PORT}`);
+});
+// 控制台的网页终端通过同一端口的WebSocket连接
+attachTerminalSocket(server);
+
 // 注册退出处理程序
 process.on('exit', processManager.cleanupProcesses);
 process.on('SIGINT', () => {
     console.log('Received SIGINT. Cleaning up and exiting...');
+    wsTransport.stop();
     processManager.cleanupProcesses();
     process.exit(0);
 });
 process.on('SIGTERM', () => {
     console.log('Received SIGTERM. Cleaning up and exiting...');
+    wsTransport.stop();
     processManager.cleanupProcesses();
     process.exit(0);
 });
@@ -296,5 +625,47 @@ process.on('SIGTERM', () => {
 // --- Main Logic ---
 console.log('Starting heartbeat service...');
 
+// 启动时清理过期的录制文件
+recorder.enforceRetention();
+
+// 启动系统信息采集器，心跳只读取采集结果的缓存
+systemInfo.start();
+
+// 定期统计托管进程的资源使用并执行资源限制
+processManager.startResourceMonitor();
+
+// 加载命令策略，策略文件变化时自动重新加载
+policy.watchPolicy();
+
+// 加载输出脱敏规则，规则文件变化时自动重新加载
+redaction.watchRules();
+
+// .env 中的变量属于代理自身，不传给托管shell；加载环境变量profile，配置文件变化时自动重新加载
+processEnv.setAgentVariables(Object.keys(dotenvResult.parsed || {}));
+processEnv.watchProfiles();
+
+// 加载消息签名密钥，密钥文件变化时自动重新加载（密钥轮换）；签名绑定到本代理的 CLI_TOKEN
+signing.setAgentToken(CLI_TOKEN);
+signing.watchKeys();
+
+// 恢复上次运行时未送达的回调和输出
+processManager.restoreState();
+
+// 配置了WebSocket地址时建立持久连接，连接失败期间继续使用HTTP心跳
+if (SERVER_WS_URL && CLI_TOKEN) {
+    wsTransport.start({
+        url: SERVER_WS_URL,
+        buildPayload: buildHeartbeatPayload,
+        handleResponse: (data) => handleServerResponse(data, 'websocket'),
+        onSent: (payload) => systemInfo.markSent(payload.system_info, payload.system_info_full),
+        onStatusChange: (isConnected) => {
+            // 新连接的第一次心跳发送全部系统信息
+            if (isConnected) systemInfo.reset();
+            console.log(`WebSocket transport ${isConnected ? 'connected' : 'disconnected'}, using ${isConnected ? 'WebSocket' : 'HTTP'} heartbeat`);
+            scheduleNextHeartbeat();
+        }
+    });
+}
+
 // 初始心跳
 sendHeartbeat();
\ No newline at end of file
@@ -0,0 +1,192 @@
+/**
+ * metrics.js
+ *
+ * Prometheus指标 - 通过本地API的 /metrics 路由以Prometheus文本格式导出
+ *
+ * - 心跳：按传输方式和结果计数，HTTP心跳的往返延迟直方图
+ * - 任务：按任务类型计数
+ * - 命令：提交结果计数（写入shell、被策略拒绝、等待确认、出错），结束时按状态记录耗时
+ * - 托管进程数、缓冲中的输出字节数（内存/磁盘）、丢弃的输出字节数、未确认的回调事件数
+ * - 代理自身的CPU、内存等默认进程指标（prom-client 提供）
+ *
+ * 与其他本地API一样，抓取时需要携带 Authorization: Bearer <API_TOKEN_FILE中的令牌>，
+ * Prometheus可以使用 authorization.credentials_file 指向令牌文件。
+ */
+
+const client = require('prom-client');
+
+const PREFIX = 'agentplus_';
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: PREFIX });
+
+// 当前状态（进程数、缓冲字节数等）由进程管理模块在抓取时提供
+let gaugeProvider = null;
+
+const heartbeatsTotal = new client.Counter({
+    name: `${PREFIX}heartbeats_total`,
+    help: 'Heartbeat attempts by transport and outcome',
+    labelNames: ['transport', 'outcome'],
+    registers: [register]
+});
+
+const heartbeatDuration = new client.Histogram({
+    name: `${PREFIX}heartbeat_duration_seconds`,
+    help: 'Round-trip time of HTTP heartbeats that received a response',
+    labelNames: ['transport'],
+    buckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+    registers: [register]
+});
+
+const heartbeatPayloadBytes = new client.Histogram({
+    name: `${PREFIX}heartbeat_payload_bytes`,
+    help: 'Size of heartbeat payloads',
+    labelNames: ['transport'],
+    buckets: [1024, 4096, 16384, 65536, 262144, 1048576, 4194304],
+    registers: [register]
+});
+
+const tasksTotal = new client.Counter({
+    name: `${PREFIX}tasks_total`,
+    help: 'Tasks received from the server by type',
+    labelNames: ['type'],
+    registers: [register]
+});
+
+const commandsTotal = new client.Counter({
+    name: `${PREFIX}commands_total`,
+    help: 'Commands submitted to managed processes by outcome (written, denied, awaiting_confirmation, error)',
+    labelNames: ['outcome'],
+    registers: [register]
+});
+
+const commandDuration = new client.Histogram({
+    name: `${PREFIX}command_duration_seconds`,
+    help: 'Duration of finished commands by final status',
+    labelNames: ['status'],
+    buckets: [0.1, 0.5, 1, 5, 15, 60, 300, 900, 1800, 3600],
+    registers: [register]
+});
+
+const outputBytesTotal = new client.Counter({
+    name: `${PREFIX}output_bytes_total`,
+    help: 'Output bytes received from managed processes',
+    registers: [register]
+});
+
+const outputDroppedBytesTotal = new client.Counter({
+    name: `${PREFIX}output_dropped_bytes_total`,
+    help: 'Unacknowledged output bytes dropped because the buffer limits were exceeded',
+    registers: [register]
+});
+
+new client.Gauge({
+    name: `${PREFIX}managed_processes`,
+    help: 'Number of running managed processes',
+    registers: [register],
+    collect() {
+        this.set(gaugeProvider ? gaugeProvider().processes : 0);
+    }
+});
+
+new client.Gauge({
+    name: `${PREFIX}output_buffered_bytes`,
+    help: 'Unacknowledged output bytes held in memory or spilled to disk',
+    labelNames: ['storage'],
+    registers: [register],
+    collect() {
+        const state = gaugeProvider ? gaugeProvider() : { outputMemoryBytes: 0, outputSpillBytes: 0 };
+        this.set({ storage: 'memory' }, state.outputMemoryBytes);
+        this.set({ storage: 'disk' }, state.outputSpillBytes);
+    }
+});
+
+new client.Gauge({
+    name: `${PREFIX}outbox_events`,
+    help: 'Callback events not yet acknowledged by the server',
+    registers: [register],
+    collect() {
+        this.set(gaugeProvider ? gaugeProvider().outboxEvents : 0);
+    }
+});
+
+/**
+ * 设置抓取时提供当前状态的函数
+ *
+ * @param {Function} provider - () => { processes, outputMemoryBytes, outputSpillBytes, outboxEvents }
+ */
+function setGaugeProvider(provider) {
+    gaugeProvider = provider;
+}
+
+/**
+ * 记录一次心跳尝试
+ *
+ * @param {Object} attempt - 心跳记录（见 heartbeatHistory.js）
+ */
+function observeHeartbeat(attempt) {
+    heartbeatsTotal.inc({ transport: attempt.transport, outcome: attempt.outcome });
+    if (attempt.payload_bytes) {
+        heartbeatPayloadBytes.observe({ transport: attempt.transport }, attempt.payload_bytes);
+    }
+    // WebSocket心跳的耗时只包含写入时间，不计入往返延迟
+    if (attempt.transport === 'http' && attempt.http_status && attempt.duration_ms !== undefined && attempt.duration_ms !== null) {
+        heartbeatDuration.observe({ transport: attempt.transport }, attempt.duration_ms / 1000);
+    }
+}
+
+/**
+ * 按类型统计收到的任务
+ *
+ * @param {Object} tasks - 服务器响应中的 tasks 字段
+ */
+function countTasks(tasks) {
+    if (!tasks || typeof tasks !== 'object') return;
+    for (const [type, value] of Object.entries(tasks)) {
+        if (Array.isArray(value)) {
+            if (value.length > 0) tasksTotal.inc({ type }, value.length);
+        } else if (type === 'if_require_new_process' && value === 1) {
+            tasksTotal.inc({ type: 'new_process' });
+        }
+    }
+}
+
+/**
+ * 记录命令提交结果
+ *
+ * @param {string} outcome - written、denied、awaiting_confirmation 或 error
+ */
+function countCommand(outcome) {
+    commandsTotal.inc({ outcome });
+}
+
+/**
+ * 记录命令结束
+ *
+ * @param {string} status - 命令的最终状态
+ * @param {number} durationMs - 耗时（毫秒）
+ */
+function observeCommandFinished(status, durationMs) {
+    commandDuration.observe({ status }, Math.max(0, durationMs) / 1000);
+}
+
+/**
+ * 记录进程输出
+ *
+ * @param {number} bytes - 收到的字节数
+ * @param {number} droppedBytes - 因超出缓冲上限而丢弃的字节数
+ */
+function countOutput(bytes, droppedBytes) {
+    if (bytes > 0) outputBytesTotal.inc(bytes);
+    if (droppedBytes > 0) outputDroppedBytesTotal.inc(droppedBytes);
+}
+
+module.exports = {
+    register,
+    setGaugeProvider,
+    observeHeartbeat,
+    countTasks,
+    countCommand,
+    observeCommandFinished,
+    countOutput
+};
@@ -0,0 +1,183 @@
+/**
+ * outbox.js
+ *
+ * 发件箱模块 - 保存尚未被服务器确认的回调事件，并持久化到本地状态文件
+ *
+ * - 每个回调（process_death、command_finished 等）都是一个带 event_id 的事件
+ * - 心跳携带所有未确认的事件，服务器通过 callback.events_ack 按 event_id 确认，重复发送不会重复处理
+ * - 旧版服务器不返回 events_ack 时，HTTP响应视为确认了该次请求发送的事件；
+ *   WebSocket 推送的消息无法对应到某次发送，没有 events_ack 时不确认任何事件
+ * - 状态文件中还保存进程管理模块提供的快照（运行中的进程、未确认的输出），代理重启后据此补发
+ *
+ * 状态文件先写入临时文件再重命名，避免写到一半时崩溃留下损坏的文件。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+
+const STATE_VERSION = 1;
+// 状态变化后延迟写入的时间（毫秒），合并短时间内的多次变化
+const SAVE_DELAY = 1000;
+
+// 未确认的事件，按产生顺序排列
+let events = [];
+// 提供额外状态快照的函数
+let snapshotProvider = null;
+let saveTimer = null;
+
+/**
+ * 生成事件ID
+ *
+ * @returns {string}
+ */
+function generateEventId() {
+    return `evt-${crypto.randomBytes(8).toString('hex')}`;
+}
+
+/**
+ * 设置状态快照提供函数，保存时其返回值一并写入状态文件
+ *
+ * @param {Function} provider - () => Object
+ */
+function setSnapshotProvider(provider) {
+    snapshotProvider = provider;
+}
+
+/**
+ * 加载状态文件
+ *
+ * @returns {Object|null} 上次保存的快照，没有状态文件或文件不合法时返回null
+ */
+function load() {
+    let state;
+    try {
+        state = JSON.parse(fs.readFileSync(config.STATE_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Could not read state file ${config.STATE_FILE}, starting with an empty outbox:`, error.message);
+        }
+        return null;
+    }
+
+    if (!state || state.version !== STATE_VERSION || !Array.isArray(state.events)) {
+        console.warn(`Ignoring state file ${config.STATE_FILE} with unsupported format`);
+        return null;
+    }
+
+    events = state.events;
+    console.log(`Restored ${events.length} undelivered events from ${config.STATE_FILE} (saved at ${state.saved_at})`);
+    return state.snapshot || null;
+}
+
+/**
+ * 加入一个事件
+ *
+ * @param {string} type - 回调类型，例如 'process_death'
+ * @param {*} data - 回调内容
+ * @returns {Object} 事件
+ */
+function enqueue(type, data) {
+    const event = {
+        event_id: generateEventId(),
+        type,
+        data,
+        created_at: new Date().toISOString()
+    };
+    events.push(event);
+
+    if (events.length > config.OUTBOX_MAX_EVENTS) {
+        const dropped = events.splice(0, events.length - config.OUTBOX_MAX_EVENTS);
+        console.warn(`Outbox is full, dropped ${dropped.length} oldest events`);
+    }
+
+    scheduleSave();
+    return event;
+}
+
+/**
+ * 是否存在满足条件的未确认事件
+ *
+ * @param {string} type - 回调类型
+ * @param {Function} predicate - (data) => boolean
+ * @returns {boolean}
+ */
+function has(type, predicate) {
+    return events.some((event) => event.type === type && predicate(event.data));
+}
+
+/**
+ * 获取所有未确认的事件
+ *
+ * @returns {Array<Object>}
+ */
+function pending() {
+    return [...events];
+}
+
+/**
+ * 服务器确认收到事件
+ *
+ * @param {Array<string>} ids - 确认的事件ID
+ */
+function acknowledge(ids) {
+    const acked = new Set(ids.map(String));
+    if (acked.size === 0) return;
+
+    const before = events.length;
+    events = events.filter((event) => !acked.has(event.event_id));
+    if (events.length !== before) {
+        scheduleSave();
+    }
+}
+
+/**
+ * 稍后保存状态文件
+ */
+function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+        saveTimer = null;
+        save();
+    }, SAVE_DELAY);
+    saveTimer.unref();
+}
+
+/**
+ * 立即保存状态文件
+ */
+function save() {
+    if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+    }
+
+    const state = {
+        version: STATE_VERSION,
+        saved_at: new Date().toISOString(),
+        events,
+        snapshot: snapshotProvider ? snapshotProvider() : null
+    };
+
+    const tempFile = `${config.STATE_FILE}.tmp`;
+    try {
+        fs.mkdirSync(path.dirname(config.STATE_FILE), { recursive: true });
+        fs.writeFileSync(tempFile, JSON.stringify(state), { mode: 0o600 });
+        fs.renameSync(tempFile, config.STATE_FILE);
+    } catch (error) {
+        console.error(`Error saving state file ${config.STATE_FILE}:`, error.message);
+    }
+}
+
+module.exports = {
+    setSnapshotProvider,
+    load,
+    enqueue,
+    has,
+    pending,
+    acknowledge,
+    scheduleSave,
+    save,
+    get size() { return events.length; }
+};
@@ -0,0 +1,294 @@
+/**
+ * outputLog.js
+ *
+ * 输出日志模块 - 每个进程一份只追加的输出日志，使用单调递增的字节偏移量
+ *
+ * - 所有输出按UTF-8字节计算偏移量，心跳从服务器最后确认的偏移量开始发送
+ * - 服务器按偏移量确认，只有确认之前的数据才会被释放，发送和确认之间新到达的输出不会丢失
+ * - 内存中的未确认数据超过上限时，最旧的数据写入磁盘分段文件
+ * - 磁盘也超过上限时才真正丢弃数据，读取时会插入明确的 "N bytes dropped" 标记
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// 每个磁盘分段文件的大小上限（字节）
+const SEGMENT_SIZE = 1024 * 1024;
+
+/**
+ * 生成数据丢弃标记
+ *
+ * @param {number} bytes - 丢弃的字节数
+ * @returns {string}
+ */
+function droppedMarker(bytes) {
+    return `\r\n[agentplus: ${bytes} bytes dropped]\r\n`;
+}
+
+/**
+ * 创建输出日志
+ *
+ * @param {Object} options - 日志配置
+ * @param {string} options.name - 日志名称（通常为PID），用于命名溢出文件
+ * @param {number} options.memoryLimit - 内存中保留的未确认数据上限（字节）
+ * @param {number} options.spillLimit - 磁盘上保留的未确认数据上限（字节），为0时不写磁盘
+ * @param {string} options.spillDir - 溢出文件目录
+ * @param {number} [options.startOffset] - 起始偏移量（从状态文件恢复时沿用之前的偏移量）
+ * @returns {Object} 输出日志对象
+ */
+function createOutputLog({ name, memoryLimit, spillLimit, spillDir, startOffset = 0 }) {
+    // 内存中的数据块，按偏移量递增排列
+    let chunks = [];
+    let memoryBytes = 0;
+    // 磁盘分段 { file, offset, length }
+    let segments = [];
+    let spillBytes = 0;
+    const spillPrefix = `${name}-${crypto.randomBytes(4).toString('hex')}`;
+    let segmentCounter = 0;
+
+    // 当前可读取的最小偏移量，之前的数据已被确认或丢弃
+    let start = startOffset;
+    // 下一个写入字节的偏移量
+    let end = startOffset;
+    // 服务器已确认的偏移量
+    let acked = startOffset;
+    // 累计丢弃的未确认字节数
+    let droppedTotal = 0;
+
+    /**
+     * 追加输出
+     *
+     * @param {string} text - 输出内容
+     */
+    function append(text) {
+        if (!text) return;
+        const buf = Buffer.from(text, 'utf8');
+        chunks.push({ offset: end, buf });
+        memoryBytes += buf.length;
+        end += buf.length;
+        enforceLimits();
+    }
+
+    /**
+     * 内存超限时写入磁盘，磁盘超限时丢弃最旧的数据
+     */
+    function enforceLimits() {
+        while (memoryBytes > memoryLimit && chunks.length > 1) {
+            const chunk = chunks.shift();
+            memoryBytes -= chunk.buf.length;
+            if (spillLimit > 0) {
+                spill(chunk);
+            } else {
+                drop(chunk.offset + chunk.buf.length);
+            }
+        }
+
+        while (spillBytes > spillLimit && segments.length > 0) {
+            const segment = segments.shift();
+            spillBytes -= segment.length;
+            fs.unlink(segment.file, () => {});
+            drop(segment.offset + segment.length);
+        }
+    }
+
+    /**
+     * 将数据块写入当前磁盘分段
+     *
+     * @param {Object} chunk - 数据块
+     */
+    function spill(chunk) {
+        let segment = segments[segments.length - 1];
+        if (!segment || segment.length >= SEGMENT_SIZE) {
+            fs.mkdirSync(spillDir, { recursive: true });
+            segment = {
+                file: path.join(spillDir, `${spillPrefix}-${segmentCounter++}.log`),
+                offset: chunk.offset,
+                length: 0
+            };
+            segments.push(segment);
+        }
+        fs.appendFileSync(segment.file, chunk.buf, { mode: 0o600 });
+        segment.length += chunk.buf.length;
+        spillBytes += chunk.buf.length;
+    }
+
+    /**
+     * 丢弃指定偏移量之前的数据
+     *
+     * @param {number} offset - 新的起始偏移量
+     */
+    function drop(offset) {
+        if (offset <= start) return;
+        // 只统计服务器尚未确认的部分
+        const unacked = offset - Math.max(start, acked);
+        if (unacked > 0) {
+            droppedTotal += unacked;
+            console.warn(`Output log ${name}: dropped ${unacked} unacknowledged bytes`);
+        }
+        start = offset;
+    }
+
+    /**
+     * 读取 [from, to) 范围内的原始字节
+     *
+     * @param {number} from - 起始偏移量
+     * @param {number} to - 结束偏移量
+     * @returns {Buffer}
+     */
+    function readRange(from, to) {
+        const parts = [];
+
+        for (const segment of segments) {
+            const segEnd = segment.offset + segment.length;
+            if (segEnd <= from || segment.offset >= to) continue;
+            const readStart = Math.max(from, segment.offset);
+            const readEnd = Math.min(to, segEnd);
+            const buf = Buffer.alloc(readEnd - readStart);
+            const fd = fs.openSync(segment.file, 'r');
+            try {
+                fs.readSync(fd, buf, 0, buf.length, readStart - segment.offset);
+            } finally {
+                fs.closeSync(fd);
+            }
+            parts.push(buf);
+        }
+
+        for (const chunk of chunks) {
+            const chunkEnd = chunk.offset + chunk.buf.length;
+            if (chunkEnd <= from || chunk.offset >= to) continue;
+            parts.push(chunk.buf.subarray(Math.max(from, chunk.offset) - chunk.offset, Math.min(to, chunkEnd) - chunk.offset));
+        }
+
+        return Buffer.concat(parts);
+    }
+
+    /**
+     * 从指定偏移量开始读取
+     *
+     * @param {number} from - 起始偏移量
+     * @param {number} maxBytes - 最多读取的字节数
+     * @returns {{offset: number, end: number, data: string, dropped: number}}
+     *          offset为请求的起始偏移量，end为本次读取到的结束偏移量，dropped为其间被丢弃的字节数
+     */
+    function read(from, maxBytes) {
+        const offset = Math.min(Math.max(from, 0), end);
+        const readFrom = Math.max(offset, start);
+        const dropped = readFrom - offset;
+        let buf = readRange(readFrom, Math.min(end, readFrom + maxBytes));
+
+        // 数据被部分丢弃后起点可能落在多字节字符中间，跳过残缺的续字节
+        let skip = 0;
+        if (dropped > 0) {
+            while (skip < buf.length && (buf[skip] & 0xc0) === 0x80) skip++;
+        }
+        // 不在多字节字符中间截断
+        let cut = buf.length;
+        if (readFrom + buf.length < end) {
+            cut = utf8Boundary(buf);
+        }
+
+        const data = buf.subarray(skip, cut).toString('utf8');
+        return {
+            offset,
+            end: readFrom + cut,
+            data: dropped + skip > 0 ? droppedMarker(dropped + skip) + data : data,
+            dropped: dropped + skip
+        };
+    }
+
+    /**
+     * 读取最新的输出（用于本地API展示）
+     *
+     * @param {number} maxBytes - 最多读取的字节数
+     * @returns {string}
+     */
+    function tail(maxBytes) {
+        const from = Math.max(start, end - maxBytes);
+        let buf = readRange(from, end);
+        let skip = 0;
+        while (skip < buf.length && (buf[skip] & 0xc0) === 0x80) skip++;
+        return buf.subarray(skip).toString('utf8');
+    }
+
+    /**
+     * 服务器确认收到指定偏移量之前的所有数据
+     *
+     * @param {number} offset - 确认的偏移量
+     */
+    function ack(offset) {
+        const target = Math.min(Number(offset) || 0, end);
+        if (target <= acked) return;
+        acked = target;
+
+        chunks = chunks.filter((chunk) => {
+            if (chunk.offset + chunk.buf.length <= acked) {
+                memoryBytes -= chunk.buf.length;
+                return false;
+            }
+            return true;
+        });
+        segments = segments.filter((segment) => {
+            if (segment.offset + segment.length <= acked) {
+                spillBytes -= segment.length;
+                fs.unlink(segment.file, () => {});
+                return false;
+            }
+            return true;
+        });
+        start = Math.max(start, acked);
+    }
+
+    /**
+     * 删除所有溢出文件
+     */
+    function destroy() {
+        for (const segment of segments) {
+            fs.unlink(segment.file, () => {});
+        }
+        segments = [];
+        chunks = [];
+        memoryBytes = 0;
+        spillBytes = 0;
+    }
+
+    return {
+        append,
+        read,
+        tail,
+        ack,
+        destroy,
+        get start() { return start; },
+        get end() { return end; },
+        get acked() { return acked; },
+        get droppedTotal() { return droppedTotal; },
+        get pendingBytes() { return end - Math.max(acked, start); },
+        get memoryBytes() { return memoryBytes; },
+        get spillBytes() { return spillBytes; }
+    };
+}
+
+/**
+ * 计算不截断多字节字符的最大长度
+ *
+ * @param {Buffer} buf - 数据
+ * @returns {number}
+ */
+function utf8Boundary(buf) {
+    let i = buf.length;
+    // 向前最多回退3个字节寻找字符起始字节
+    for (let back = 1; back <= 3 && i - back >= 0; back++) {
+        const byte = buf[i - back];
+        if ((byte & 0xc0) === 0x80) continue; // 续字节
+        if (byte < 0x80) return i;
+        // 多字节字符的起始字节，检查它是否完整
+        const needed = byte >= 0xf0 ? 4 : byte >= 0xe0 ? 3 : 2;
+        return back >= needed ? i : i - back;
+    }
+    return i;
+}
+
+module.exports = {
+    createOutputLog,
+    droppedMarker
+};
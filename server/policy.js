@@ -0,0 +1,471 @@
+/**
+ * policy.js
+ *
+ * 命令策略模块 - 在命令写入shell之前按本地策略文件进行检查
+ *
+ * 策略文件（JSON）示例：
+ * {
+ *   "default": "allow",
+ *   "rules": [
+ *     { "id": "no-rm-root", "action": "deny", "pattern": "rm\\s+-[a-zA-Z]*r[a-zA-Z]*f?\\s+/(\\s|$)" },
+ *     { "id": "no-power", "action": "deny", "commands": ["shutdown", "reboot", "mkfs"] },
+ *     { "id": "sudo", "action": "confirm", "commands": ["sudo"] },
+ *     { "id": "deploy", "action": "allow", "commands": ["git"], "cwd": ["/srv/app"] }
+ *   ],
+ *   "allowed_paths": ["/home/dev", "/tmp"],
+ *   "allowed_cwd": ["/home/dev"],
+ *   "raw_input": "deny"
+ * }
+ *
+ * - 复合命令（; && || | 以及 $() 和反引号中的子命令）被拆分成多个片段分别匹配
+ * - 每个片段使用第一条匹配的规则，没有匹配时使用 default
+ * - 任一片段被拒绝则整条命令被拒绝；否则任一片段需要确认则整条命令需要本地确认
+ * - allowed_paths / allowed_cwd 对所有允许的命令额外限制路径参数和工作目录
+ * - 文件操作（file_ops）只能访问 allowed_paths 之内的路径；没有配置 allowed_paths 时只有 default 为 allow 才允许
+ * - raw_input 控制是否接受 send_input 任务（原样写入终端的按键，无法按命令检查），有策略文件时默认 deny；
+ *   设为 allow 后服务器可以通过输入绕过上面的规则，只在需要回答交互提示且信任服务器时使用
+ *
+ * 策略只能分析命令文本，无法覆盖变量展开、eval等所有写法，生产环境建议使用 "default": "deny"。
+ * 策略文件修改后自动重新加载；新文件不合法时继续使用之前的策略。
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('./config');
+
+const ACTIONS = new Set(['allow', 'deny', 'confirm']);
+// 这些命令会执行其后的命令，匹配时两者都算作命令名
+const WRAPPER_COMMANDS = new Set(['sudo', 'env', 'nohup', 'time', 'nice', 'command', 'exec', 'builtin', 'xargs', 'timeout', 'watch']);
+
+// 当前生效的策略，null表示没有策略文件（允许所有命令）
+let currentPolicy = null;
+let watching = false;
+
+/**
+ * 校验并编译策略
+ *
+ * @param {Object} raw - 策略文件内容
+ * @returns {Object} 编译后的策略
+ * @throws {Error} 策略不合法时
+ */
+function compilePolicy(raw) {
+    if (!raw || typeof raw !== 'object') {
+        throw new Error('Policy must be a JSON object');
+    }
+
+    const defaultAction = raw.default || 'allow';
+    if (!ACTIONS.has(defaultAction)) {
+        throw new Error(`Invalid default action: ${defaultAction}`);
+    }
+
+    const rules = (raw.rules || []).map((rule, index) => {
+        if (!ACTIONS.has(rule.action)) {
+            throw new Error(`Rule ${rule.id || index}: invalid action ${rule.action}`);
+        }
+        if (!rule.pattern && !rule.commands && !rule.cwd) {
+            throw new Error(`Rule ${rule.id || index}: needs at least one of pattern, commands, cwd`);
+        }
+        return {
+            id: rule.id || `rule-${index}`,
+            action: rule.action,
+            pattern: rule.pattern ? new RegExp(rule.pattern, rule.flags || '') : null,
+            commands: rule.commands ? new Set(rule.commands) : null,
+            cwd: rule.cwd ? rule.cwd.map(expandPath) : null
+        };
+    });
+
+    // 原样输入可以绕过命令规则，只有明确配置为 allow 时才接受
+    const rawInput = raw.raw_input || 'deny';
+    if (rawInput !== 'allow' && rawInput !== 'deny') {
+        throw new Error(`Invalid raw_input action: ${rawInput}`);
+    }
+
+    return {
+        defaultAction,
+        rules,
+        rawInput,
+        allowedPaths: raw.allowed_paths ? raw.allowed_paths.map(expandPath) : null,
+        allowedCwd: raw.allowed_cwd ? raw.allowed_cwd.map(expandPath) : null
+    };
+}
+
+/**
+ * 加载策略文件
+ *
+ * @returns {boolean} 是否加载成功
+ */
+function loadPolicy() {
+    let text;
+    try {
+        text = fs.readFileSync(config.POLICY_FILE, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            if (currentPolicy !== null) {
+                console.warn(`Policy file ${config.POLICY_FILE} was removed, all commands are now allowed`);
+            }
+            currentPolicy = null;
+            return true;
+        }
+        console.error(`Error reading policy file ${config.POLICY_FILE}:`, error.message);
+        return false;
+    }
+
+    try {
+        currentPolicy = compilePolicy(JSON.parse(text));
+        console.log(`Loaded command policy from ${config.POLICY_FILE} (${currentPolicy.rules.length} rules, default ${currentPolicy.defaultAction})`);
+        return true;
+    } catch (error) {
+        console.error(`Invalid policy file ${config.POLICY_FILE}, keeping previous policy:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * 加载策略并在文件变化时自动重新加载
+ */
+function watchPolicy() {
+    loadPolicy();
+    if (!currentPolicy) {
+        console.warn(`No policy file at ${config.POLICY_FILE}, all commands from the server are allowed`);
+    }
+    if (watching) return;
+    watching = true;
+    // watchFile基于轮询，编辑器以替换文件的方式保存时同样有效
+    fs.watchFile(config.POLICY_FILE, { interval: 1000 }, (curr, prev) => {
+        if (curr.mtimeMs !== prev.mtimeMs || curr.size !== prev.size) {
+            loadPolicy();
+        }
+    }).unref();
+}
+
+/**
+ * 检查命令是否符合策略
+ *
+ * @param {string} command - 命令内容
+ * @param {Object} context - 执行上下文
+ * @param {string} context.cwd - 进程当前工作目录
+ * @returns {{action: string, rule: string|null, reason: string|null}}
+ */
+function evaluateCommand(command, { cwd }) {
+    const policy = currentPolicy;
+    if (!policy) {
+        return { action: 'allow', rule: null, reason: null };
+    }
+
+    if (policy.allowedCwd && !isWithin(cwd, policy.allowedCwd)) {
+        return { action: 'deny', rule: 'allowed_cwd', reason: `Working directory ${cwd} is not allowed` };
+    }
+
+    let confirm = null;
+    for (const segment of splitCommand(command)) {
+        const names = commandNames(segment);
+        const rule = policy.rules.find((r) => ruleMatches(r, segment, names, cwd));
+        const action = rule ? rule.action : policy.defaultAction;
+        const ruleId = rule ? rule.id : 'default';
+
+        if (action === 'deny') {
+            return { action: 'deny', rule: ruleId, reason: `Denied by rule ${ruleId}: ${segment}` };
+        }
+        if (action === 'confirm' && !confirm) {
+            confirm = { action: 'confirm', rule: ruleId, reason: `Rule ${ruleId} requires local confirmation` };
+        }
+
+        if (policy.allowedPaths) {
+            for (const arg of pathArguments(segment)) {
+                const resolved = path.resolve(cwd, expandHome(arg));
+                if (!isWithin(resolved, policy.allowedPaths)) {
+                    return { action: 'deny', rule: 'allowed_paths', reason: `Path ${resolved} is not allowed` };
+                }
+            }
+        }
+    }
+
+    return confirm || { action: 'allow', rule: null, reason: null };
+}
+
+/**
+ * 检查路径是否在策略允许的范围内（文件操作等使用）
+ *
+ * 没有配置 allowed_paths 时按 default 处理：只有 default 为 allow 时允许，
+ * 文件操作无法本地确认，confirm 视为拒绝。
+ *
+ * @param {string} absolutePath - 绝对路径
+ * @returns {{allowed: boolean, rule: string|null}}
+ */
+function checkPath(absolutePath) {
+    const policy = currentPolicy;
+    if (!policy) {
+        return { allowed: true, rule: null };
+    }
+    if (!policy.allowedPaths) {
+        return policy.defaultAction === 'allow'
+            ? { allowed: true, rule: null }
+            : { allowed: false, rule: 'default' };
+    }
+    if (isWithin(absolutePath, policy.allowedPaths)) {
+        return { allowed: true, rule: null };
+    }
+    return { allowed: false, rule: 'allowed_paths' };
+}
+
+/**
+ * 是否允许原样写入终端的输入（send_input 任务）
+ *
+ * @returns {boolean}
+ */
+function isRawInputAllowed() {
+    const policy = currentPolicy;
+    return !policy || policy.rawInput === 'allow';
+}
+
+/**
+ * 规则是否匹配命令片段
+ *
+ * @param {Object} rule - 编译后的规则
+ * @param {string} segment - 命令片段
+ * @param {Array<string>} names - 片段中的命令名
+ * @param {string} cwd - 工作目录
+ * @returns {boolean}
+ */
+function ruleMatches(rule, segment, names, cwd) {
+    if (rule.pattern && !rule.pattern.test(segment)) return false;
+    if (rule.commands && !names.some((name) => rule.commands.has(name))) return false;
+    if (rule.cwd && !isWithin(cwd, rule.cwd)) return false;
+    return true;
+}
+
+/**
+ * 将复合命令拆分为片段
+ *
+ * 在引号之外按 ; & | 和换行拆分，并把 $() 与反引号中的子命令作为额外的片段
+ *
+ * @param {string} command - 命令内容
+ * @returns {Array<string>} 命令片段
+ */
+function splitCommand(command) {
+    const segments = [];
+    let current = '';
+    let quote = null;
+    let i = 0;
+
+    const flush = () => {
+        if (current.trim()) segments.push(current.trim());
+        current = '';
+    };
+
+    while (i < command.length) {
+        const ch = command[i];
+
+        if (quote) {
+            current += ch;
+            if (ch === '\\' && quote === '"' && i + 1 < command.length) {
+                current += command[++i];
+            } else if (ch === quote) {
+                quote = null;
+            }
+            // 双引号中的命令替换同样会被执行
+            if (quote === '"' && ch === '$' && command[i + 1] === '(') {
+                const inner = extractParenthesized(command, i + 1);
+                segments.push(...splitCommand(inner.text));
+            }
+            i++;
+            continue;
+        }
+
+        if (ch === '\\' && i + 1 < command.length) {
+            current += ch + command[i + 1];
+            i += 2;
+            continue;
+        }
+        if (ch === '"' || ch === "'") {
+            quote = ch;
+            current += ch;
+            i++;
+            continue;
+        }
+        if (ch === '$' && command[i + 1] === '(') {
+            const inner = extractParenthesized(command, i + 1);
+            segments.push(...splitCommand(inner.text));
+            current += command.substring(i, inner.end);
+            i = inner.end;
+            continue;
+        }
+        if (ch === '`') {
+            const end = command.indexOf('`', i + 1);
+            const inner = end === -1 ? command.substring(i + 1) : command.substring(i + 1, end);
+            segments.push(...splitCommand(inner));
+            current += end === -1 ? command.substring(i) : command.substring(i, end + 1);
+            i = end === -1 ? command.length : end + 1;
+            continue;
+        }
+        if (ch === ';' || ch === '&' || ch === '|' || ch === '\n' || ch === '(' || ch === ')') {
+            flush();
+            i++;
+            continue;
+        }
+
+        current += ch;
+        i++;
+    }
+    flush();
+
+    return segments;
+}
+
+/**
+ * 提取括号中的内容
+ *
+ * @param {string} text - 文本
+ * @param {number} open - 左括号的位置
+ * @returns {{text: string, end: number}} 括号内的内容和右括号之后的位置
+ */
+function extractParenthesized(text, open) {
+    let depth = 0;
+    for (let i = open; i < text.length; i++) {
+        if (text[i] === '(') depth++;
+        if (text[i] === ')') {
+            depth--;
+            if (depth === 0) {
+                return { text: text.substring(open + 1, i), end: i + 1 };
+            }
+        }
+    }
+    return { text: text.substring(open + 1), end: text.length };
+}
+
+/**
+ * 按空白拆分命令片段，去掉引号
+ *
+ * @param {string} segment - 命令片段
+ * @returns {Array<string>} 单词列表
+ */
+function tokenize(segment) {
+    const tokens = [];
+    let current = '';
+    let quote = null;
+    let hasToken = false;
+
+    for (let i = 0; i < segment.length; i++) {
+        const ch = segment[i];
+        if (quote) {
+            if (ch === quote) {
+                quote = null;
+            } else if (ch === '\\' && quote === '"' && i + 1 < segment.length) {
+                current += segment[++i];
+            } else {
+                current += ch;
+            }
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+            hasToken = true;
+        } else if (ch === '\\' && i + 1 < segment.length) {
+            current += segment[++i];
+            hasToken = true;
+        } else if (/\s/.test(ch)) {
+            if (hasToken || current) tokens.push(current);
+            current = '';
+            hasToken = false;
+        } else {
+            current += ch;
+            hasToken = true;
+        }
+    }
+    if (hasToken || current) tokens.push(current);
+
+    return tokens;
+}
+
+/**
+ * 提取片段中执行的命令名（跳过环境变量赋值，并展开sudo等包装命令）
+ *
+ * @param {string} segment - 命令片段
+ * @returns {Array<string>} 命令名列表
+ */
+function commandNames(segment) {
+    const names = [];
+    const tokens = tokenize(segment);
+    let expectCommand = true;
+
+    for (const token of tokens) {
+        if (!expectCommand) break;
+        // 跳过 VAR=value 形式的环境变量赋值
+        if (/^[A-Za-z_][A-Za-z0-9_]*=/.test(token)) continue;
+        // 跳过包装命令的选项，例如 sudo -u root、timeout 10
+        if (names.length > 0 && (token.startsWith('-') || /^\d+[smhd]?$/.test(token))) continue;
+
+        const name = path.basename(token);
+        names.push(name);
+        expectCommand = WRAPPER_COMMANDS.has(name);
+    }
+
+    return names;
+}
+
+/**
+ * 提取片段中看起来像路径的参数（包括重定向目标）
+ *
+ * @param {string} segment - 命令片段
+ * @returns {Array<string>} 路径参数列表
+ */
+function pathArguments(segment) {
+    const paths = [];
+    tokenize(segment).forEach((token, index) => {
+        // 去掉重定向前缀，例如 >file、2>>file、<file
+        const value = token.replace(/^\d*(>>?|<)&?/, '');
+        if (!value || (value.startsWith('-') && index > 0)) return;
+        if (value.startsWith('/') || value.startsWith('~') || value === '..' || value.startsWith('../') || value.includes('/../') || (value.startsWith('./') && value.length > 2)) {
+            paths.push(value);
+        }
+    });
+    return paths;
+}
+
+/**
+ * 展开路径开头的 ~
+ *
+ * @param {string} value - 路径
+ * @returns {string}
+ */
+function expandHome(value) {
+    if (value === '~' || value.startsWith('~/')) {
+        return path.join(os.homedir(), value.substring(1));
+    }
+    return value;
+}
+
+/**
+ * 将配置中的路径转换为绝对路径
+ *
+ * @param {string} value - 路径
+ * @returns {string}
+ */
+function expandPath(value) {
+    return path.resolve(expandHome(value));
+}
+
+/**
+ * 路径是否位于任一根目录之内
+ *
+ * @param {string} target - 目标路径
+ * @param {Array<string>} roots - 根目录列表
+ * @returns {boolean}
+ */
+function isWithin(target, roots) {
+    const resolved = path.resolve(target);
+    return roots.some((root) => {
+        const relative = path.relative(root, resolved);
+        return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+    });
+}
+
+module.exports = {
+    loadPolicy,
+    watchPolicy,
+    evaluateCommand,
+    checkPath,
+    isRawInputAllowed,
+    splitCommand,
+    commandNames,
+    isWithin
+};
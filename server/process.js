@@ -1,7 +1,3 @@
-
-import {executeSpecialCommand} from "./specialCommand"
-
-
 /**
  * process.js
  * 
@@ -23,135 +19,603 @@ const pty = require('node-pty');
 const process = require('process');
 const os = require('os');
 const path = require('path');
+const { EventEmitter } = require('events');
+const shellIntegration = require('./shellIntegration');
+const commandResults = require('./commandResults');
+const { createOutputLog } = require('./outputLog');
+const { createScrollback } = require('./scrollback');
+const recorder = require('./recorder');
+const policy = require('./policy');
+const specialCommand = require('./specialCommand');
+const fileOps = require('./fileOps');
+const procfs = require('./procfs');
+const outbox = require('./outbox');
+const metrics = require('./metrics');
+const { createTerminalEmulator } = require('./terminalEmulator');
+const redaction = require('./redaction');
+const processEnv = require('./processEnv');
+const resources = require('./resources');
+const { validateProcessOptions, validateTerminalSize, describeProcessOptions } = require('./processOptions');
+const config = require('./config');
+
+// 进程事件：'output' (pid, data)、'resize' (pid, {cols, rows})、'exit' (pid)，供WebSocket传输和网页终端等模块订阅
+const events = new EventEmitter();
 
 // 进程管理数据结构
 const runningProcesses = new Map(); // 存储运行中的进程，键为PID，值为进程对象
-const processOutputBuffer = new Map(); // 存储进程输出缓冲，键为PID，值为输出字符串
+const processOutputLogs = new Map(); // 存储进程输出日志，键为PID，值为输出日志对象（进程结束后保留到输出被服务器确认为止）
+const processOutputSent = new Map(); // 记录每个进程最近一次心跳发送到的输出偏移量，用于兼容按PID确认的旧版服务器
+const processPlainLogs = new Map(); // 存储进程的纯文本输出日志（终端模拟器渲染后的行，启用 plain 输出形式时写入）
 const processCommandExecuted = new Map(); // 跟踪每个进程是否执行了命令，键为PID，值为布尔值
+const pendingConfirmations = new Map(); // 等待本地确认的命令，键为命令ID
+const processCommands = new Map(); // 存储每个进程的命令记录，键为PID，值为命令记录数组（进程结束后保留到服务器确认为止）
+
+// 心跳可以携带的输出形式：raw（原始字节）、plain（纯文本记录）、screen（当前屏幕快照）
+const OUTPUT_FORMATS = ['raw', 'plain', 'screen'];
+// 当前选择的输出形式，服务器可以在响应中通过 output_formats 重新选择
+let outputFormats = normalizeOutputFormats(config.OUTPUT_FORMATS) || ['raw'];
+
+// 每个进程最多保留的已结束命令记录数
+const MAX_FINISHED_RESULTS = 50;
+
+// 资源统计定时器
+let resourceTimer = null;
+
+// 前台程序信息的缓存时间（毫秒）：WebSocket推送可能很频繁，避免每次都扫描 /proc
+const FOREGROUND_CACHE_MS = 1000;
 
 /**
  * 处理进程输出
  * 
+ * 对于启用了shell集成的进程，先从输出中剥离命令开始/结束标记，
+ * 再把剩余的可见输出追加到输出缓冲
+ * 
  * @param {string} pid - 进程ID
  * @param {string} data - 输出数据
  * @param {boolean} isError - 是否是错误输出 (node-pty不区分stdout和stderr，此参数保留以兼容现有结构)
  */
 function handleProcessOutput(pid, data, isError = false) {
-    if (!processOutputBuffer.has(pid)) {
-        processOutputBuffer.set(pid, '');
+    const output = data.toString();
+    metrics.countOutput(Buffer.byteLength(output), 0);
+    const proc = runningProcesses.get(pid);
+    
+    if (!proc) {
+        // 进程退出后才到达的残余输出
+        const redactor = redaction.createRedactor({ onOutput: (text) => appendProcessOutput(pid, text, isError) });
+        redactor.write(output);
+        redactor.flush();
+        return;
     }
     
-    const output = data.toString();
-    let currentBuffer = processOutputBuffer.get(pid);
+    // 记录最后输出时间
+    proc._lastOutputTime = Date.now();
     
-    // 检查是否需要提取新的工作目录
-    const proc = runningProcesses.get(pid);
-    if (proc) {
-        // 记录最后输出时间
-        proc._lastOutputTime = Date.now();
-        
-        if (proc._expectPwd && !isError) {
-            const lines = output.trim().split('\n');
-            if (lines.length > 0) {
-                const possiblePath = lines[lines.length - 1].trim();
-                // 简单验证这是否看起来像一个路径
-                if (possiblePath.startsWith('/') || /^[A-Z]:\\/.test(possiblePath)) {
-                    proc.workingDirectory = possiblePath;
-                    proc._expectPwd = false;
-                    console.log(`Updated working directory for process ${pid} to: ${possiblePath}`);
-                    
-                    // 从输出中移除 pwd 命令的结果
-                    const outputWithoutPwd = output.substring(0, output.lastIndexOf(possiblePath));
-                    currentBuffer += (isError ? `[ERROR] ${outputWithoutPwd}` : outputWithoutPwd);
-                } else {
-                    currentBuffer += (isError ? `[ERROR] ${output}` : output);
-                }
-            } else {
-                currentBuffer += (isError ? `[ERROR] ${output}` : output);
-            }
+    if (!proc._markerParser) {
+        proc._redactor.write(output);
+        return;
+    }
+    
+    // 按顺序处理输出片段和标记；处理标记前先输出脱敏器暂存的内容，保证标记前后的输出归属正确
+    for (const part of proc._markerParser.feed(output)) {
+        if (typeof part === 'string') {
+            proc._redactor.write(part);
         } else {
-            // 正常处理输出
-            currentBuffer += (isError ? `[ERROR] ${output}` : output);
+            proc._redactor.flush();
+            handleShellMarker(pid, proc, part);
         }
+    }
+}
+
+/**
+ * 处理脱敏后的输出
+ * 
+ * @param {string} pid - 进程ID
+ * @param {Object} proc - 进程对象
+ * @param {string} text - 脱敏后的输出
+ */
+function handleRedactedOutput(pid, proc, text) {
+    // 命令开始执行之后、结束之前的输出归属于该命令
+    const current = proc._runningCommands[0];
+    if (current && current._execStarted) {
+        commandResults.appendCommandOutput(current, text);
+    }
+    appendProcessOutput(pid, text);
+}
+
+/**
+ * 将可见输出追加到进程输出缓冲
+ * 
+ * @param {string} pid - 进程ID
+ * @param {string} output - 输出内容
+ * @param {boolean} isError - 是否是错误输出
+ */
+function appendProcessOutput(pid, output, isError = false) {
+    if (!output) return;
+    
+    const proc = runningProcesses.get(pid);
+    if (proc && proc._emulator) proc._emulator.write(output);
+    if (proc && proc._scrollback) proc._scrollback.append(output);
+    const log = getOutputLog(pid);
+    const droppedBefore = log.droppedTotal;
+    log.append(isError ? `[ERROR] ${output}` : output);
+    metrics.countOutput(0, log.droppedTotal - droppedBefore);
+    // 未确认的输出会写入状态文件
+    outbox.scheduleSave();
+    
+    events.emit('output', pid, output);
+}
+
+/**
+ * 获取进程的输出日志，不存在时创建
+ * 
+ * @param {string} pid - 进程ID
+ * @returns {Object} 输出日志对象
+ */
+function getOutputLog(pid) {
+    if (!processOutputLogs.has(pid)) {
+        processOutputLogs.set(pid, createOutputLog({
+            name: pid,
+            memoryLimit: config.OUTPUT_MEMORY_LIMIT,
+            spillLimit: config.OUTPUT_SPILL_LIMIT,
+            spillDir: config.OUTPUT_SPILL_DIR
+        }));
+    }
+    return processOutputLogs.get(pid);
+}
+
+/**
+ * 服务器确认收到进程输出
+ * 
+ * @param {string} pid - 进程ID
+ * @param {number} [offset] - 确认的偏移量，不提供时确认到最近一次心跳发送的位置（旧版服务器）
+ */
+function acknowledgeOutput(pid, offset) {
+    const log = processOutputLogs.get(pid);
+    if (!log) return;
+    
+    const target = offset === undefined || offset === null ? processOutputSent.get(pid) : Number(offset);
+    if (target === undefined || Number.isNaN(target)) return;
+    
+    log.ack(target);
+    releaseOutputLog(pid);
+    outbox.scheduleSave();
+}
+
+/**
+ * 进程已结束且输出全部确认后释放输出日志
+ * 
+ * @param {string} pid - 进程ID
+ */
+function releaseOutputLog(pid) {
+    if (runningProcesses.has(pid)) return;
+    
+    const plainLog = processPlainLogs.get(pid);
+    if (plainLog && plainLog.pendingBytes === 0) {
+        plainLog.destroy();
+        processPlainLogs.delete(pid);
+    }
+    
+    const log = processOutputLogs.get(pid);
+    if (!log || log.pendingBytes > 0) return;
+    
+    log.destroy();
+    processOutputLogs.delete(pid);
+    processOutputSent.delete(pid);
+}
+
+/**
+ * 获取进程的纯文本输出日志，不存在时创建
+ * 
+ * @param {string} pid - 进程ID
+ * @returns {Object} 输出日志
+ */
+function getPlainLog(pid) {
+    if (!processPlainLogs.has(pid)) {
+        processPlainLogs.set(pid, createOutputLog({
+            name: `${pid}-plain`,
+            memoryLimit: config.OUTPUT_MEMORY_LIMIT,
+            spillLimit: config.OUTPUT_SPILL_LIMIT,
+            spillDir: config.OUTPUT_SPILL_DIR
+        }));
+    }
+    return processPlainLogs.get(pid);
+}
+
+/**
+ * 终端模拟器渲染完一行时写入纯文本日志（只在启用 plain 输出形式时记录）
+ * 
+ * @param {string} pid - 进程ID
+ * @param {string} line - 渲染后的行
+ */
+function appendPlainLine(pid, line) {
+    if (!outputFormats.includes('plain')) return;
+    getPlainLog(pid).append(`${line.replace(/\s+$/, '')}\n`);
+}
+
+/**
+ * 处理服务器对纯文本输出的确认
+ * 
+ * @param {string} pid - 进程ID
+ * @param {number} offset - 确认的偏移量
+ */
+function acknowledgePlainOutput(pid, offset) {
+    const log = processPlainLogs.get(pid);
+    const target = Number(offset);
+    if (!log || Number.isNaN(target)) return;
+    
+    log.ack(target);
+    releaseOutputLog(pid);
+}
+
+/**
+ * 规范化输出形式列表，忽略不认识的形式
+ * 
+ * @param {*} formats - 输出形式数组
+ * @returns {Array<string>|null} 去重后的输出形式，没有可用的形式时返回null
+ */
+function normalizeOutputFormats(formats) {
+    if (!Array.isArray(formats)) return null;
+    const unknown = formats.filter(format => !OUTPUT_FORMATS.includes(format));
+    if (unknown.length > 0) {
+        console.warn(`Ignoring unknown output formats: ${unknown.join(', ')}`);
+    }
+    const result = OUTPUT_FORMATS.filter(format => formats.includes(format));
+    return result.length > 0 ? result : null;
+}
+
+/**
+ * 选择心跳携带的输出形式（服务器响应中的 output_formats）
+ * 
+ * @param {Array<string>} formats - 输出形式，例如 ['plain', 'screen']
+ */
+function setOutputFormats(formats) {
+    const normalized = normalizeOutputFormats(formats);
+    if (!normalized) {
+        console.warn(`Ignoring invalid output_formats: ${JSON.stringify(formats)}`);
+        return;
+    }
+    if (normalized.join(',') === outputFormats.join(',')) return;
+    
+    outputFormats = normalized;
+    console.log(`Heartbeat output formats set to: ${outputFormats.join(', ')}`);
+}
+
+/**
+ * 处理shell集成标记
+ * 
+ * - start: 命令开始执行，记录开始时间
+ * - end: 提示符重新出现，命令执行完毕，记录退出码、耗时并更新工作目录
+ * 
+ * @param {string} pid - 进程ID
+ * @param {Object} proc - 进程对象
+ * @param {Object} marker - 标记对象
+ */
+function handleShellMarker(pid, proc, marker) {
+    // 命令按写入顺序依次执行，队首就是当前正在执行的命令
+    const current = proc._runningCommands[0];
+    
+    if (marker.type === 'start') {
+        if (current && !current._builtin) {
+            current.started_at = Date.now();
+            current._execStarted = true;
+        }
+        return;
+    }
+    
+    // 会话内的命令可以伪造结束标记（nonce对shell可见，见 shellIntegration.js）：
+    // 能读取 /proc 时，只接受shell自己在终端前台时出现的结束标记，命令仍在前台运行时出现的标记忽略
+    const pgid = procfs.getForegroundProcessGroup(proc.pid);
+    if (pgid && pgid !== proc.pid) {
+        console.warn(`Process ${pid}: ignoring an end marker printed while process group ${pgid} is in the foreground`);
+        return;
+    }
+    
+    // 第一次出现提示符说明bash已读取完初始化脚本，可以删除它
+    if (proc._rcfile) {
+        shellIntegration.removeIntegration(proc._rcfile);
+        proc._rcfile = null;
+    }
+    
+    // 工作目录用于命令策略和文件操作，优先使用 /proc 中shell的实际工作目录，而不是标记中的路径
+    const cwd = procfs.readCwd(proc.pid) || marker.cwd;
+    if (cwd && cwd !== proc.workingDirectory) {
+        proc.workingDirectory = cwd;
+        console.log(`Updated working directory for process ${pid} to: ${cwd}`);
+    }
+    
+    // 第一个提示符表示shell已就绪，此前不会写入任何命令，队列从这里开始执行
+    if (!proc._shellReady) {
+        proc._shellReady = true;
+        drainCommandQueue(pid, proc);
+        return;
+    }
+    
+    // 命令按队列逐条写入，提示符重新出现时队首就是刚结束的命令
+    // （语法错误的命令没有开始标记，同样在这里结束）；内置命令不经过shell，由 runSpecialCommand 结束
+    if (!current || current._builtin) return;
+    
+    completeCommand(pid, proc, current, marker.exitCode);
+}
+
+/**
+ * 结束一条已写入shell的命令：移出执行列表，更新记录并通过command_finished回调上报
+ * 
+ * @param {string} pid - 进程ID
+ * @param {Object} proc - 进程对象
+ * @param {Object} record - 命令记录
+ * @param {number|null} exitCode - 退出码，未知时为null
+ * @param {string} [error] - 错误信息（内置命令执行失败时）
+ */
+function completeCommand(pid, proc, record, exitCode, error) {
+    clearTimeout(record._timeoutTimer);
+    proc._runningCommands = proc._runningCommands.filter(r => r !== record);
+    if (record._timedOut) {
+        commandResults.finishCommandRecord(record, exitCode, commandResults.COMMAND_STATUS.TIMEOUT, `Command timed out after ${record._timeoutMs}ms`);
     } else {
-        // 正常处理输出
-        currentBuffer += (isError ? `[ERROR] ${output}` : output);
+        commandResults.finishCommandRecord(record, exitCode, null, error);
+    }
+    // 最近的退出码指shell中的命令，内置命令不影响
+    if (!record._builtin) proc._lastExitCode = exitCode;
+    // 环境变量脚本在shell中执行成功后才更新代理记录的环境变量和脱敏器；
+    // 被 clear_queue 移除、超时或执行失败的修改不生效
+    if (record._envChange && record.status === commandResults.COMMAND_STATUS.DONE && exitCode === 0) {
+        proc._env = applyEnvChange(proc._env, record._envChange);
+        proc._redactor.setEnv(proc._env);
+    }
+    
+    const finished = {
+        PID: pid,
+        command_id: record.command_id,
+        command: record.command,
+        status: record.status,
+        exit_code: exitCode,
+        duration_ms: record.ended_at - record.started_at,
+        cwd: proc.workingDirectory,
+        finished_at: new Date(record.ended_at).toISOString()
+    };
+    queueCallback('command_finished', finished);
+    console.log(`Process ${pid} command ${record.command_id} finished (${record.status}) with exit code ${exitCode} in ${finished.duration_ms}ms`);
+    
+    // 上一条命令结束后才写入队列中的下一条（restart-shell 结束时原来的shell已经不存在）
+    if (runningProcesses.get(pid) === proc) {
+        drainCommandQueue(pid, proc);
+        processCommandExecuted.set(pid, proc._runningCommands.length > 0 || proc._commandQueue.length > 0);
     }
     
-    // 限制缓冲区大小，例如只保留最新的10KB数据
-    const MAX_BUFFER_SIZE = 10 * 1024; // 10KB
-    if (currentBuffer.length > MAX_BUFFER_SIZE) {
-        currentBuffer = currentBuffer.substring(currentBuffer.length - MAX_BUFFER_SIZE);
+    // 命令结束，尽快通知服务器
+    if (module.exports.scheduleNextHeartbeat && module.exports.COMMAND_RESPONSE_DELAY) {
+        module.exports.scheduleNextHeartbeat(module.exports.COMMAND_RESPONSE_DELAY);
+    }
+}
+
+// 命令超时后依次尝试的取消方式：先在终端中按Ctrl-C，再向前台作业发送SIGTERM，最后SIGKILL
+const TIMEOUT_ESCALATION = ['SIGINT', 'SIGTERM', 'SIGKILL'];
+
+/**
+ * 解析命令的超时时间
+ * 
+ * @param {*} timeoutMs - 任务中的 timeout_ms，未提供时使用 COMMAND_TIMEOUT_MS
+ * @returns {number} 超时时间（毫秒），0表示不限制
+ * @throws {Error} 取值不合法时
+ */
+function resolveCommandTimeout(timeoutMs) {
+    if (timeoutMs === undefined || timeoutMs === null) return config.COMMAND_TIMEOUT_MS;
+    const value = Number(timeoutMs);
+    if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`Invalid timeout_ms: ${timeoutMs}`);
+    }
+    return value;
+}
+
+/**
+ * 为已写入shell的命令启动超时计时
+ * 
+ * @param {string} pid - 进程ID
+ * @param {Object} proc - 进程对象
+ * @param {Object} record - 命令记录
+ * @param {number} timeoutMs - 超时时间（毫秒），0表示不限制
+ */
+function startCommandTimeout(pid, proc, record, timeoutMs) {
+    if (!(timeoutMs > 0)) return;
+    record._timeoutMs = timeoutMs;
+    record._timeoutTimer = setTimeout(() => cancelTimedOutCommand(pid, proc, record, 0), timeoutMs);
+    record._timeoutTimer.unref();
+}
+
+/**
+ * 取消超时的命令，每一步之后等待 COMMAND_KILL_GRACE_MS，命令仍未结束时进入下一步
+ * 
+ * shell集成的结束标记到达后命令以 timeout 状态结束，shell会话保持可用
+ * 
+ * @param {string} pid - 进程ID
+ * @param {Object} proc - 进程对象
+ * @param {Object} record - 命令记录
+ * @param {number} step - 当前步骤，对应 TIMEOUT_ESCALATION 的下标
+ */
+function cancelTimedOutCommand(pid, proc, record, step) {
+    if (commandResults.isFinished(record) || !proc._runningCommands.includes(record)) return;
+    
+    if (step >= TIMEOUT_ESCALATION.length) {
+        // 所有取消方式都已尝试，仍没有结束标记（例如shell本身卡住或不支持集成），直接按超时结束
+        console.warn(`Process ${pid} command ${record.command_id} did not exit after SIGKILL, marking it as timed out`);
+        completeCommand(pid, proc, record, null);
+        return;
+    }
+    
+    const signal = TIMEOUT_ESCALATION[step];
+    if (step === 0) {
+        record._timedOut = true;
+        console.warn(`Process ${pid} command ${record.command_id} timed out after ${record._timeoutMs}ms, sending Ctrl-C`);
+        // 通过终端行规程发送，同样能中断 read 等shell内建命令
+        writeToProcess(proc, '\x03');
+    } else {
+        const pgid = procfs.getForegroundProcessGroup(proc.pid);
+        // 前台是shell自身时不发送信号，以免结束整个会话
+        if (pgid && pgid !== proc.pid) {
+            try {
+                process.kill(-pgid, signal);
+                console.warn(`Process ${pid} command ${record.command_id} still running, sent ${signal} to process group ${pgid}`);
+            } catch (error) {
+                console.error(`Error sending ${signal} to process group ${pgid}:`, error.message);
+            }
+        }
+    }
+    
+    record._timeoutTimer = setTimeout(() => cancelTimedOutCommand(pid, proc, record, step + 1), config.COMMAND_KILL_GRACE_MS);
+    record._timeoutTimer.unref();
+}
+
+/**
+ * 记录进程的命令
+ * 
+ * @param {Object} record - 命令记录
+ */
+function trackCommand(record) {
+    if (!processCommands.has(record.PID)) {
+        processCommands.set(record.PID, []);
     }
+    const records = processCommands.get(record.PID);
+    records.push(record);
     
-    processOutputBuffer.set(pid, currentBuffer);
-    console.log(`Process ${pid} ${isError ? 'error' : 'output'}: ${output.trim()}`);
+    // 旧版服务器不会确认结果，限制已结束记录的数量，避免无限增长
+    const finished = records.filter(commandResults.isFinished);
+    if (finished.length > MAX_FINISHED_RESULTS) {
+        const drop = new Set(finished.slice(0, finished.length - MAX_FINISHED_RESULTS));
+        processCommands.set(record.PID, records.filter(r => !drop.has(r)));
+    }
+}
+
+/**
+ * 进程结束时，将其未完成和仍在队列中的命令标记为失败
+ * 
+ * @param {string} pid - 进程ID
+ * @param {Object} proc - 进程对象
+ */
+function failRunningCommands(pid, proc) {
+    if (!proc) return;
+    for (const record of [...proc._runningCommands, ...proc._commandQueue]) {
+        // 正在执行的内置命令不依赖shell（例如 restart-shell 本身会结束shell），执行完后自行上报结果
+        if (record._builtin && proc._runningCommands.includes(record)) continue;
+        clearTimeout(record._timeoutTimer);
+        commandResults.finishCommandRecord(record, null, commandResults.COMMAND_STATUS.FAILED, 'Process exited');
+    }
+    proc._runningCommands = [];
+    proc._commandQueue = [];
+}
+
+/**
+ * 处理服务器对命令结果的确认，删除已确认且已结束的记录
+ * 
+ * @param {Array<string>} commandIds - 已确认的命令ID
+ */
+function acknowledgeCommandResults(commandIds) {
+    const acked = new Set(commandIds.map(String));
+    for (const [pid, records] of processCommands.entries()) {
+        const remaining = records.filter(r => !(acked.has(r.command_id) && commandResults.isFinished(r)));
+        if (remaining.length > 0) {
+            processCommands.set(pid, remaining);
+        } else {
+            processCommands.delete(pid);
+        }
+    }
 }
 
 /**
  * 创建新进程
  * 
- * 创建一个新的bash子进程，并设置相关的事件监听器
+ * 创建一个新的shell子进程（默认为bash），并设置相关的事件监听器。
+ * bash会加载shell集成脚本，以便可靠地检测命令的结束和退出码
  * 
+ * @param {Object} [options] - 进程选项（shell、args、cwd、env、env_profile、cols、rows、login、label），
+ *                             会按本地允许列表校验，详见 processOptions.js；环境变量的组成见 processEnv.js
  * @returns {Promise<string>} 返回新创建进程的PID
- * @throws {Error} 如果创建进程失败
+ * @throws {Error} 如果选项不合法或创建进程失败
  */
-async function createNewProcess() {
+async function createNewProcess(options = {}) {
     try {
-        // 指定工作目录，这里使用当前目录作为示例
-        const workingDir = process.cwd();
-        
-        // 确保工作目录是绝对路径
-        const absoluteWorkingDir = path.resolve(workingDir);
+        const processOptions = validateProcessOptions(options);
+        const { shell, cwd: absoluteWorkingDir, cols, rows, login } = processOptions;
+        // 子进程不直接继承代理的环境变量，CLI_TOKEN 等代理自身的变量总是被删除
+        const environment = processEnv.buildEnvironment(processOptions);
         
         // 使用node-pty创建伪终端
-        const shell = process.platform === 'win32' ? 'powershell.exe' : 'bash';
-        const ptyProcess = pty.spawn(shell, [], {
+        const integration = shellIntegration.supportsIntegration(shell) ? shellIntegration.createIntegration({ login }) : null;
+        let args = processOptions.args;
+        if (integration) {
+            args = [...integration.args, ...args];
+        } else if (login && process.platform !== 'win32') {
+            args = ['-l', ...args];
+        }
+        const ptyProcess = pty.spawn(shell, args, {
             name: 'xterm-color',
-            cols: 80,
-            rows: 30,
+            cols,
+            rows,
             cwd: absoluteWorkingDir,
-            env: process.env
+            env: environment.env
         });
         
         const pid = ptyProcess.pid.toString();
         
-        // 添加自定义属性存储工作目录
+        // 添加自定义属性存储工作目录和创建选项
         ptyProcess.workingDirectory = absoluteWorkingDir;
+        ptyProcess.options = processOptions;
+        ptyProcess._env = environment.env; // 代理所知的当前环境变量（set_env / unset_env 的脚本执行成功后更新）
+        ptyProcess._envProfile = environment.profile;
+        ptyProcess._envScripts = new Set(); // 已排队、可能尚未被shell执行的环境变量脚本
         
         // 初始化时间戳
         ptyProcess._lastOutputTime = Date.now();
         ptyProcess._lastStatusCheck = Date.now();
+        ptyProcess._startedAt = Date.now();
+        
+        // 资源统计和限制（见 resources.js）
+        ptyProcess._limits = resources.resolveLimits(processOptions.limits);
+        ptyProcess._resources = null;
+        
+        // shell集成：解析命令开始/结束标记
+        ptyProcess._markerParser = integration ? shellIntegration.createMarkerParser(integration.nonce) : null;
+        ptyProcess._rcfile = integration ? integration.rcfile : null;
+        ptyProcess._runningCommands = []; // 已写入shell、尚未结束的命令记录
+        ptyProcess._commandQueue = []; // 等待上一条命令结束后再写入的命令记录
+        ptyProcess._shellReady = false; // 是否已出现第一个提示符
+        ptyProcess._lastExitCode = null;
+        
+        // 会话录制
+        ptyProcess._recorder = recorder.createRecorder({ pid, cols, rows, shell });
+        
+        // 输出脱敏：密钥在写入输出日志之前被替换
+        ptyProcess._redactor = redaction.createRedactor({
+            env: environment.env,
+            onOutput: (text) => handleRedactedOutput(pid, ptyProcess, text)
+        });
+        
+        // 本地滚动缓冲：网页终端和控制台展示的输出，服务器确认后仍然保留
+        ptyProcess._scrollback = createScrollback({ limit: config.SCROLLBACK_LIMIT });
+        
+        // 终端模拟器：提供纯文本记录和屏幕快照
+        ptyProcess._emulator = createTerminalEmulator({ cols, rows, onLine: (line) => appendPlainLine(pid, line) });
         
         // 设置数据监听器 (node-pty只有一个data事件，不区分stdout和stderr)
         ptyProcess.onData((data) => {
+            if (ptyProcess._recorder) ptyProcess._recorder.output(data);
             handleProcessOutput(pid, data);
         });
         
         // 设置进程退出监听器
         ptyProcess.onExit(({ exitCode, signal }) => {
             console.log(`Process ${pid} exited with code ${exitCode} and signal ${signal}`);
-            runningProcesses.delete(pid);
-            processCommandExecuted.delete(pid); // 删除命令执行标记
-            processOutputBuffer.delete(pid); // 删除输出缓冲
-            // 添加到待确认的进程死亡列表
-            module.exports.pendingCallbacks.process_death.push(pid);
-            
-            // 重新安排心跳，因为进程状态已改变
-            if (module.exports.scheduleNextHeartbeat) {
-                module.exports.scheduleNextHeartbeat();
-            }
+            teardownProcess(pid, ptyProcess);
         });
         
         // 将进程添加到管理集合中
         runningProcesses.set(pid, ptyProcess);
         // 明确初始化命令执行标记为false
         processCommandExecuted.set(pid, false);
-        processOutputBuffer.set(pid, ''); // 初始化输出缓冲为空字符串
-        console.log(`Created new process with PID: ${pid} in directory: ${absoluteWorkingDir}`);
+        getOutputLog(pid); // 初始化输出日志
+        console.log(`Created new process with PID: ${pid} (${shell}${processOptions.label ? `, ${processOptions.label}` : ''}) in directory: ${absoluteWorkingDir}`);
         
         // 设置待确认的新创建进程PID
-        module.exports.pendingCallbacks.process_created = pid;
+        queueCallback('process_created', pid);
         
         // 重新安排心跳，因为有了新进程
         if (module.exports.scheduleNextHeartbeat) {
@@ -170,16 +634,21 @@ async function createNewProcess() {
  * 
  * @param {string} pid - 目标进程ID
  * @param {string} command - 要执行的命令
- * @returns {Promise<boolean>} 命令是否成功发送
+ * @param {Object} [options] - 执行选项
+ * @param {string} [options.commandId] - 服务器分配的命令ID，不提供时在本地生成
+ * @param {boolean} [options.checkPolicy] - 是否按本地命令策略检查（来自服务器的命令）
+ * @param {number} [options.timeoutMs] - 超时时间（毫秒），不提供时使用 COMMAND_TIMEOUT_MS，0表示不限制
+ * @returns {Promise<boolean>} 命令是否已写入shell（被策略拒绝或等待本地确认时为false）
  * @throws {Error} 如果进程不存在或执行命令失败
  */
-async function executeCommandInProcess(pid, command) {
+async function executeCommandInProcess(pid, command, options = {}) {
     if (!runningProcesses.has(pid)) {
         throw new Error(`Process with PID ${pid} not found`);
     }
     
     try {
         const proc = runningProcesses.get(pid);
+        const timeoutMs = resolveCommandTimeout(options.timeoutMs);
         
         // 处理可能的命令转义问题
         // 1. 确保命令是字符串
@@ -188,8 +657,7 @@ async function executeCommandInProcess(pid, command) {
         // 2. 如果命令中包含引号或特殊字符，可能需要特殊处理
         // 例如，如果命令是从Python字典中提取的JSON字符串，可能需要处理转义字符
         
-        // 对于创建文件的echo命令，确保引号正确处理
-        // 例如: echo "content" > file.txt
+        // 创建或修改文件请使用 file_ops 任务，而不是 echo ... > file
         
         // 处理可能的JSON字符串或转义问题
         if (processedCommand.startsWith('"') || processedCommand.startsWith("'")) {
@@ -214,14 +682,6 @@ async function executeCommandInProcess(pid, command) {
             console.log(`Command after escape processing: ${processedCommand}`);
         }
         
-        // 处理特殊的echo命令创建文件情况
-        if (processedCommand.startsWith('echo') && processedCommand.includes('>')) {
-            console.log(`Detected file creation command: ${processedCommand}`);
-            // 确保重定向符号周围有空格
-            processedCommand = processedCommand.replace(/([^\\])>/g, '$1 > ');
-            console.log(`Processed file creation command: ${processedCommand}`);
-        }
-        
         // 处理多行命令
         if (processedCommand.includes('\n')) {
             console.log(`Detected multi-line command`);
@@ -233,36 +693,579 @@ async function executeCommandInProcess(pid, command) {
             console.log(`Processed multi-line command: ${processedCommand}`);
         }
         
-        // 添加pwd命令来获取当前工作目录
-        // 使用分号分隔，确保原命令完整执行
-        proc.write(processedCommand + '; pwd\n');
-        
-        // 添加一个标记，表示我们需要从输出中提取新的工作目录
-        proc._expectPwd = true;
-        
+        // 来自服务器的命令必须先通过本地策略检查，被拒绝或等待确认的命令不会写入shell
+        if (options.checkPolicy) {
+            const decision = policy.evaluateCommand(processedCommand, { cwd: proc.workingDirectory || process.cwd() });
+            if (decision.action === 'deny') {
+                rejectCommand(pid, processedCommand, options.commandId, decision.rule, decision.reason);
+                metrics.countCommand('denied');
+                return false;
+            }
+            if (decision.action === 'confirm') {
+                requestConfirmation(pid, processedCommand, options.commandId, decision, timeoutMs);
+                metrics.countCommand('awaiting_confirmation');
+                return false;
+            }
+        }
         
+        writeCommand(pid, proc, processedCommand, options.commandId, timeoutMs);
+        metrics.countCommand('written');
+        return true;
+    } catch (error) {
+        metrics.countCommand('error');
+        console.error(`Error executing command in process ${pid}:`, error);
+        throw error;
+    }
+}
+
+
+/**
+ * 将命令写入shell并开始跟踪
+ * 
+ * @param {string} pid - 进程ID
+ * @param {Object} proc - 进程对象
+ * @param {string} command - 已处理好的命令
+ * @param {string} [commandId] - 命令ID
+ * @param {number} [timeoutMs] - 超时时间（毫秒），0表示不限制
+ * @returns {Object} 命令记录
+ */
+function writeCommand(pid, proc, command, commandId, timeoutMs = 0) {
+    // 记录当前命令并加入队列，shell集成的结束标记会据此上报退出码和耗时
+    const record = commandResults.createCommandRecord(pid, command, commandId);
+    record._timeoutMs = timeoutMs;
+    // 内置命令同样排队，轮到时在代理进程内执行，不发送给shell
+    record._builtin = specialCommand.isSpecialCommand(command);
+    trackCommand(record);
+    proc._commandQueue.push(record);
+    
+    // 明确设置命令执行标记为true
+    processCommandExecuted.set(pid, true);
+    console.log(`Process ${pid} command executed flag set to true`);
+    console.log(`Queued command ${record.command_id} for process ${pid} (${proc._commandQueue.length} in queue): ${command}`);
+    
+    drainCommandQueue(pid, proc);
+    
+    // 安排快速心跳响应
+    if (module.exports.scheduleNextHeartbeat && module.exports.COMMAND_RESPONSE_DELAY) {
+        module.exports.scheduleNextHeartbeat(module.exports.COMMAND_RESPONSE_DELAY);
+    }
+    return record;
+}
+
+/**
+ * 写入队列中的下一条命令
+ * 
+ * 有shell集成时，等shell就绪且上一条命令结束（或被取消）后才写入下一条，保证输出归属正确；
+ * 没有集成的shell无法得知命令何时结束，保持原来的行为直接写入。
+ * 内置命令执行期间不写入后面的命令
+ * 
+ * @param {string} pid - 进程ID
+ * @param {Object} proc - 进程对象
+ */
+function drainCommandQueue(pid, proc) {
+    const canWrite = () => !proc._runningCommands.some(r => r._builtin) &&
+        (!proc._markerParser || (proc._shellReady && proc._runningCommands.length === 0));
+    while (proc._commandQueue.length > 0 && canWrite()) {
+        const record = proc._commandQueue.shift();
+        if (record._builtin) {
+            commandResults.markCommandRunning(record);
+            proc._runningCommands.push(record);
+            runSpecialCommand(pid, proc, record);
+            continue;
+        }
+        writeToProcess(proc, record.command + '\n');
+        commandResults.markCommandRunning(record);
+        proc._runningCommands.push(record);
+        startCommandTimeout(pid, proc, record, record._timeoutMs);
+        console.log(`Executing command ${record.command_id}: ${record.command}`);
+    }
+}
+
+/**
+ * 清除进程队列中尚未写入shell的命令，被清除的命令以 failed 状态上报
+ * 
+ * @param {string} pid - 进程ID
+ * @param {Array<string>} [commandIds] - 要清除的命令ID，不提供时清除全部
+ * @returns {Array<string>} 实际清除的命令ID
+ */
+function clearCommandQueue(pid, commandIds) {
+    const proc = requireProcess(pid);
+    const selected = commandIds ? new Set(commandIds.map(String)) : null;
+    const removed = [];
+    
+    proc._commandQueue = proc._commandQueue.filter(record => {
+        if (selected && !selected.has(record.command_id)) return true;
+        commandResults.finishCommandRecord(record, null, commandResults.COMMAND_STATUS.FAILED, 'Removed from queue');
+        removed.push(record.command_id);
+        return false;
+    });
+    
+    processCommandExecuted.set(pid, proc._runningCommands.length > 0 || proc._commandQueue.length > 0);
+    console.log(`Cleared ${removed.length} queued commands for process ${pid}`);
+    return removed;
+}
+
+/**
+ * 调整进程队列中命令的顺序
+ * 
+ * 列出的命令按给定顺序排在队首，未列出的命令保持原有相对顺序排在其后
+ * 
+ * @param {string} pid - 进程ID
+ * @param {Array<string>} commandIds - 新的顺序
+ * @returns {Array<string>} 调整后的队列（命令ID）
+ */
+function reorderCommandQueue(pid, commandIds) {
+    const proc = requireProcess(pid);
+    if (!Array.isArray(commandIds)) {
+        throw new Error('command_ids must be an array');
+    }
+    
+    const byId = new Map(proc._commandQueue.map(record => [record.command_id, record]));
+    const unknown = commandIds.map(String).filter(id => !byId.has(id));
+    if (unknown.length > 0) {
+        throw new Error(`Commands not in queue: ${unknown.join(', ')}`);
+    }
+    
+    const first = [...new Set(commandIds.map(String))].map(id => byId.get(id));
+    proc._commandQueue = [...first, ...proc._commandQueue.filter(record => !first.includes(record))];
+    
+    const order = proc._commandQueue.map(record => record.command_id);
+    console.log(`Reordered command queue for process ${pid}: ${order.join(', ')}`);
+    return order;
+}
 
+/**
+ * 获取进程的队列信息（心跳和状态接口使用）
+ * 
+ * @param {Object} proc - 进程对象
+ * @returns {{current: Object|null, queued: Array<Object>}}
+ */
+function getQueueInfo(proc) {
+    const current = proc && proc._runningCommands.length > 0 ? proc._runningCommands[0] : null;
+    return {
+        current: current ? {
+            command_id: current.command_id,
+            command: current.command,
+            started_at: new Date(current.started_at).toISOString()
+        } : null,
+        queued: proc ? proc._commandQueue.map(record => ({ command_id: record.command_id, command: record.command })) : []
+    };
+}
+
+/**
+ * 执行队首的内置命令，输出写入进程输出日志，结果与shell命令一样通过 completeCommand 上报
+ * 
+ * @param {string} pid - 进程ID
+ * @param {Object} proc - 进程对象
+ * @param {Object} record - 内置命令的记录（已移入执行列表）
+ */
+async function runSpecialCommand(pid, proc, record) {
+    const { command } = record;
+    console.log(`Executing built-in command ${record.command_id} for process ${pid}: ${command}`);
+    
+    const context = {
+        pid,
+        getProcessStatus,
+        getEnvNames: () => Object.keys(proc._env).sort(),
+        restartShell: async () => {
+            // 使用相同的选项重新创建，工作目录保持为当前目录
+            const options = { ...proc.options, cwd: proc.workingDirectory };
+            await killProcess(pid);
+            return createNewProcess(options);
+        }
+    };
+    
+    let output;
+    let exitCode = 0;
+    try {
+        output = await specialCommand.executeSpecialCommand(command, context);
+    } catch (error) {
+        output = `Error: ${error.message}`;
+        exitCode = 1;
+    }
+    
+    // 内置命令的输出同样经过进程的脱敏器，写入前先输出脱敏器暂存的shell输出，保持顺序
+    proc._redactor.flush();
+    const redacted = proc._redactor.redactText(String(output), { count: true });
+    // 与终端输出保持一致的换行符
+    const text = `${redacted.replace(/\r?\n/g, '\r\n')}\r\n`;
+    commandResults.appendCommandOutput(record, text);
+    appendProcessOutput(pid, text);
+    completeCommand(pid, proc, record, exitCode, exitCode === 0 ? null : redacted);
+}
+
+/**
+ * 拒绝命令：不写入shell，通过command_rejected回调和command_results上报
+ * 
+ * @param {string} pid - 进程ID
+ * @param {string} command - 命令内容
+ * @param {string} [commandId] - 命令ID
+ * @param {string} rule - 匹配的策略规则
+ * @param {string} reason - 拒绝原因
+ */
+function rejectCommand(pid, command, commandId, rule, reason) {
+    const record = commandResults.createCommandRecord(pid, command, commandId);
+    commandResults.finishCommandRecord(record, null, commandResults.COMMAND_STATUS.FAILED, reason);
+    trackCommand(record);
+    
+    queueCallback('command_rejected', {
+        PID: pid,
+        command_id: record.command_id,
+        command,
+        rule,
+        reason
+    });
+    console.warn(`Rejected command ${record.command_id} for process ${pid} (rule ${rule}): ${command}`);
+}
+
+/**
+ * 将命令挂起，等待本地操作员确认
+ * 
+ * @param {string} pid - 进程ID
+ * @param {string} command - 命令内容
+ * @param {string} [commandId] - 命令ID
+ * @param {Object} decision - 策略检查结果
+ * @param {number} [timeoutMs] - 批准后命令的超时时间（毫秒）
+ */
+function requestConfirmation(pid, command, commandId, decision, timeoutMs = 0) {
+    const id = commandId ? String(commandId) : commandResults.generateCommandId();
+    const confirmation = {
+        id,
+        PID: pid,
+        command,
+        rule: decision.rule,
+        reason: decision.reason,
+        timeout_ms: timeoutMs,
+        requested_at: new Date().toISOString()
+    };
+    
+    // 超时未确认视为拒绝
+    const timer = setTimeout(() => {
+        if (pendingConfirmations.get(id) === confirmation) {
+            pendingConfirmations.delete(id);
+            rejectCommand(pid, command, id, decision.rule, 'Local confirmation timed out');
+        }
+    }, config.POLICY_CONFIRM_TIMEOUT_MS);
+    timer.unref();
+    
+    pendingConfirmations.set(id, confirmation);
+    queueCallback('command_awaiting_confirmation', {
+        PID: pid,
+        command_id: id,
+        command,
+        rule: decision.rule
+    });
+    console.warn(`Command ${id} for process ${pid} requires local confirmation (rule ${decision.rule}): ${command}`);
+}
+
+/**
+ * 处理本地操作员对挂起命令的确认
+ * 
+ * @param {string} id - 挂起命令ID
+ * @param {boolean} approved - 是否批准
+ * @returns {boolean} 挂起命令是否存在
+ * @throws {Error} 批准后目标进程已不存在时
+ */
+function resolveConfirmation(id, approved) {
+    const confirmation = pendingConfirmations.get(id);
+    if (!confirmation) return false;
+    pendingConfirmations.delete(id);
+    
+    const proc = runningProcesses.get(confirmation.PID);
+    if (!approved || !proc) {
+        const reason = approved ? `Process with PID ${confirmation.PID} not found` : 'Rejected by local operator';
+        rejectCommand(confirmation.PID, confirmation.command, id, confirmation.rule, reason);
+        if (approved) throw new Error(reason);
+        return true;
+    }
+    
+    console.log(`Command ${id} for process ${confirmation.PID} approved by local operator`);
+    writeCommand(confirmation.PID, proc, confirmation.command, id, confirmation.timeout_ms);
+    return true;
+}
+
+/**
+ * 向进程写入输入，并记录到会话录制
+ * 
+ * @param {Object} proc - 进程对象
+ * @param {string} data - 输入数据
+ */
+function writeToProcess(proc, data) {
+    proc.write(data);
+    if (proc._recorder) proc._recorder.input(data);
+}
+
+// send_signal 任务允许发送的信号
+const ALLOWED_SIGNALS = new Set(['SIGINT', 'SIGTERM', 'SIGTSTP', 'SIGQUIT', 'SIGHUP', 'SIGCONT', 'SIGKILL']);
+// 无法读取前台进程组时（非Linux），这些信号可以通过终端控制字符发送
+const SIGNAL_CONTROL_CHARS = {
+    SIGINT: '\x03',
+    SIGTSTP: '\x1a',
+    SIGQUIT: '\x1c'
+};
+
+/**
+ * 获取进程，不存在时抛出错误
+ * 
+ * @param {string} pid - 进程ID
+ * @returns {Object} 进程对象
+ */
+function requireProcess(pid) {
+    const proc = runningProcesses.get(String(pid));
+    if (!proc) {
+        throw new Error(`Process with PID ${pid} not found`);
+    }
+    return proc;
+}
+
+/**
+ * 向进程原样写入输入（不追加换行，不作为命令跟踪）
+ * 
+ * 用于回答交互提示、向vim/top等全屏程序输入按键等场景
+ * 
+ * @param {string} pid - 进程ID
+ * @param {string} data - 输入内容
+ * @param {Object} [options]
+ * @param {string} [options.encoding] - 'utf8'（默认）或 'base64'
+ * @param {boolean} [options.checkPolicy] - 是否按本地命令策略检查（来自服务器的输入）
+ * @returns {number} 写入的字符数
+ */
+function sendInput(pid, data, options = {}) {
+    const proc = requireProcess(pid);
+    if (typeof data !== 'string') {
+        throw new Error('Input data must be a string');
+    }
+    if (options.checkPolicy && !policy.isRawInputAllowed()) {
+        throw new Error('Raw input is disabled by the command policy');
+    }
+    
+    const encoding = options.encoding || 'utf8';
+    let input;
+    if (encoding === 'base64') {
+        input = Buffer.from(data, 'base64').toString('utf8');
+    } else if (encoding === 'utf8') {
+        input = data;
+    } else {
+        throw new Error(`Unsupported input encoding: ${encoding}`);
+    }
+    
+    writeToProcess(proc, input);
+    console.log(`Sent ${input.length} characters of raw input to process ${pid}`);
+    return input.length;
+}
+
+/**
+ * 向进程终端的前台进程组发送信号
+ * 
+ * shell正在运行程序时信号发给该程序（包括管道中的所有进程），shell本身不受影响；
+ * shell空闲时前台进程组就是shell自己
+ * 
+ * @param {string} pid - 进程ID
+ * @param {string} signal - 信号名，例如 'SIGINT'
+ * @returns {{signal: string, target: number|null}} target为收到信号的进程组，通过控制字符发送时为null
+ */
+function sendSignal(pid, signal) {
+    const proc = requireProcess(pid);
+    const name = String(signal).toUpperCase();
+    if (!ALLOWED_SIGNALS.has(name)) {
+        throw new Error(`Unsupported signal: ${signal}`);
+    }
+    
+    const pgid = procfs.getForegroundProcessGroup(proc.pid);
+    if (pgid) {
+        process.kill(-pgid, name);
+        console.log(`Sent ${name} to foreground process group ${pgid} of process ${pid}`);
+        return { signal: name, target: pgid };
+    }
+    
+    // 降级：通过终端的行规程发送，效果与在终端中按下 Ctrl-C / Ctrl-Z / Ctrl-\ 相同
+    if (SIGNAL_CONTROL_CHARS[name]) {
+        writeToProcess(proc, SIGNAL_CONTROL_CHARS[name]);
+        console.log(`Sent ${name} to process ${pid} as a control character`);
+        return { signal: name, target: null };
+    }
+    throw new Error(`Cannot determine the foreground process group of process ${pid}`);
+}
 
+/**
+ * 调整进程的终端尺寸
+ * 
+ * @param {string} pid - 进程ID
+ * @param {number} cols - 列数
+ * @param {number} rows - 行数
+ * @returns {{cols: number, rows: number}} 调整后的尺寸
+ */
+function resizeProcess(pid, cols, rows) {
+    const proc = requireProcess(pid);
+    if (cols === undefined || rows === undefined) {
+        throw new Error('cols and rows are required');
+    }
+    const size = validateTerminalSize(cols, rows);
+    
+    proc.resize(size.cols, size.rows);
+    if (proc._recorder) proc._recorder.resize(size.cols, size.rows);
+    if (proc._emulator) proc._emulator.resize(size.cols, size.rows);
+    if (proc.options) {
+        proc.options.cols = size.cols;
+        proc.options.rows = size.rows;
+    }
+    console.log(`Resized process ${pid} to ${size.cols}x${size.rows}`);
+    events.emit('resize', String(pid), size);
+    return size;
+}
 
+/**
+ * 修改运行中会话的环境变量
+ * 
+ * 修改以命令的形式排队执行（见 processEnv.js），命令结果和其他命令一样通过 command_results 上报；
+ * 返回值只包含变量名，不包含变量值
+ * 
+ * @param {string} pid - 进程ID
+ * @param {Object} [set] - 要设置的变量 { NAME: value }
+ * @param {Array<string>} [unset] - 要删除的变量名
+ * @param {string} [commandId] - 服务器分配的命令ID，不提供时在本地生成
+ * @returns {{command_id: string, env_names: Array<string>}} 命令ID和修改后的全部变量名
+ * @throws {Error} 进程不存在、shell不支持或变量不合法时
+ */
+function changeEnvironment(pid, set, unset, commandId) {
+    const proc = requireProcess(pid);
+    if (!processEnv.supportsEnvChanges(proc.options.shell)) {
+        throw new Error(`Shell ${proc.options.shell} does not support environment changes`);
+    }
+    const change = processEnv.validateEnvChange(set, unset);
+    const script = processEnv.writeEnvScript(change);
+    proc._envScripts.add(script.file);
+    
+    // 脚本执行成功后才更新 proc._env（见 completeCommand）
+    const id = commandId ? String(commandId) : commandResults.generateCommandId();
+    const record = writeCommand(pid, proc, script.command, id, 0);
+    record._envChange = change;
+    console.log(`Queued environment change ${id} for process ${pid} (set: ${Object.keys(change.set).join(', ') || '-'}; unset: ${change.unset.join(', ') || '-'})`);
+    return { command_id: id, env_names: Object.keys(applyEnvChange(proc._env, change)).sort() };
+}
 
+/**
+ * 计算应用环境变量修改后的环境
+ * 
+ * @param {Object} env - 当前环境变量
+ * @param {{set: Object, unset: Array<string>}} change - 修改内容
+ * @returns {Object} 新的环境变量对象
+ */
+function applyEnvChange(env, change) {
+    const result = { ...env };
+    for (const name of change.unset) delete result[name];
+    Object.assign(result, change.set);
+    return result;
+}
 
-        // 明确设置命令执行标记为true
-        processCommandExecuted.set(pid, true);
-        console.log(`Process ${pid} command executed flag set to true`);
-        console.log(`Executing command: ${processedCommand}`);
-        
-        // 安排快速心跳响应
-        if (module.exports.scheduleNextHeartbeat && module.exports.COMMAND_RESPONSE_DELAY) {
-            module.exports.scheduleNextHeartbeat(module.exports.COMMAND_RESPONSE_DELAY);
+/**
+ * 执行终端控制任务（send_input / send_signal / resize / clear_queue / reorder_queue / set_env / unset_env），
+ * 结果通过 process_control_results 回调上报
+ * 
+ * @param {string} type - 任务类型
+ * @param {Object} task - 任务内容，包含PID
+ */
+function runControlTask(type, task) {
+    const result = { PID: task.PID, type, success: true, error: null };
+    try {
+        if (type === 'send_input') {
+            result.written = sendInput(task.PID, task.data, { encoding: task.encoding, checkPolicy: true });
+        } else if (type === 'send_signal') {
+            Object.assign(result, sendSignal(task.PID, task.signal));
+        } else if (type === 'resize') {
+            Object.assign(result, resizeProcess(task.PID, task.cols, task.rows));
+        } else if (type === 'clear_queue') {
+            result.removed = clearCommandQueue(task.PID, task.command_ids);
+        } else if (type === 'reorder_queue') {
+            result.queue = reorderCommandQueue(task.PID, task.command_ids);
+        } else if (type === 'set_env') {
+            Object.assign(result, changeEnvironment(task.PID, task.env, [], task.command_id));
+        } else if (type === 'unset_env') {
+            Object.assign(result, changeEnvironment(task.PID, {}, task.names, task.command_id));
         }
-        
-        return true;
     } catch (error) {
-        console.error(`Error executing command in process ${pid}:`, error);
-        throw error;
+        console.error(`Error running ${type} for process ${task.PID}:`, error.message);
+        result.success = false;
+        result.error = error.message;
+    }
+    queueCallback('process_control_results', result);
+}
+
+
+/**
+ * 启动资源统计：按 RESOURCE_SAMPLE_MS 定期统计每个会话的资源使用并检查限制
+ */
+function startResourceMonitor() {
+    if (resourceTimer || config.RESOURCE_SAMPLE_MS <= 0) return;
+    resourceTimer = setInterval(sampleResources, config.RESOURCE_SAMPLE_MS);
+    resourceTimer.unref();
+}
+
+/**
+ * 统计所有会话的资源使用，超出限制的会话按 enforceLimit 处理
+ */
+function sampleResources() {
+    if (runningProcesses.size === 0) return;
+    const usage = resources.measureSessions([...runningProcesses.keys()]);
+    if (!usage) return;
+    
+    for (const [pid, proc] of runningProcesses.entries()) {
+        const current = usage.get(pid);
+        if (!current) continue;
+        proc._resources = current;
+        const violation = resources.checkLimits(current, proc._limits, proc._startedAt);
+        if (violation) {
+            enforceLimit(pid, proc, violation, current);
+        }
     }
 }
 
+/**
+ * 处理超出限制的会话，并通过 limit_exceeded 回调上报
+ * 
+ * 终止shell的全部后代进程（正在运行的命令随之结束，会话保留）；
+ * 超出会话时长，或者没有后代进程（超限的是shell自身）时终止整个会话
+ * 
+ * @param {string} pid - 进程ID
+ * @param {Object} proc - 进程对象
+ * @param {Object} violation - resources.checkLimits 的结果
+ * @param {Object} usage - 本次统计结果
+ */
+function enforceLimit(pid, proc, violation, usage) {
+    const current = proc._runningCommands[0];
+    const event = {
+        PID: pid,
+        ...violation,
+        command_id: current ? current.command_id : null,
+        action: null,
+        killed: [],
+        usage: resources.describeUsage(usage),
+        time: new Date().toISOString()
+    };
+    
+    if (violation.limit !== 'wall_clock' && usage.descendants.length > 0) {
+        for (const childPid of usage.descendants) {
+            try {
+                process.kill(childPid, 'SIGKILL');
+                event.killed.push(childPid);
+            } catch (error) {
+                // 统计之后进程可能已经退出
+            }
+        }
+        event.action = 'killed_children';
+    } else {
+        event.action = 'killed_session';
+        event.killed.push(Number(pid));
+        killProcess(pid).catch((error) => console.error(`Error killing process ${pid} after it exceeded its ${violation.limit} limit:`, error.message));
+    }
+    
+    console.warn(`Process ${pid} exceeded its ${violation.limit} limit (${violation.value} > ${violation.threshold}), ${event.action.replace('_', ' ')}: ${event.killed.join(', ')}`);
+    queueCallback('limit_exceeded', event);
+    
+    if (module.exports.scheduleNextHeartbeat && module.exports.COMMAND_RESPONSE_DELAY) {
+        module.exports.scheduleNextHeartbeat(module.exports.COMMAND_RESPONSE_DELAY);
+    }
+}
 
 /**
  * 杀死指定的进程
@@ -281,18 +1284,8 @@ async function killProcess(pid) {
         const proc = runningProcesses.get(pid);
         proc.kill(); // node-pty的kill方法
         console.log(`Process ${pid} killed`);
-        runningProcesses.delete(pid);
-        processCommandExecuted.delete(pid); // 删除命令执行标记
-        processOutputBuffer.delete(pid); // 删除输出缓冲
-        
-        // 添加到待确认的进程死亡列表
-        module.exports.pendingCallbacks.process_death.push(pid);
-        
-        // 重新安排心跳，因为进程状态已改变
-        if (module.exports.scheduleNextHeartbeat) {
-            module.exports.scheduleNextHeartbeat();
-        }
-        
+        // 立即清理，随后到达的 onExit 不会重复清理
+        teardownProcess(pid, proc);
         return true;
     } catch (error) {
         console.error(`Error killing process ${pid}:`, error);
@@ -300,6 +1293,42 @@ async function killProcess(pid) {
     }
 }
 
+/**
+ * 进程结束后的清理，只执行一次（killProcess 和 pty 的 onExit 都会调用）
+ * 
+ * @param {string} pid - 进程ID
+ * @param {Object} proc - 进程对象
+ */
+function teardownProcess(pid, proc) {
+    if (proc._tornDown) return;
+    proc._tornDown = true;
+    
+    if (proc._rcfile) {
+        shellIntegration.removeIntegration(proc._rcfile);
+        proc._rcfile = null;
+    }
+    proc._redactor.flush();
+    for (const file of proc._envScripts) processEnv.removeEnvScript(file);
+    failRunningCommands(pid, proc);
+    if (proc._recorder) proc._recorder.close();
+    if (proc._emulator) proc._emulator.dispose();
+    // 重启后的新进程可能使用相同的PID，只删除属于这个进程的记录
+    if (runningProcesses.get(pid) === proc) {
+        runningProcesses.delete(pid);
+        processCommandExecuted.delete(pid); // 删除命令执行标记
+    }
+    releaseOutputLog(pid); // 输出已全部确认时释放输出日志，否则保留到确认为止
+    
+    // 添加到待确认的进程死亡列表
+    queueProcessDeath(pid);
+    events.emit('exit', pid);
+    
+    // 重新安排心跳，因为进程状态已改变
+    if (module.exports.scheduleNextHeartbeat) {
+        module.exports.scheduleNextHeartbeat();
+    }
+}
+
 /**
  * 确认进程是否存活
  * 
@@ -311,6 +1340,61 @@ function confirmProcessAlive(pid) {
 }
 
 
+/**
+ * 处理服务器的命令执行确认
+ * 
+ * 启用了shell集成的进程会在命令结束时自动重置执行标记，服务器的确认只对
+ * 没有集成的shell（例如powershell）有意义
+ * 
+ * @param {string} pid - 进程ID
+ */
+function confirmCommandExecuted(pid) {
+    const proc = runningProcesses.get(pid);
+    if (!proc || proc._markerParser) return;
+    
+    // 无法得知退出码，视为已完成（正在执行的内置命令除外，它结束时自行上报）
+    const builtins = proc._runningCommands.filter(record => record._builtin);
+    for (const record of proc._runningCommands) {
+        if (record._builtin) continue;
+        clearTimeout(record._timeoutTimer);
+        commandResults.finishCommandRecord(record, null);
+    }
+    proc._runningCommands = builtins;
+    processCommandExecuted.set(pid, builtins.length > 0 || proc._commandQueue.length > 0);
+    console.log(`Reset command executed flag for process ${pid} to false`);
+}
+
+
+/**
+ * 执行文件操作任务，相对路径基于对应进程当前的工作目录
+ * 
+ * @param {Object} op - 文件操作任务
+ */
+async function runFileOperation(op) {
+    let result;
+    const pid = op.PID === undefined || op.PID === null ? null : String(op.PID);
+    const proc = pid ? runningProcesses.get(pid) : null;
+    
+    if (pid && !proc) {
+        result = {
+            op_id: op.op_id === undefined ? null : op.op_id,
+            PID: op.PID,
+            op: op.op,
+            path: op.path === undefined ? null : op.path,
+            success: false,
+            error: `Process with PID ${pid} not found`,
+            error_code: 'ESRCH',
+            result: null
+        };
+    } else {
+        const baseDir = proc ? (proc.workingDirectory || process.cwd()) : process.cwd();
+        result = await fileOps.executeFileOperation(op, baseDir);
+    }
+    
+    queueCallback('file_op_results', result);
+}
+
+
 /**
  * 处理服务器返回的任务
  * 
@@ -321,8 +1405,9 @@ function confirmProcessAlive(pid) {
  * @returns {Promise<Object>} 待确认的回调信息
  */
 async function processTasks(tasks, callback) {
-    if (!tasks) return module.exports.pendingCallbacks;
+    if (!tasks) return getPendingCallbacks();
     
+    metrics.countTasks(tasks);
     module.exports.processingTasks = true;
     let commandExecuted = false;
     
@@ -331,9 +1416,7 @@ async function processTasks(tasks, callback) {
         if (tasks.confirm_process_death && Array.isArray(tasks.confirm_process_death)) {
             for (const pid of tasks.confirm_process_death) {
                 if (!confirmProcessAlive(pid)) {
-                    if (!module.exports.pendingCallbacks.process_death.includes(pid)) {
-                        module.exports.pendingCallbacks.process_death.push(pid);
-                    }
+                    queueProcessDeath(pid);
                     console.log(`Confirmed process ${pid} is no longer alive`);
                 }
             }
@@ -341,8 +1424,15 @@ async function processTasks(tasks, callback) {
         
         // 处理新进程创建请求
         if (tasks.if_require_new_process === 1) {
-            const newPid = await createNewProcess();
-            module.exports.pendingCallbacks.process_created = newPid;
+            try {
+                await createNewProcess(tasks.new_process_options || {});
+            } catch (error) {
+                // 选项被拒绝或创建失败时告知服务器，不影响其余任务
+                queueCallback('process_create_failed', {
+                    label: tasks.new_process_options ? tasks.new_process_options.label || null : null,
+                    error: error.message
+                });
+            }
         }
         
         // 处理命令执行
@@ -380,38 +1470,53 @@ async function processTasks(tasks, callback) {
                         console.log(`Command after escape processing: ${commandToExecute}`);
                     }
                     
-                    // 处理特殊的echo命令创建文件情况
-                    if (commandToExecute.startsWith('echo') && commandToExecute.includes('>')) {
-                        console.log(`Detected file creation command: ${commandToExecute}`);
-                        // 确保重定向符号周围有空格
-                        commandToExecute = commandToExecute.replace(/([^\\])>/g, '$1 > ');
-                        console.log(`Processed file creation command: ${commandToExecute}`);
+                    try {
+                        const written = await executeCommandInProcess(cmd.PID, commandToExecute, { commandId: cmd.command_id, checkPolicy: true, timeoutMs: cmd.timeout_ms });
+                        if (written) {
+                            console.log(`Executed command in process ${cmd.PID}: ${commandToExecute}`);
+                            commandExecuted = true;
+                        }
+                    } catch (error) {
+                        // 单条命令失败不影响其余任务，结果通过command_results上报
+                        const record = commandResults.createCommandRecord(cmd.PID, commandToExecute, cmd.command_id);
+                        commandResults.finishCommandRecord(record, null, commandResults.COMMAND_STATUS.FAILED, error.message);
+                        trackCommand(record);
                     }
-                    
-                    await executeCommandInProcess(cmd.PID, commandToExecute);
-                    console.log(`Executed command in process ${cmd.PID}: ${commandToExecute}`);
-                    commandExecuted = true;
                 }
             }
         }
         
+        // 处理文件操作
+        if (tasks.file_ops && Array.isArray(tasks.file_ops)) {
+            for (const op of tasks.file_ops) {
+                await runFileOperation(op);
+            }
+            // 文件操作的结果同样需要尽快上报
+            commandExecuted = commandExecuted || tasks.file_ops.length > 0;
+        }
+        
+        // 处理终端控制：原样输入、信号、调整尺寸、命令队列、环境变量
+        for (const type of ['send_input', 'send_signal', 'resize', 'clear_queue', 'reorder_queue', 'set_env', 'unset_env']) {
+            if (tasks[type] && Array.isArray(tasks[type])) {
+                for (const task of tasks[type]) {
+                    runControlTask(type, task);
+                }
+                // 输入和信号通常会立即产生输出
+                commandExecuted = commandExecuted || tasks[type].length > 0;
+            }
+        }
+        
         // 处理进程终止请求
         if (tasks.kill_process && Array.isArray(tasks.kill_process)) {
             for (const pid of tasks.kill_process) {
-                const killed = await killProcess(pid);
-                if (killed && !module.exports.pendingCallbacks.process_death.includes(pid)) {
-                    module.exports.pendingCallbacks.process_death.push(pid);
-                }
+                await killProcess(pid);
             }
         }
         
         // 处理命令执行确认
         if (callback && callback.command_executed_confirmed && Array.isArray(callback.command_executed_confirmed)) {
             for (const pid of callback.command_executed_confirmed) {
-                if (runningProcesses.has(pid)) {
-                    processCommandExecuted.set(pid, false);
-                    console.log(`[processTasks] Reset command executed flag for process ${pid} to false`);
-                }
+                confirmCommandExecuted(pid);
             }
         }
         
@@ -425,9 +1530,112 @@ async function processTasks(tasks, callback) {
         module.exports.processingTasks = false;
     }
     
-    return module.exports.pendingCallbacks;
+    return getPendingCallbacks();
+}
+
+
+/**
+ * 检查终端的前台进程组，得到前台程序以及shell是否停在提示符处
+ * 
+ * @param {Object} proc - 进程对象
+ * @returns {Object|null} { at_prompt, waiting_for_input, program }，program 为前台进程组的组长
+ *          { pid, pgid, name, argv, started_at, state }，停在提示符处时为null；没有 /proc 时返回null
+ */
+function inspectForeground(proc) {
+    const pgid = procfs.getForegroundProcessGroup(proc.pid);
+    if (!pgid) return null;
+    
+    const tty = procfs.readFdTarget(proc.pid, 0);
+    const members = pgid === proc.pid
+        ? [procfs.readStat(proc.pid)].filter(Boolean)
+        : (procfs.listProcesses() || []).filter((stat) => stat.pgrp === pgid);
+    // 前台进程组中任一进程阻塞在读取终端上，说明程序在等待输入（例如确认提示、密码提示）
+    const waitingForInput = members.some((stat) => procfs.isReadingTerminal(stat.pid, tty));
+    // 前台是shell自身且没有正在执行的命令（bash提示符通过 pselect 等待输入，read 内建命令除外）
+    const atPrompt = pgid === proc.pid && !waitingForInput && proc._runningCommands.length === 0;
+    
+    let program = null;
+    const leader = members.find((stat) => stat.pid === pgid) || members[0];
+    if (!atPrompt && leader) {
+        const startTime = procfs.getStartTime(leader);
+        program = {
+            pid: leader.pid,
+            pgid,
+            name: leader.comm,
+            // 命令行参数中可能有密码等，按输出脱敏规则处理
+            argv: (procfs.readCmdline(leader.pid) || []).map((arg) => proc._redactor.redactText(arg)),
+            started_at: startTime ? new Date(startTime).toISOString() : null,
+            state: leader.state
+        };
+    }
+    return { at_prompt: atPrompt, waiting_for_input: waitingForInput, program };
+}
+
+/**
+ * 获取进程的前台程序信息（缓存 FOREGROUND_CACHE_MS）
+ * 
+ * @param {Object} proc - 进程对象
+ * @returns {Object|null} 见 inspectForeground
+ */
+function getForegroundInfo(proc) {
+    if (!proc) return null;
+    if (!proc._foreground || Date.now() - proc._foreground.checkedAt >= FOREGROUND_CACHE_MS) {
+        proc._foreground = { info: inspectForeground(proc), checkedAt: Date.now() };
+    }
+    return proc._foreground.info;
+}
+
+/**
+ * 计算进程当前状态
+ * 
+ * Linux上根据终端的前台进程组判断：程序阻塞在读取终端上为 waiting_for_input，
+ * 前台有程序在运行为 executing，停在提示符处为 idle（后台作业的输出不影响状态）；
+ * 其他平台按命令执行标记和最近5秒是否有输出推测
+ * 
+ * @param {string} pid - 进程ID
+ * @param {Object} proc - 进程对象
+ * @returns {string} idle / active / executing / waiting_for_input / terminated
+ */
+function getProcessState(pid, proc) {
+    try {
+        // node-pty没有直接的方法检查进程是否存活，但如果进程在Map中，我们假设它是活的
+        // 因为onExit会在进程终止时从Map中删除它
+        if (!proc || !proc.pid) {
+            return "terminated";
+        }
+        
+        const foreground = getForegroundInfo(proc);
+        if (foreground) {
+            if (foreground.waiting_for_input) return "waiting_for_input";
+            return foreground.at_prompt && proc._commandQueue.length === 0 ? "idle" : "executing";
+        }
+        
+        if (processCommandExecuted.has(pid) && processCommandExecuted.get(pid)) {
+            return "executing"; // 正在执行命令
+        }
+        
+        // 检查进程是否有最近的输出变化
+        const hasRecentOutput = processOutputLogs.has(pid) && 
+                               processOutputLogs.get(pid).end > 0 && 
+                               Date.now() - (proc._lastOutputTime || 0) < 5000; // 5秒内有输出
+        
+        return hasRecentOutput ? "active" : "idle";
+    } catch (e) {
+        // 如果发生异常，假设进程已终止
+        return "terminated";
+    }
 }
 
+/**
+ * 获取进程的命令状态
+ * 
+ * @param {Object} proc - 进程对象
+ * @returns {string|null} running / finished；没有shell集成的进程返回null
+ */
+function getCommandState(proc) {
+    if (!proc || !proc._markerParser) return null;
+    return proc._runningCommands.length > 0 ? "running" : "finished";
+}
 
 /**
  * 准备心跳数据
@@ -438,12 +1646,28 @@ async function processTasks(tasks, callback) {
  * @returns {Object} 包含系统信息和进程状态的心跳数据
  */
 function prepareHeartbeatData(CLI_TOKEN) {
+    // 未确认的回调事件
+    const pendingEvents = outbox.pending();
+    
     // 准备进程输出数据
     const processOutput = [];
     
-    // 遍历所有运行中的进程
-    for (const [pid, proc] of runningProcesses.entries()) {
-        const output = processOutputBuffer.has(pid) ? processOutputBuffer.get(pid) : "";
+    // 遍历所有运行中的进程，以及已结束但仍有未确认输出的进程
+    const pids = new Set([...runningProcesses.keys(), ...processOutputLogs.keys(), ...processPlainLogs.keys()]);
+    for (const pid of pids) {
+        const proc = runningProcesses.get(pid);
+        const log = processOutputLogs.get(pid);
+        const plainLog = processPlainLogs.get(pid);
+        if (!proc && (!log || log.pendingBytes === 0) && (!plainLog || plainLog.pendingBytes === 0)) continue;
+        
+        // 从服务器最后确认的偏移量开始发送；服务器不需要原始输出时只报告偏移量，服务器确认后释放
+        let chunk = { offset: 0, end: 0, data: "", dropped: 0 };
+        if (log) {
+            chunk = outputFormats.includes('raw')
+                ? log.read(log.acked, config.HEARTBEAT_OUTPUT_LIMIT)
+                : { offset: log.end, end: log.end, data: "", dropped: 0 };
+        }
+        processOutputSent.set(pid, chunk.end);
         const workingDir = proc ? (proc.workingDirectory || process.cwd()) : process.cwd();
         
         // 创建类似终端提示符的格式
@@ -455,32 +1679,9 @@ function prepareHeartbeatData(CLI_TOKEN) {
         const if_command_executed = processCommandExecuted.has(pid) && processCommandExecuted.get(pid) ? 1 : 0;
         
         // 检测进程当前状态
-        let status = "idle"; // 默认状态为空闲
-        
-        try {
-            // 检查进程是否存在
-            if (proc && proc.pid) {
-                // node-pty没有直接的方法检查进程是否存活，但如果进程在Map中，我们假设它是活的
-                // 因为onExit会在进程终止时从Map中删除它
-                
-                // 检查进程是否有最近的输出变化
-                const hasRecentOutput = processOutputBuffer.has(pid) && 
-                                       processOutputBuffer.get(pid).length > 0 && 
-                                       Date.now() - (proc._lastOutputTime || 0) < 5000; // 5秒内有输出
-                
-                if (if_command_executed) {
-                    status = "executing"; // 正在执行命令
-                } else if (hasRecentOutput) {
-                    status = "active"; // 有最近输出但没有执行命令
-                }
-                // 否则保持idle状态
-            } else {
-                status = "terminated"; // 进程不存在或已终止
-            }
-        } catch (e) {
-            // 如果发生异常，假设进程已终止
-            status = "terminated";
-        }
+        const status = getProcessState(pid, proc);
+        const queue = getQueueInfo(proc);
+        const foreground = getForegroundInfo(proc);
         
         // 更新最后检查时间
         if (proc) {
@@ -492,27 +1693,83 @@ function prepareHeartbeatData(CLI_TOKEN) {
         
         processOutput.push({
             PID: pid,
-            temp: output,
+            temp: chunk.data,
+            output_offset: chunk.offset,
+            output_end_offset: chunk.end,
+            output_total: log ? log.end : 0,
+            output_dropped: chunk.dropped,
             cwd: promptString,
             if_command_executed: if_command_executed,
-            status: status // 添加进程状态属性
+            command_state: getCommandState(proc),
+            last_exit_code: proc ? proc._lastExitCode : null,
+            current_command: queue.current,
+            queued_commands: queue.queued.length,
+            command_queue: queue.queued,
+            at_prompt: foreground ? foreground.at_prompt : null,
+            foreground: foreground ? foreground.program : null,
+            options: proc ? describeProcessOptions(proc.options) : null,
+            env_profile: proc ? proc._envProfile : null,
+            env_names: proc ? Object.keys(proc._env).sort() : null,
+            resources: proc ? resources.describeUsage(proc._resources) : null,
+            limits: proc ? proc._limits : null,
+            status: status, // 添加进程状态属性
+            redactions: proc ? proc._redactor.counts : null,
+            ...getRenderedOutput(proc, plainLog)
         });
     }
     
     return {
         cli_token: CLI_TOKEN,
-        system_info: {
-            os: null, // 将在发送前异步填充
-            cpu: null,
-            load: null,
-            memory: null,
-            disks: null,
-        },
+        system_info: {}, // 发送前填充，只包含发生变化的采集器（见 systemInfo.js）
         process_output: processOutput,
-        callback: { ...module.exports.pendingCallbacks }
+        output_formats: outputFormats,
+        command_results: getCommandResults(),
+        events: pendingEvents.map(({ event_id, type, data }) => ({ event_id, type, data })),
+        callback: buildCallbacks(pendingEvents)
     };
 }
 
+/**
+ * 按选择的输出形式生成进程的纯文本记录和屏幕快照字段
+ * 
+ * plain 从服务器最后确认的偏移量开始发送，服务器通过 callback.process_plain_output_ack 按偏移量确认；
+ * plain_current_line 为尚未结束的一行（提示符、进度条等）
+ * 
+ * @param {Object} proc - 进程对象，进程已结束时为undefined
+ * @param {Object} plainLog - 纯文本输出日志
+ * @returns {Object} 要合并到 process_output 条目中的字段
+ */
+function getRenderedOutput(proc, plainLog) {
+    const fields = {};
+    if (outputFormats.includes('plain') || (plainLog && plainLog.pendingBytes > 0)) {
+        const chunk = plainLog ? plainLog.read(plainLog.acked, config.HEARTBEAT_OUTPUT_LIMIT) : { offset: 0, end: 0, data: "", dropped: 0 };
+        fields.plain = chunk.data;
+        fields.plain_offset = chunk.offset;
+        fields.plain_end_offset = chunk.end;
+        fields.plain_dropped = chunk.dropped;
+        fields.plain_current_line = proc && proc._emulator ? proc._emulator.currentLine() : null;
+    }
+    if (outputFormats.includes('screen') && proc && proc._emulator) {
+        fields.screen = proc._emulator.snapshot();
+    }
+    return fields;
+}
+
+/**
+ * 获取所有未被服务器确认的命令结果
+ * 
+ * @returns {Array} command_results 列表
+ */
+function getCommandResults() {
+    const results = [];
+    for (const records of processCommands.values()) {
+        for (const record of records) {
+            results.push(commandResults.toResult(record));
+        }
+    }
+    return results;
+}
+
 /**
  * 清理所有子进程
  * 
@@ -528,6 +1785,8 @@ function cleanupProcesses() {
             console.error(`Error terminating process ${pid}:`, error);
         }
     }
+    // 退出前保存未送达的事件和输出，重启后补发
+    outbox.save();
 }
 
 /**
@@ -541,37 +1800,32 @@ function getProcessStatus() {
     const processStatus = [];
     for (const [pid, proc] of runningProcesses.entries()) {
         // 获取与心跳相同的进程状态
-        let status = "idle";
-        try {
-            if (proc && proc.pid) {
-                // node-pty没有直接的方法检查进程是否存活，但如果进程在Map中，我们假设它是活的
-                
-                const hasRecentOutput = processOutputBuffer.has(pid) && 
-                                       processOutputBuffer.get(pid).length > 0 && 
-                                       Date.now() - (proc._lastOutputTime || 0) < 5000;
-                
-                if (processCommandExecuted.has(pid) && processCommandExecuted.get(pid)) {
-                    status = "executing";
-                } else if (hasRecentOutput) {
-                    status = "active";
-                }
-            } else {
-                status = "terminated";
-            }
-        } catch (e) {
-            status = "terminated";
-        }
+        const status = getProcessState(pid, proc);
+        const queue = getQueueInfo(proc);
+        const foreground = getForegroundInfo(proc);
         
         // 为了保持与原代码结构一致，我们需要模拟spawnargs属性
-        const shellName = process.platform === 'win32' ? 'powershell.exe' : 'bash';
-        const spawnargs = [shellName];
+        const spawnargs = proc.options ? [proc.options.shell, ...proc.options.args] : [];
         
         processStatus.push({
             PID: pid,
             command: spawnargs.join(' '),
-            hasOutput: processOutputBuffer.has(pid) && processOutputBuffer.get(pid).length > 0,
+            shell: proc.options ? proc.options.shell : null,
+            hasOutput: processOutputLogs.has(pid) && processOutputLogs.get(pid).end > 0,
             cwd: proc.workingDirectory || process.cwd(),
             commandExecuted: processCommandExecuted.has(pid) && processCommandExecuted.get(pid),
+            commandState: getCommandState(proc),
+            lastExitCode: proc._lastExitCode,
+            currentCommand: queue.current,
+            queuedCommands: queue.queued.length,
+            commandQueue: queue.queued,
+            atPrompt: foreground ? foreground.at_prompt : null,
+            foreground: foreground ? foreground.program : null,
+            label: proc.options ? proc.options.label : null,
+            lastOutputTime: proc._lastOutputTime ? new Date(proc._lastOutputTime).toISOString() : null,
+            redactions: proc._redactor.counts,
+            resources: resources.describeUsage(proc._resources),
+            limits: proc._limits,
             status: status
         });
     }
@@ -579,18 +1833,185 @@ function getProcessStatus() {
     return processStatus;
 }
 
-// 回调状态跟踪
-const pendingCallbacks = {
-    process_death: [],
-    process_created: null
-};
+/**
+ * 创建空的待确认回调对象
+ * 
+ * @returns {Object} 回调对象
+ */
+function createEmptyCallbacks() {
+    return {
+        process_death: [],
+        process_created: null,
+        command_finished: [],
+        command_rejected: [],
+        command_awaiting_confirmation: [],
+        file_op_results: [],
+        process_create_failed: [],
+        process_control_results: [],
+        tasks_rejected: []
+    };
+}
+
+/**
+ * 按旧版回调格式汇总事件（callback 字段），新版服务器使用带 event_id 的 events 字段
+ * 
+ * @param {Array<Object>} pendingEvents - 事件列表
+ * @returns {Object} 回调对象
+ */
+function buildCallbacks(pendingEvents) {
+    const callbacks = createEmptyCallbacks();
+    for (const event of pendingEvents) {
+        if (event.type === 'process_created') {
+            callbacks.process_created = event.data;
+        } else if (Array.isArray(callbacks[event.type])) {
+            callbacks[event.type].push(event.data);
+        }
+    }
+    return callbacks;
+}
+
+/**
+ * 获取所有尚未被服务器确认的回调（旧版格式）
+ * 
+ * @returns {Object} 回调对象
+ */
+function getPendingCallbacks() {
+    return buildCallbacks(outbox.pending());
+}
+
+/**
+ * 加入一个待发送的回调事件
+ * 
+ * @param {string} type - 回调类型，对应 createEmptyCallbacks 中的字段
+ * @param {*} data - 回调内容
+ */
+function queueCallback(type, data) {
+    outbox.enqueue(type, data);
+}
+
+/**
+ * 加入进程死亡回调，同一进程只上报一次
+ * 
+ * @param {string} pid - 进程ID
+ */
+function queueProcessDeath(pid) {
+    if (!outbox.has('process_death', data => data === pid)) {
+        queueCallback('process_death', pid);
+    }
+}
+
+/**
+ * 上报被拒绝的服务器响应（签名缺失、不匹配或重放），其中的任务不会执行
+ * 
+ * @param {string} reason - 拒绝原因
+ * @param {Object} data - 服务器响应
+ * @param {string} transport - 'http' 或 'websocket'
+ */
+function reportRejectedTasks(reason, data, transport) {
+    const tasks = data && data.tasks && typeof data.tasks === 'object' ? data.tasks : {};
+    queueCallback('tasks_rejected', {
+        reason,
+        transport,
+        key_id: data && data.signature ? data.signature.key_id || null : null,
+        task_types: Object.keys(tasks),
+        rejected_at: new Date().toISOString()
+    });
+    console.warn(`Rejected server response received over ${transport}: ${reason}`);
+}
+
+/**
+ * 服务器确认收到回调事件
+ * 
+ * @param {Array<string>} [eventIds] - callback.events_ack
+ * @param {Array<string>} [sentIds] - 该响应对应的心跳发送的事件ID（只有HTTP响应能对应到请求），
+ *                                    旧版服务器不返回 events_ack 时确认这些事件；两者都没有时不确认任何事件
+ */
+function acknowledgeEvents(eventIds, sentIds) {
+    const ids = eventIds || sentIds;
+    if (ids) outbox.acknowledge(ids);
+}
+
+/**
+ * 生成写入状态文件的快照：运行中的进程和每个进程未确认的输出
+ * 
+ * @returns {Object}
+ */
+function createStateSnapshot() {
+    const output = {};
+    for (const [pid, log] of processOutputLogs.entries()) {
+        if (log.pendingBytes === 0) continue;
+        const chunk = log.read(log.acked, config.STATE_OUTPUT_LIMIT);
+        output[pid] = { offset: chunk.offset, data: chunk.data };
+    }
+    return {
+        processes: [...runningProcesses.keys()],
+        output
+    };
+}
+
+/**
+ * 从状态文件恢复上次运行时未送达的事件和输出
+ * 
+ * 上次运行时的shell已随代理一起退出，为它们补发进程死亡回调；
+ * 未确认的输出恢复为已结束进程的输出日志，按原来的偏移量继续发送，确认后释放
+ */
+function restoreState() {
+    const snapshot = outbox.load();
+    outbox.setSnapshotProvider(createStateSnapshot);
+    if (!snapshot) return;
+    
+    for (const [pid, { offset, data }] of Object.entries(snapshot.output || {})) {
+        if (processOutputLogs.has(pid)) continue;
+        const log = createOutputLog({
+            name: pid,
+            memoryLimit: config.OUTPUT_MEMORY_LIMIT,
+            spillLimit: config.OUTPUT_SPILL_LIMIT,
+            spillDir: config.OUTPUT_SPILL_DIR,
+            startOffset: offset
+        });
+        log.append(data);
+        processOutputLogs.set(pid, log);
+        console.log(`Restored ${log.pendingBytes} bytes of undelivered output for process ${pid}`);
+    }
+    
+    for (const pid of snapshot.processes || []) {
+        if (!runningProcesses.has(pid)) {
+            queueProcessDeath(pid);
+        }
+    }
+    outbox.save();
+}
+
+/**
+ * 抓取Prometheus指标时提供的当前状态
+ * 
+ * @returns {Object} { processes, outputMemoryBytes, outputSpillBytes, outboxEvents }
+ */
+function getMetricsState() {
+    let outputMemoryBytes = 0;
+    let outputSpillBytes = 0;
+    for (const log of [...processOutputLogs.values(), ...processPlainLogs.values()]) {
+        outputMemoryBytes += log.memoryBytes;
+        outputSpillBytes += log.spillBytes;
+    }
+    return {
+        processes: runningProcesses.size,
+        outputMemoryBytes,
+        outputSpillBytes,
+        outboxEvents: outbox.size
+    };
+}
+
+metrics.setGaugeProvider(getMetricsState);
 
 // 导出模块
 module.exports = {
     runningProcesses,
-    processOutputBuffer,
+    processOutputLogs,
     processCommandExecuted,
-    pendingCallbacks,
+    processCommands,
+    pendingConfirmations,
+    events,
     processingTasks: false,
     COMMAND_RESPONSE_DELAY: 1000,
     scheduleNextHeartbeat: null, // 将在index.js中设置
@@ -598,8 +2019,26 @@ module.exports = {
     handleProcessOutput,
     createNewProcess,
     executeCommandInProcess,
+    sendInput,
+    sendSignal,
+    resizeProcess,
+    clearCommandQueue,
+    reorderCommandQueue,
+    changeEnvironment,
+    startResourceMonitor,
     killProcess,
     confirmProcessAlive,
+    confirmCommandExecuted,
+    acknowledgeCommandResults,
+    getCommandResults,
+    getPendingCallbacks,
+    acknowledgeEvents,
+    reportRejectedTasks,
+    restoreState,
+    acknowledgeOutput,
+    acknowledgePlainOutput,
+    setOutputFormats,
+    resolveConfirmation,
     processTasks,
     prepareHeartbeatData,
     cleanupProcesses,
@@ -0,0 +1,355 @@
+/**
+ * processEnv.js
+ *
+ * 子进程环境变量模块 - 决定托管shell启动时的环境变量，以及运行中的会话如何修改环境变量
+ *
+ * 新进程的环境变量按以下顺序组成：
+ * 1. 从代理自身的环境变量中继承 ENV_INHERIT 允许列表中的变量（支持 LC_* 这样的前缀通配，* 表示全部）
+ * 2. 环境变量配置文件中指定的profile：inherit 追加继承的变量（clean 为 true 时不使用 ENV_INHERIT），
+ *    env 设置变量，unset 删除变量
+ * 3. 进程创建选项中的 env（不能包含代理自身的变量和 RESERVED_VARIABLES 中的保留变量）
+ * 4. 最后总是删除代理自己的变量：CLI_TOKEN、SERVER_URL、SERVER_WS_URL、.env 文件中定义的所有变量、
+ *    ENV_STRIP 中列出的变量，以及值与 CLI_TOKEN 相同的变量
+ *
+ * 配置文件（JSON）示例：
+ * {
+ *   "default": "minimal",
+ *   "profiles": {
+ *     "minimal": { "clean": true, "inherit": ["PATH", "HOME", "LANG"] },
+ *     "node": { "inherit": ["NVM_DIR"], "env": { "NODE_ENV": "development" } }
+ *   }
+ * }
+ *
+ * default 为进程选项没有指定 env_profile 时使用的profile，可以省略。
+ * 配置文件修改后自动重新加载；新文件不合法时继续使用之前的配置。
+ *
+ * 运行中的会话无法从外部修改环境变量：set_env / unset_env 把 export / unset 语句写入一个只有代理可读的临时文件，
+ * 再像普通命令一样排队让shell执行 ". <文件>; rm -f <文件>"，终端中只会出现文件路径，不会出现变量值。
+ * 代理自身的变量和 RESERVED_VARIABLES 中的保留变量不能通过 set_env / unset_env 修改。
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+
+const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+// 代理自身的凭据和服务器地址，任何情况下都不会传给子进程
+const AGENT_VARIABLES = ['CLI_TOKEN', 'SERVER_URL', 'SERVER_WS_URL'];
+// 服务器不能设置或删除的变量：shell启动或显示提示符时会执行其中的代码（绕过命令策略）、
+// shell集成依赖的钩子（PROMPT_COMMAND、PS0），以及影响动态链接的变量
+const RESERVED_VARIABLES = [
+    'PROMPT_COMMAND', 'PS0', 'PS1', 'PS2', 'PS4', 'BASH_ENV', 'ENV', 'ZDOTDIR', 'SHELLOPTS', 'BASHOPTS',
+    'LD_*', 'DYLD_*'
+];
+// 可以执行 export / unset 语句的shell
+const POSIX_SHELLS = new Set(['bash', 'sh', 'zsh', 'dash', 'ksh', 'mksh', 'ash']);
+
+// 当前生效的profile配置
+let currentProfiles = { defaultProfile: null, profiles: new Map() };
+let watching = false;
+// .env 文件中定义的变量名
+let agentFileVariables = [];
+
+/**
+ * 校验环境变量名
+ *
+ * @param {string} name - 变量名
+ * @returns {boolean}
+ */
+function isValidName(name) {
+    return typeof name === 'string' && ENV_NAME_PATTERN.test(name);
+}
+
+/**
+ * 变量名是否匹配列表（条目以 * 结尾时按前缀匹配）
+ *
+ * @param {string} name - 变量名
+ * @param {Array<string>} patterns - 变量名列表
+ * @returns {boolean}
+ */
+function matchesAny(name, patterns) {
+    return patterns.some((pattern) => {
+        if (pattern.endsWith('*')) return name.startsWith(pattern.slice(0, -1));
+        return pattern === name;
+    });
+}
+
+/**
+ * 校验字符串列表
+ *
+ * @param {*} value - 列表
+ * @param {string} what - 出错时的描述
+ * @returns {Array<string>}
+ */
+function stringList(value, what) {
+    if (value === undefined) return [];
+    if (!Array.isArray(value) || value.some((item) => typeof item !== 'string')) {
+        throw new Error(`${what} must be an array of strings`);
+    }
+    return [...value];
+}
+
+/**
+ * 校验变量表
+ *
+ * @param {*} env - { NAME: value }
+ * @param {string} what - 出错时的描述
+ * @returns {Object}
+ */
+function validateEnvMap(env, what) {
+    if (env === undefined) return {};
+    if (env === null || typeof env !== 'object' || Array.isArray(env)) {
+        throw new Error(`${what} must be an object`);
+    }
+    for (const [name, value] of Object.entries(env)) {
+        if (!isValidName(name)) {
+            throw new Error(`${what}: invalid environment variable name ${name}`);
+        }
+        if (typeof value !== 'string') {
+            throw new Error(`${what}: environment variable ${name} must be a string`);
+        }
+    }
+    return { ...env };
+}
+
+/**
+ * 校验并编译profile配置
+ *
+ * @param {Object} raw - 配置文件内容
+ * @returns {Object} { defaultProfile, profiles }
+ * @throws {Error} 配置不合法时
+ */
+function compileProfiles(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error('Environment profiles must be a JSON object');
+    }
+    const profiles = new Map();
+    for (const [name, profile] of Object.entries(raw.profiles || {})) {
+        if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+            throw new Error(`Profile ${name} must be an object`);
+        }
+        profiles.set(name, {
+            clean: !!profile.clean,
+            inherit: stringList(profile.inherit, `Profile ${name}: inherit`),
+            env: validateEnvMap(profile.env, `Profile ${name}: env`),
+            unset: stringList(profile.unset, `Profile ${name}: unset`)
+        });
+    }
+    const defaultProfile = raw.default === undefined || raw.default === null ? null : String(raw.default);
+    if (defaultProfile && !profiles.has(defaultProfile)) {
+        throw new Error(`Default profile ${defaultProfile} is not defined`);
+    }
+    return { defaultProfile, profiles };
+}
+
+/**
+ * 加载profile配置文件
+ *
+ * @returns {boolean} 是否加载成功
+ */
+function loadProfiles() {
+    let text;
+    try {
+        text = fs.readFileSync(config.ENV_PROFILES_FILE, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            currentProfiles = { defaultProfile: null, profiles: new Map() };
+            return true;
+        }
+        console.error(`Error reading environment profiles ${config.ENV_PROFILES_FILE}:`, error.message);
+        return false;
+    }
+
+    try {
+        currentProfiles = compileProfiles(JSON.parse(text));
+        console.log(`Loaded ${currentProfiles.profiles.size} environment profiles from ${config.ENV_PROFILES_FILE}`);
+        return true;
+    } catch (error) {
+        console.error(`Invalid environment profiles ${config.ENV_PROFILES_FILE}, keeping previous profiles:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * 加载profile配置文件并在文件变化时自动重新加载
+ */
+function watchProfiles() {
+    loadProfiles();
+    if (watching) return;
+    watching = true;
+    fs.watchFile(config.ENV_PROFILES_FILE, { interval: 1000 }, (curr, prev) => {
+        if (curr.mtimeMs !== prev.mtimeMs || curr.size !== prev.size) {
+            loadProfiles();
+        }
+    }).unref();
+}
+
+/**
+ * 记录 .env 文件中定义的变量，这些变量属于代理的配置，不传给子进程
+ *
+ * @param {Array<string>} names - 变量名
+ */
+function setAgentVariables(names) {
+    agentFileVariables = [...names];
+}
+
+/**
+ * 变量是否属于代理自身，必须从子进程环境中删除
+ *
+ * @param {string} name - 变量名
+ * @returns {boolean}
+ */
+function isStripped(name) {
+    return AGENT_VARIABLES.includes(name) ||
+        agentFileVariables.includes(name) ||
+        matchesAny(name, config.ENV_STRIP);
+}
+
+/**
+ * 变量是否属于代理（自身的变量或保留变量），服务器提供的环境变量不能设置或删除它
+ *
+ * @param {string} name - 变量名
+ * @returns {boolean}
+ */
+function isReserved(name) {
+    return isStripped(name) || matchesAny(name, RESERVED_VARIABLES);
+}
+
+/**
+ * profile是否存在
+ *
+ * @param {string} name - profile名称
+ * @returns {boolean}
+ */
+function hasProfile(name) {
+    return currentProfiles.profiles.has(name);
+}
+
+/**
+ * 组成新进程的环境变量
+ *
+ * @param {Object} options - 规范化后的进程选项
+ * @param {string|null} options.env_profile - profile名称，null时使用默认profile
+ * @param {Object} options.env - 进程选项中的变量
+ * @returns {{env: Object, profile: string|null}} 环境变量和实际使用的profile
+ * @throws {Error} profile不存在时
+ */
+function buildEnvironment({ env_profile: profileName, env: extra }) {
+    const name = profileName || currentProfiles.defaultProfile;
+    const profile = name ? currentProfiles.profiles.get(name) : null;
+    if (name && !profile) {
+        throw new Error(`Environment profile ${name} is not defined`);
+    }
+
+    const inherit = [...(profile && profile.clean ? [] : config.ENV_INHERIT), ...(profile ? profile.inherit : [])];
+    const env = {};
+    for (const [key, value] of Object.entries(process.env)) {
+        if (value !== undefined && matchesAny(key, inherit)) {
+            env[key] = value;
+        }
+    }
+    if (profile) {
+        Object.assign(env, profile.env);
+        for (const key of profile.unset) delete env[key];
+    }
+    Object.assign(env, extra);
+
+    const token = process.env.CLI_TOKEN;
+    for (const [key, value] of Object.entries(env)) {
+        if (isStripped(key) || (token && value === token)) {
+            delete env[key];
+        }
+    }
+    return { env, profile: name || null };
+}
+
+/**
+ * shell是否支持通过 set_env / unset_env 修改环境变量
+ *
+ * @param {string} shell - shell路径或名称
+ * @returns {boolean}
+ */
+function supportsEnvChanges(shell) {
+    return POSIX_SHELLS.has(path.basename(shell));
+}
+
+/**
+ * 单引号转义
+ *
+ * @param {string} value - 字符串
+ * @returns {string}
+ */
+function shellQuote(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * 校验 set_env / unset_env 的内容
+ *
+ * @param {Object} [set] - 要设置的变量 { NAME: value }
+ * @param {Array<string>} [unset] - 要删除的变量名
+ * @returns {{set: Object, unset: Array<string>}}
+ * @throws {Error} 变量名或值不合法，或者试图设置、删除代理自身的变量或保留变量时
+ */
+function validateEnvChange(set, unset) {
+    const variables = validateEnvMap(set, 'env');
+    const names = stringList(unset, 'names');
+    for (const name of names) {
+        if (!isValidName(name)) {
+            throw new Error(`names: invalid environment variable name ${name}`);
+        }
+    }
+    // 保留变量不能设置也不能删除：例如 PROMPT_COMMAND 会执行代码，删除它会使shell集成的结束标记不再出现，队列因此停住
+    const token = process.env.CLI_TOKEN;
+    for (const name of [...Object.keys(variables), ...names]) {
+        if (isReserved(name) || (token && variables[name] === token)) {
+            throw new Error(`Environment variable ${name} is reserved by the agent`);
+        }
+    }
+    if (Object.keys(variables).length === 0 && names.length === 0) {
+        throw new Error('No environment variables to change');
+    }
+    return { set: variables, unset: names };
+}
+
+/**
+ * 为运行中的会话生成修改环境变量的脚本文件
+ *
+ * @param {{set: Object, unset: Array<string>}} change - 校验过的修改
+ * @returns {{file: string, command: string}} 脚本路径和写入shell的命令
+ */
+function writeEnvScript(change) {
+    const file = path.join(os.tmpdir(), `agentplus-env-${crypto.randomBytes(8).toString('hex')}.sh`);
+    const lines = [
+        ...change.unset.map((name) => `unset ${name}`),
+        ...Object.entries(change.set).map(([name, value]) => `export ${name}=${shellQuote(value)}`)
+    ];
+    // 用 && 连接，任一步失败（例如只读变量）时脚本的退出码不为0，代理不会记录这次修改
+    fs.writeFileSync(file, `${lines.join(' &&\n')}\n`, { mode: 0o600 });
+    // 执行失败时保留脚本文件（进程退出时删除）
+    return { file, command: `. ${shellQuote(file)} && rm -f ${shellQuote(file)}` };
+}
+
+/**
+ * 删除shell未执行的脚本文件（进程退出时）
+ *
+ * @param {string} file - 脚本路径
+ */
+function removeEnvScript(file) {
+    fs.unlink(file, () => {});
+}
+
+module.exports = {
+    isStripped,
+    isReserved,
+    watchProfiles,
+    setAgentVariables,
+    hasProfile,
+    buildEnvironment,
+    supportsEnvChanges,
+    validateEnvChange,
+    writeEnvScript,
+    removeEnvScript
+};
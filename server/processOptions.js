@@ -0,0 +1,270 @@
+/**
+ * processOptions.js
+ *
+ * 进程选项模块 - 校验服务器在创建新进程时提供的选项
+ *
+ * 选项格式（tasks.new_process_options 或本地API /process/create 的请求体）：
+ * {
+ *   shell: '/bin/zsh',          // 必须在 ALLOWED_SHELLS 中
+ *   args: ['-o', 'vi'],         // 额外的shell参数，只能是调整shell选项的参数（见 validateShellArgs）
+ *   cwd: '/home/dev/project',   // 初始工作目录，必须位于 ALLOWED_ROOTS 之内
+ *   env: { NODE_ENV: 'test' },  // 额外的环境变量（不能设置 CLI_TOKEN 等代理自身的变量和 PROMPT_COMMAND 等保留变量）
+ *   env_profile: 'node',        // 环境变量profile，见 processEnv.js
+ *   cols: 120, rows: 40,        // 终端尺寸
+ *   login: true,                // 以登录shell方式启动
+ *   limits: { memory_mb: 2048, cpu_seconds: 600, children: 200, wall_seconds: 86400 },
+ *                               // 资源上限，只能比本地配置更严格，见 resources.js
+ *   label: 'build'              // 便于识别的标签
+ * }
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('./config');
+const { isWithin } = require('./policy');
+const processEnv = require('./processEnv');
+const { OPTION_FIELDS: LIMIT_FIELDS } = require('./resources');
+
+/**
+ * 选项校验错误，用于区分"选项不合法"与"创建进程失败"
+ */
+class ProcessOptionsError extends Error {
+    constructor(message) {
+        super(message);
+    }
+}
+
+const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const MAX_LABEL_LENGTH = 100;
+
+// 允许的shell长参数
+const ALLOWED_LONG_ARGS = new Set(['--noprofile', '--restricted', '--verbose', '--noediting']);
+// 允许的单字母参数（可以组合，例如 -ex），对应 set 的选项以及 -r
+const ALLOWED_SHORT_ARGS = new Set('abefhkmnprtuvxBCEHPT');
+// -o / +o / -O / +O 后面的选项名
+const SHELL_OPTION_PATTERN = /^[A-Za-z][A-Za-z0-9_-]*$/;
+// 会让bash跳过shell集成的rcfile的参数，用 login 选项代替登录shell
+const LOGIN_ARGS = new Set(['-l', '--login']);
+const POSIX_ARGS = new Set(['--posix']);
+
+/**
+ * 默认shell
+ *
+ * @returns {string}
+ */
+function defaultShell() {
+    return process.platform === 'win32' ? 'powershell.exe' : 'bash';
+}
+
+/**
+ * 允许使用的shell列表
+ *
+ * @returns {Array<string>}
+ */
+function allowedShells() {
+    return config.ALLOWED_SHELLS.length > 0 ? config.ALLOWED_SHELLS : [defaultShell()];
+}
+
+/**
+ * 允许作为工作目录的根目录列表
+ *
+ * @returns {Array<string>}
+ */
+function allowedRoots() {
+    return config.ALLOWED_ROOTS.length > 0 ? config.ALLOWED_ROOTS : [os.homedir(), process.cwd()];
+}
+
+/**
+ * shell是否在允许列表中
+ *
+ * 列表中的绝对路径需要完全匹配；只写名称的条目匹配任意路径下的同名shell
+ *
+ * @param {string} shell - shell路径或名称
+ * @returns {boolean}
+ */
+function isShellAllowed(shell) {
+    return allowedShells().some((entry) => {
+        if (entry === shell) return true;
+        return !entry.includes('/') && !entry.includes('\\') && path.basename(shell) === entry;
+    });
+}
+
+/**
+ * 校验额外的shell参数
+ *
+ * 只允许调整shell选项的参数；-c、-i、-s、--rcfile、--init-file、脚本文件等会执行任意代码
+ * 或替换shell集成的初始化脚本（绕过命令策略），一律拒绝。
+ * -l、--login、--posix 和 -o posix 会让bash不读取 --rcfile，命令完成标记丢失后命令队列无法继续，同样拒绝
+ *
+ * @param {Array<string>} args - shell参数
+ * @throws {ProcessOptionsError} 参数不被允许时
+ */
+function validateShellArgs(args) {
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (LOGIN_ARGS.has(arg)) {
+            throw new ProcessOptionsError(`Shell argument ${arg} is not allowed, use the login option instead`);
+        }
+        if (POSIX_ARGS.has(arg)) {
+            throw new ProcessOptionsError(`Shell argument ${arg} is not allowed`);
+        }
+        if (ALLOWED_LONG_ARGS.has(arg)) continue;
+        if (/^[-+][oO]$/.test(arg)) {
+            const name = args[++i];
+            if (name === undefined || !SHELL_OPTION_PATTERN.test(name)) {
+                throw new ProcessOptionsError(`Shell argument ${arg} must be followed by an option name`);
+            }
+            if (arg === '-o' && name === 'posix') {
+                throw new ProcessOptionsError(`Shell argument ${arg} ${name} is not allowed`);
+            }
+            continue;
+        }
+        const flags = /^[-+]([A-Za-z]+)$/.exec(arg);
+        if (flags && [...flags[1]].every((flag) => ALLOWED_SHORT_ARGS.has(flag))) continue;
+        throw new ProcessOptionsError(`Shell argument ${arg} is not allowed`);
+    }
+}
+
+/**
+ * 校验整数选项
+ *
+ * @param {*} value - 选项值
+ * @param {string} name - 选项名
+ * @param {number} min - 最小值
+ * @param {number} max - 最大值
+ * @param {number} defaultValue - 默认值
+ * @returns {number}
+ */
+function validateInt(value, name, min, max, defaultValue) {
+    if (value === undefined || value === null) return defaultValue;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw new ProcessOptionsError(`${name} must be an integer between ${min} and ${max}`);
+    }
+    return number;
+}
+
+/**
+ * 校验终端尺寸
+ *
+ * @param {*} cols - 列数，未提供时为80
+ * @param {*} rows - 行数，未提供时为30
+ * @returns {{cols: number, rows: number}}
+ * @throws {ProcessOptionsError} 尺寸超出范围时
+ */
+function validateTerminalSize(cols, rows) {
+    return {
+        cols: validateInt(cols, 'cols', 10, 500, 80),
+        rows: validateInt(rows, 'rows', 5, 200, 30)
+    };
+}
+
+/**
+ * 校验并规范化进程选项
+ *
+ * @param {Object} [options] - 服务器提供的选项
+ * @returns {Object} 规范化后的选项 { shell, args, cwd, env, env_profile, cols, rows, login, label, limits }
+ * @throws {ProcessOptionsError} 选项不合法或不被允许时
+ */
+function validateProcessOptions(options = {}) {
+    if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+        throw new ProcessOptionsError('Process options must be an object');
+    }
+
+    const shell = options.shell === undefined ? defaultShell() : String(options.shell);
+    if (!isShellAllowed(shell)) {
+        throw new ProcessOptionsError(`Shell ${shell} is not in ALLOWED_SHELLS`);
+    }
+
+    const args = options.args === undefined ? [] : options.args;
+    if (!Array.isArray(args) || args.some((arg) => typeof arg !== 'string')) {
+        throw new ProcessOptionsError('args must be an array of strings');
+    }
+    validateShellArgs(args);
+
+    const cwd = path.resolve(options.cwd === undefined ? process.cwd() : String(options.cwd));
+    if (!isWithin(cwd, allowedRoots())) {
+        throw new ProcessOptionsError(`Working directory ${cwd} is not under ALLOWED_ROOTS`);
+    }
+    let stat;
+    try {
+        stat = fs.statSync(cwd);
+    } catch (error) {
+        throw new ProcessOptionsError(`Working directory ${cwd} does not exist`);
+    }
+    if (!stat.isDirectory()) {
+        throw new ProcessOptionsError(`Working directory ${cwd} is not a directory`);
+    }
+
+    const env = options.env === undefined ? {} : options.env;
+    if (env === null || typeof env !== 'object' || Array.isArray(env)) {
+        throw new ProcessOptionsError('env must be an object');
+    }
+    for (const [name, value] of Object.entries(env)) {
+        if (!ENV_NAME_PATTERN.test(name)) {
+            throw new ProcessOptionsError(`Invalid environment variable name: ${name}`);
+        }
+        if (typeof value !== 'string') {
+            throw new ProcessOptionsError(`Environment variable ${name} must be a string`);
+        }
+        if (processEnv.isReserved(name)) {
+            throw new ProcessOptionsError(`Environment variable ${name} is reserved by the agent`);
+        }
+    }
+
+    const envProfile = options.env_profile === undefined || options.env_profile === null ? null : String(options.env_profile);
+    if (envProfile && !processEnv.hasProfile(envProfile)) {
+        throw new ProcessOptionsError(`Environment profile ${envProfile} is not defined`);
+    }
+
+    let limits = null;
+    if (options.limits !== undefined && options.limits !== null) {
+        if (typeof options.limits !== 'object' || Array.isArray(options.limits)) {
+            throw new ProcessOptionsError('limits must be an object');
+        }
+        const fields = Object.values(LIMIT_FIELDS);
+        limits = {};
+        for (const [name, value] of Object.entries(options.limits)) {
+            if (!fields.includes(name)) {
+                throw new ProcessOptionsError(`Unknown limit: ${name}`);
+            }
+            limits[name] = validateInt(value, `limits.${name}`, 0, Number.MAX_SAFE_INTEGER, 0);
+        }
+    }
+
+    const label = options.label === undefined || options.label === null ? null : String(options.label);
+    if (label && label.length > MAX_LABEL_LENGTH) {
+        throw new ProcessOptionsError(`label must be at most ${MAX_LABEL_LENGTH} characters`);
+    }
+
+    return {
+        shell,
+        args: [...args],
+        cwd,
+        env: { ...env },
+        env_profile: envProfile,
+        ...validateTerminalSize(options.cols, options.rows),
+        login: !!options.login,
+        label,
+        limits
+    };
+}
+
+/**
+ * 生成可以回传给服务器的选项描述（环境变量只包含名称）
+ *
+ * @param {Object} options - 规范化后的选项
+ * @returns {Object}
+ */
+function describeProcessOptions(options) {
+    const { env, ...rest } = options;
+    return { ...rest, env_keys: Object.keys(env) };
+}
+
+module.exports = {
+    ProcessOptionsError,
+    validateProcessOptions,
+    validateTerminalSize,
+    describeProcessOptions
+};
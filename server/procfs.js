@@ -0,0 +1,231 @@
+/**
+ * procfs.js
+ *
+ * 读取 Linux /proc 中的进程信息
+ *
+ * 其他平台没有 /proc，相关函数返回 null，调用方需要自行降级处理。
+ */
+
+const fs = require('fs');
+const { execFileSync } = require('child_process');
+
+// 每秒的时钟节拍数和内存页大小，第一次使用时通过 getconf 读取
+let systemConstants = null;
+// 系统启动时间（毫秒时间戳），第一次使用时从 /proc/stat 读取
+let bootTime = null;
+
+// 各架构上 read / readv 的系统调用号，用于判断进程是否阻塞在读取终端上
+const READ_SYSCALLS = {
+    x64: [0, 19],
+    arm64: [63, 65],
+    ia32: [3, 145],
+    arm: [3, 145]
+};
+
+/**
+ * 读取并解析 /proc/<pid>/stat
+ *
+ * 第二个字段（进程名）可能包含空格和括号，因此从最后一个 ')' 之后开始按空格拆分
+ *
+ * @param {string|number} pid - 进程ID
+ * @returns {Object|null} { pid, comm, state, ppid, pgrp, session, ttyNr, tpgid, utime, stime, cutime, cstime, starttime, rss }，
+ *          时间单位为时钟节拍（starttime 从系统启动时算起），rss 单位为页；读取失败时返回null
+ */
+function readStat(pid) {
+    let text;
+    try {
+        text = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+    } catch (error) {
+        return null;
+    }
+
+    const open = text.indexOf('(');
+    const close = text.lastIndexOf(')');
+    if (open === -1 || close === -1) return null;
+
+    const fields = text.substring(close + 2).split(' ');
+    return {
+        pid: Number(text.substring(0, open).trim()),
+        comm: text.substring(open + 1, close),
+        state: fields[0],
+        ppid: Number(fields[1]),
+        pgrp: Number(fields[2]),
+        session: Number(fields[3]),
+        ttyNr: Number(fields[4]),
+        tpgid: Number(fields[5]),
+        utime: Number(fields[11]),
+        stime: Number(fields[12]),
+        cutime: Number(fields[13]),
+        cstime: Number(fields[14]),
+        starttime: Number(fields[19]),
+        rss: Number(fields[21])
+    };
+}
+
+/**
+ * 获取进程所在终端的前台进程组
+ *
+ * shell空闲时前台进程组就是shell自己；运行程序时是该程序（或管道）所在的进程组
+ *
+ * @param {string|number} pid - 终端中任一进程的ID（通常是shell）
+ * @returns {number|null} 前台进程组ID，无法获取时返回null
+ */
+function getForegroundProcessGroup(pid) {
+    const stat = readStat(pid);
+    if (!stat || !(stat.tpgid > 0)) return null;
+    return stat.tpgid;
+}
+
+/**
+ * 读取进程的命令行参数
+ *
+ * @param {string|number} pid - 进程ID
+ * @returns {Array<string>|null} 参数列表，读取失败时返回null（内核线程和僵尸进程为空数组）
+ */
+function readCmdline(pid) {
+    try {
+        const text = fs.readFileSync(`/proc/${pid}/cmdline`, 'utf8');
+        return text ? text.replace(/\0$/, '').split('\0') : [];
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 计算进程的启动时间
+ *
+ * @param {Object} stat - readStat 的结果
+ * @returns {number|null} 毫秒时间戳，无法获取系统启动时间时返回null
+ */
+function getStartTime(stat) {
+    if (bootTime === null) {
+        try {
+            const match = /^btime (\d+)$/m.exec(fs.readFileSync('/proc/stat', 'utf8'));
+            bootTime = match ? Number(match[1]) * 1000 : 0;
+        } catch (error) {
+            bootTime = 0;
+        }
+    }
+    if (!bootTime) return null;
+    return bootTime + Math.round(stat.starttime / getSystemConstants().clockTicks * 1000);
+}
+
+/**
+ * 进程是否阻塞在读取终端上（等待用户输入）
+ *
+ * 通过 /proc/<pid>/syscall 查看进程当前所在的系统调用：read / readv 且文件描述符指向该终端时视为等待输入。
+ * 通过 select / poll 等待输入的程序（例如使用readline的交互式解释器）无法与等待网络等其他事件区分，不计入。
+ *
+ * @param {string|number} pid - 进程ID
+ * @param {string} tty - 终端设备路径（例如 /dev/pts/3）
+ * @returns {boolean}
+ */
+function isReadingTerminal(pid, tty) {
+    const syscalls = READ_SYSCALLS[process.arch];
+    if (!syscalls || !tty) return false;
+    let fields;
+    try {
+        fields = fs.readFileSync(`/proc/${pid}/syscall`, 'utf8').trim().split(' ');
+    } catch (error) {
+        return false;
+    }
+    if (!syscalls.includes(Number(fields[0])) || fields.length < 2) return false;
+    return readFdTarget(pid, parseInt(fields[1], 16)) === tty;
+}
+
+/**
+ * 读取文件描述符指向的文件
+ *
+ * @param {string|number} pid - 进程ID
+ * @param {number} fd - 文件描述符
+ * @returns {string|null}
+ */
+function readFdTarget(pid, fd) {
+    try {
+        return fs.readlinkSync(`/proc/${pid}/fd/${fd}`);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 读取进程的当前工作目录
+ *
+ * @param {string|number} pid - 进程ID
+ * @returns {string|null} 无法读取时返回null
+ */
+function readCwd(pid) {
+    try {
+        return fs.readlinkSync(`/proc/${pid}/cwd`);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 读取时钟节拍数和页大小
+ *
+ * @returns {{clockTicks: number, pageSize: number}}
+ */
+function getSystemConstants() {
+    if (systemConstants) return systemConstants;
+    const read = (name, fallback) => {
+        try {
+            const value = parseInt(execFileSync('getconf', [name], { encoding: 'utf8', timeout: 2000 }), 10);
+            return value > 0 ? value : fallback;
+        } catch (error) {
+            return fallback;
+        }
+    };
+    systemConstants = { clockTicks: read('CLK_TCK', 100), pageSize: read('PAGESIZE', 4096) };
+    return systemConstants;
+}
+
+/**
+ * 读取所有进程的 stat
+ *
+ * @returns {Array<Object>|null} 进程列表，没有 /proc 时返回null
+ */
+function listProcesses() {
+    let entries;
+    try {
+        entries = fs.readdirSync('/proc');
+    } catch (error) {
+        return null;
+    }
+    const processes = [];
+    for (const entry of entries) {
+        if (!/^\d+$/.test(entry)) continue;
+        // 读取期间进程可能已经退出
+        const stat = readStat(entry);
+        if (stat) processes.push(stat);
+    }
+    return processes;
+}
+
+/**
+ * 统计进程打开的文件描述符数量
+ *
+ * @param {string|number} pid - 进程ID
+ * @returns {number} 无权限或进程已退出时返回0
+ */
+function countOpenFiles(pid) {
+    try {
+        return fs.readdirSync(`/proc/${pid}/fd`).length;
+    } catch (error) {
+        return 0;
+    }
+}
+
+module.exports = {
+    readStat,
+    listProcesses,
+    countOpenFiles,
+    readCmdline,
+    getStartTime,
+    isReadingTerminal,
+    readFdTarget,
+    readCwd,
+    getSystemConstants,
+    getForegroundProcessGroup
+};
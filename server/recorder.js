@@ -0,0 +1,192 @@
+/**
+ * recorder.js
+ *
+ * 会话录制模块 - 将每个伪终端的输入输出按 asciicast v2 格式记录到文件
+ *
+ * 文件格式：第一行为头部JSON，之后每行一个事件 [时间(秒), 类型, 数据]
+ * - "o" 终端输出（onData的原始数据块）
+ * - "i" 写入终端的输入
+ * - "r" 终端尺寸变化，数据为 "<cols>x<rows>"
+ *
+ * 单个文件超过大小上限时轮转为新的分段文件，目录中的录制文件按数量、总大小和保存天数清理。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+// 录制文件名格式：session-<pid>-<时间戳>-<分段号>.cast
+const RECORDING_NAME_PATTERN = /^session-(\d+)-(\d{8}T\d{6})-(\d+)\.cast$/;
+
+/**
+ * 格式化文件名中的时间戳
+ *
+ * @param {Date} date - 时间
+ * @returns {string} 例如 20250101T120000
+ */
+function formatTimestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').substring(0, 15);
+}
+
+/**
+ * 为会话创建录制器
+ *
+ * @param {Object} options - 录制配置
+ * @param {string} options.pid - 进程ID
+ * @param {number} options.cols - 终端列数
+ * @param {number} options.rows - 终端行数
+ * @param {string} options.shell - shell名称
+ * @returns {Object|null} 录制器，录制被禁用时返回null
+ */
+function createRecorder({ pid, cols, rows, shell }) {
+    if (!config.RECORDING_ENABLED) return null;
+
+    const sessionStamp = formatTimestamp(new Date());
+    let part = 0;
+    let stream = null;
+    let bytesWritten = 0;
+    let partStartedAt = 0;
+    let size = { cols, rows };
+    let closed = false;
+
+    /**
+     * 打开新的分段文件并写入头部
+     */
+    function openPart() {
+        fs.mkdirSync(config.RECORDING_DIR, { recursive: true });
+        const file = path.join(config.RECORDING_DIR, `session-${pid}-${sessionStamp}-${part}.cast`);
+        stream = fs.createWriteStream(file, { flags: 'a', mode: 0o600 });
+        stream.on('error', (error) => console.error(`Recording error for process ${pid}:`, error.message));
+        partStartedAt = Date.now();
+        bytesWritten = 0;
+
+        const header = {
+            version: 2,
+            width: size.cols,
+            height: size.rows,
+            timestamp: Math.floor(partStartedAt / 1000),
+            title: `PID ${pid}${part > 0 ? ` (part ${part + 1})` : ''}`,
+            env: { SHELL: shell, TERM: 'xterm-color' }
+        };
+        writeLine(JSON.stringify(header));
+        enforceRetention();
+    }
+
+    /**
+     * 写入一行
+     *
+     * @param {string} line - 内容
+     */
+    function writeLine(line) {
+        const data = line + '\n';
+        stream.write(data);
+        bytesWritten += Buffer.byteLength(data);
+    }
+
+    /**
+     * 写入一个事件，必要时轮转文件
+     *
+     * @param {string} type - 事件类型
+     * @param {string} data - 事件数据
+     */
+    function event(type, data) {
+        if (closed) return;
+        if (!stream || bytesWritten >= config.RECORDING_MAX_FILE_BYTES) {
+            if (stream) {
+                stream.end();
+                part++;
+            }
+            openPart();
+        }
+        const elapsed = (Date.now() - partStartedAt) / 1000;
+        writeLine(JSON.stringify([Number(elapsed.toFixed(6)), type, data]));
+    }
+
+    return {
+        output: (data) => event('o', data),
+        input: (data) => event('i', data),
+        resize: (newCols, newRows) => {
+            size = { cols: newCols, rows: newRows };
+            event('r', `${newCols}x${newRows}`);
+        },
+        close: () => {
+            closed = true;
+            if (stream) stream.end();
+        }
+    };
+}
+
+/**
+ * 列出所有录制文件
+ *
+ * @returns {Array<Object>} 按修改时间倒序排列的录制文件信息
+ */
+function listRecordings() {
+    let names;
+    try {
+        names = fs.readdirSync(config.RECORDING_DIR);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const recordings = [];
+    for (const name of names) {
+        const match = RECORDING_NAME_PATTERN.exec(name);
+        if (!match) continue;
+        try {
+            const stat = fs.statSync(path.join(config.RECORDING_DIR, name));
+            recordings.push({
+                name,
+                pid: match[1],
+                part: parseInt(match[3], 10),
+                size: stat.size,
+                created: stat.birthtime.toISOString(),
+                modified: stat.mtime.toISOString()
+            });
+        } catch (error) {
+            // 文件可能刚被清理
+        }
+    }
+
+    return recordings.sort((a, b) => b.modified.localeCompare(a.modified));
+}
+
+/**
+ * 获取录制文件的绝对路径
+ *
+ * @param {string} name - 文件名
+ * @returns {string|null} 文件名不合法时返回null，防止路径穿越
+ */
+function getRecordingPath(name) {
+    if (!RECORDING_NAME_PATTERN.test(name)) return null;
+    return path.join(config.RECORDING_DIR, name);
+}
+
+/**
+ * 按保存天数、文件数量和总大小清理旧的录制文件
+ */
+function enforceRetention() {
+    const recordings = listRecordings();
+    const maxAge = config.RECORDING_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    let totalBytes = 0;
+
+    recordings.forEach((recording, index) => {
+        totalBytes += recording.size;
+        const expired = maxAge > 0 && Date.now() - Date.parse(recording.modified) > maxAge;
+        // 最新的文件（index为0）总是保留，它可能正在写入
+        const overLimit = index > 0 && (index >= config.RECORDING_MAX_FILES || totalBytes > config.RECORDING_MAX_TOTAL_BYTES);
+        if (expired || overLimit) {
+            fs.unlink(path.join(config.RECORDING_DIR, recording.name), (error) => {
+                if (!error) console.log(`Removed recording ${recording.name} (retention)`);
+            });
+        }
+    });
+}
+
+module.exports = {
+    createRecorder,
+    listRecordings,
+    getRecordingPath,
+    enforceRetention
+};
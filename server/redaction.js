@@ -0,0 +1,479 @@
+/**
+ * redaction.js
+ *
+ * 输出脱敏 - 进程输出在写入输出日志（心跳、状态文件、本地API都从这里读取）之前先替换其中的密钥
+ *
+ * 内置检测规则：
+ * - aws_access_key     AKIA/ASIA 等前缀的访问密钥ID
+ * - gcp_api_key        AIza 开头的Google API密钥；gcp_oauth_token：ya29. 开头的访问令牌
+ * - jwt                三段式JWT
+ * - private_key        PEM私钥块（包括JSON中以 \n 转义的形式），只出现BEGIN时一直隐藏到END
+ * - secret_assignment  password=、token: 、api_key= 等形式的赋值，只替换值
+ * - high_entropy       长度不少于24、同时包含字母和数字、香农熵不低于 min_entropy 的字符串
+ * - env_value          代理自身环境变量和托管进程环境变量中名称像密钥的变量值（KEY、TOKEN、SECRET、PASSWORD 等）
+ *
+ * 规则文件（JSON，可选）示例：
+ * {
+ *   "enabled": true,
+ *   "disable_detectors": ["high_entropy"],
+ *   "min_entropy": 4.2,
+ *   "patterns": [{ "name": "internal-token", "regex": "itk_[a-z0-9]{32}", "flags": "i" }],
+ *   "env_vars": ["DATABASE_URL"]
+ * }
+ * 自定义正则中有名为 secret 的捕获组时只替换该组，否则替换整个匹配；env_vars 中的变量不论名称都按字面值隐藏。
+ *
+ * 匹配到的内容替换为 [REDACTED:<类型>:<摘要>]，摘要是该值的HMAC前8位（密钥在每次启动时随机生成），
+ * 同一个值在本次运行中总是得到相同的占位符，服务器可以据此关联而无法还原。
+ *
+ * 跨数据块：输出按行（\n 或 \r）处理，未结束的一行暂存到下一块数据到达；
+ * 超过 REDACTION_FLUSH_MS 没有新数据或暂存超过上限时整体处理，交互式回显因此最多延迟这段时间。
+ * 检测前先去掉ANSI转义序列，被颜色代码包围或打断的密钥同样可以识别。
+ *
+ * 会话录制文件只保存在本机，不经过脱敏。
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const config = require('./config');
+
+// 暂存未结束行的上限（字符），超过后不再等待行尾
+const MAX_HOLD = 16 * 1024;
+// 环境变量名像密钥时按字面值隐藏
+const SECRET_ENV_NAME = /(KEY|TOKEN|SECRET|PASSW(OR)?D|CREDENTIAL|PRIVATE|AUTH)/i;
+// 字面值短于该长度时不隐藏，避免误伤
+const MIN_LITERAL_LENGTH = 8;
+const DEFAULT_MIN_ENTROPY = 4.2;
+
+const ANSI_ESCAPE = /\x1b(?:\[[0-9;?]*[@-~]|\][^\x07\x1b]*(?:\x07|\x1b\\)|[@-Z\\-_])/g;
+const PRIVATE_KEY_BEGIN = /-----BEGIN ((?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?)-----/g;
+const PRIVATE_KEY_END = /-----END (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----/;
+
+// 内置检测规则，secret 捕获组存在时只替换该组
+const DETECTORS = [
+    { type: 'private_key', regex: /-----BEGIN ((?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?)-----[\s\S]*?-----END \1-----/g },
+    { type: 'aws_access_key', regex: /(?<![A-Za-z0-9])(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA|ANVA|AIPA)[A-Z0-9]{16}(?![A-Za-z0-9])/g },
+    { type: 'gcp_api_key', regex: /(?<![A-Za-z0-9])AIza[0-9A-Za-z_-]{35}(?![A-Za-z0-9_-])/g },
+    { type: 'gcp_oauth_token', regex: /(?<![A-Za-z0-9])ya29\.[0-9A-Za-z_-]{20,}/g },
+    { type: 'jwt', regex: /(?<![A-Za-z0-9_-])eyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g },
+    {
+        type: 'secret_assignment',
+        regex: /[A-Za-z0-9_.-]*(?:password|passwd|secret|token|api[_-]?key|access[_-]?key|private[_-]?key|credentials?)[A-Za-z0-9_.-]*["']?\s*[=:]\s*(["']?)(?<secret>[^\s"'&;,]{4,})\1/gi
+    }
+];
+
+// base64的 = 只会出现在末尾，不能把 KEY=value 连成一个候选
+const HIGH_ENTROPY_CANDIDATE = /[A-Za-z0-9+/_-]{24,}={0,2}/g;
+
+// 占位符摘要使用的密钥，每次启动随机生成
+const placeholderKey = crypto.randomBytes(32);
+
+// 当前生效的规则文件设置
+let currentRules = compileRules({});
+let watching = false;
+
+/**
+ * 校验并编译规则文件
+ *
+ * @param {Object} raw - 规则文件内容
+ * @returns {Object} 编译后的规则
+ * @throws {Error} 规则不合法时
+ */
+function compileRules(raw) {
+    if (!raw || typeof raw !== 'object') {
+        throw new Error('Redaction rules must be a JSON object');
+    }
+
+    const disabled = new Set(raw.disable_detectors || []);
+    const patterns = (raw.patterns || []).map((pattern, index) => {
+        if (!pattern || !pattern.regex) {
+            throw new Error(`Pattern ${index} needs a regex`);
+        }
+        const flags = String(pattern.flags || '').replace(/[gd]/g, '');
+        return {
+            type: `custom:${pattern.name || index}`,
+            regex: new RegExp(pattern.regex, `${flags}gd`)
+        };
+    });
+
+    const minEntropy = raw.min_entropy === undefined ? DEFAULT_MIN_ENTROPY : Number(raw.min_entropy);
+    if (!Number.isFinite(minEntropy)) {
+        throw new Error(`Invalid min_entropy: ${raw.min_entropy}`);
+    }
+
+    return {
+        enabled: raw.enabled !== false,
+        detectors: DETECTORS
+            .filter((detector) => !disabled.has(detector.type))
+            .map((detector) => ({ ...detector, regex: new RegExp(detector.regex.source, `${detector.regex.flags}d`) })),
+        patterns,
+        highEntropy: !disabled.has('high_entropy'),
+        envValues: !disabled.has('env_value'),
+        minEntropy,
+        literals: collectEnvLiterals(process.env, raw.env_vars || [])
+    };
+}
+
+/**
+ * 从环境变量中取出需要隐藏的字面值
+ *
+ * @param {Object} env - 环境变量
+ * @param {Array<string>} [extraNames] - 不论名称都要隐藏的变量
+ * @returns {Array<string>} 字面值，按长度降序排列
+ */
+function collectEnvLiterals(env, extraNames = []) {
+    const values = new Set();
+    for (const [name, value] of Object.entries(env || {})) {
+        if (typeof value !== 'string' || value.length < MIN_LITERAL_LENGTH) continue;
+        if (SECRET_ENV_NAME.test(name) || extraNames.includes(name)) {
+            values.add(value);
+        }
+    }
+    return [...values].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * 加载规则文件
+ *
+ * @returns {boolean} 是否加载成功
+ */
+function loadRules() {
+    let text;
+    try {
+        text = fs.readFileSync(config.REDACTION_FILE, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            currentRules = compileRules({});
+            return true;
+        }
+        console.error(`Error reading redaction rules ${config.REDACTION_FILE}:`, error.message);
+        return false;
+    }
+
+    try {
+        currentRules = compileRules(JSON.parse(text));
+        console.log(`Loaded redaction rules from ${config.REDACTION_FILE} (${currentRules.enabled ? 'enabled' : 'disabled'}, ${currentRules.patterns.length} custom patterns)`);
+        return true;
+    } catch (error) {
+        console.error(`Invalid redaction rules ${config.REDACTION_FILE}, keeping previous rules:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * 加载规则文件并在文件变化时自动重新加载
+ */
+function watchRules() {
+    loadRules();
+    if (watching) return;
+    watching = true;
+    fs.watchFile(config.REDACTION_FILE, { interval: 1000 }, (curr, prev) => {
+        if (curr.mtimeMs !== prev.mtimeMs || curr.size !== prev.size) {
+            loadRules();
+        }
+    }).unref();
+}
+
+/**
+ * 计算字符串的香农熵（每个字符的比特数）
+ *
+ * @param {string} value - 字符串
+ * @returns {number}
+ */
+function shannonEntropy(value) {
+    const frequencies = new Map();
+    for (const char of value) {
+        frequencies.set(char, (frequencies.get(char) || 0) + 1);
+    }
+    let entropy = 0;
+    for (const count of frequencies.values()) {
+        const p = count / value.length;
+        entropy -= p * Math.log2(p);
+    }
+    return entropy;
+}
+
+/**
+ * 生成稳定的占位符
+ *
+ * @param {string} type - 检测类型
+ * @param {string} value - 被隐藏的值
+ * @returns {string}
+ */
+function placeholder(type, value) {
+    const digest = crypto.createHmac('sha256', placeholderKey).update(value).digest('hex').substring(0, 8);
+    return `[REDACTED:${type}:${digest}]`;
+}
+
+/**
+ * 去掉ANSI转义序列，并记录每个字符在原文中的位置
+ *
+ * @param {string} text - 原文
+ * @returns {{plain: string, positions: number[]}}
+ */
+function stripEscapes(text) {
+    let plain = '';
+    const positions = [];
+    let last = 0;
+    const append = (end) => {
+        for (let i = last; i < end; i++) {
+            plain += text[i];
+            positions.push(i);
+        }
+    };
+    ANSI_ESCAPE.lastIndex = 0;
+    let match;
+    while ((match = ANSI_ESCAPE.exec(text)) !== null) {
+        append(match.index);
+        last = ANSI_ESCAPE.lastIndex;
+    }
+    append(text.length);
+    return { plain, positions };
+}
+
+/**
+ * 找出第一个没有对应END的私钥BEGIN位置
+ *
+ * @param {string} text - 文本
+ * @returns {number} 位置，没有时为-1
+ */
+function openPrivateKeyIndex(text) {
+    PRIVATE_KEY_BEGIN.lastIndex = 0;
+    let match;
+    while ((match = PRIVATE_KEY_BEGIN.exec(text)) !== null) {
+        if (!PRIVATE_KEY_END.test(text.substring(match.index + match[0].length))) {
+            return match.index;
+        }
+    }
+    return -1;
+}
+
+/**
+ * 在文本中查找所有需要隐藏的片段
+ *
+ * @param {string} plain - 去掉转义序列后的文本
+ * @param {Object} rules - 编译后的规则
+ * @param {Array<string>} literals - 需要隐藏的字面值
+ * @returns {Array<{start: number, end: number, type: string, value: string}>}
+ */
+function findMatches(plain, rules, literals) {
+    const matches = [];
+
+    for (const { type, regex } of [...rules.detectors, ...rules.patterns]) {
+        regex.lastIndex = 0;
+        let match;
+        while ((match = regex.exec(plain)) !== null) {
+            if (match[0].length === 0) {
+                regex.lastIndex++;
+                continue;
+            }
+            const span = match.indices.groups && match.indices.groups.secret ? match.indices.groups.secret : match.indices[0];
+            if (span) {
+                matches.push({ start: span[0], end: span[1], type, value: plain.substring(span[0], span[1]) });
+            }
+        }
+    }
+
+    // 只有BEGIN没有END的私钥块一直隐藏到文本末尾
+    if (rules.detectors.some((detector) => detector.type === 'private_key')) {
+        const open = openPrivateKeyIndex(plain);
+        if (open !== -1) {
+            matches.push({ start: open, end: plain.length, type: 'private_key', value: plain.substring(open), open: true });
+        }
+    }
+
+    if (rules.envValues) {
+        for (const literal of literals) {
+            let index = plain.indexOf(literal);
+            while (index !== -1) {
+                matches.push({ start: index, end: index + literal.length, type: 'env_value', value: literal });
+                index = plain.indexOf(literal, index + literal.length);
+            }
+        }
+    }
+
+    if (rules.highEntropy) {
+        HIGH_ENTROPY_CANDIDATE.lastIndex = 0;
+        let match;
+        while ((match = HIGH_ENTROPY_CANDIDATE.exec(plain)) !== null) {
+            const value = match[0];
+            if (!/[A-Za-z]/.test(value) || !/[0-9]/.test(value)) continue;
+            if (shannonEntropy(value) < rules.minEntropy) continue;
+            matches.push({ start: match.index, end: match.index + value.length, type: 'high_entropy', value });
+        }
+    }
+
+    // 重叠时保留先开始的，同时开始时保留较长的
+    matches.sort((a, b) => a.start - b.start || b.end - a.end);
+    const result = [];
+    let covered = 0;
+    for (const match of matches) {
+        if (match.start < covered) continue;
+        result.push(match);
+        covered = match.end;
+    }
+    return result;
+}
+
+/**
+ * 隐藏一段文本中的密钥
+ *
+ * @param {string} text - 原文
+ * @param {Array<string>} literals - 需要隐藏的字面值
+ * @returns {{text: string, matches: Array, openPrivateKey: boolean}}
+ */
+function redact(text, literals) {
+    const rules = currentRules;
+    if (!rules.enabled || !text) {
+        return { text, matches: [], openPrivateKey: false };
+    }
+
+    const { plain, positions } = stripEscapes(text);
+    const matches = findMatches(plain, rules, literals);
+    if (matches.length === 0) {
+        return { text, matches, openPrivateKey: false };
+    }
+
+    let output = '';
+    let last = 0;
+    for (const match of matches) {
+        const start = positions[match.start];
+        const end = positions[match.end - 1] + 1;
+        // 保留被替换部分中的转义序列（例如颜色重置），避免影响后面的显示
+        const escapes = text.substring(start, end).match(ANSI_ESCAPE) || [];
+        output += text.substring(last, start) + placeholder(match.type, match.value) + escapes.join('');
+        last = end;
+    }
+    output += text.substring(last);
+    return { text: output, matches, openPrivateKey: matches.some((match) => match.open) };
+}
+
+/**
+ * 为一个进程创建流式脱敏器
+ *
+ * @param {Object} options - 配置
+ * @param {Object} [options.env] - 进程的环境变量，名称像密钥的值按字面值隐藏
+ * @param {Function} options.onOutput - 脱敏后的输出回调，参数为文本
+ * @returns {Object} 脱敏器
+ */
+function createRedactor({ env, onOutput }) {
+    let processLiterals = collectEnvLiterals(env);
+    let pending = '';
+    let inPrivateKey = false;
+    let flushTimer = null;
+    const counts = { total: 0, by_type: {} };
+
+    /**
+     * 当前需要隐藏的字面值（规则文件重新加载后随之更新）
+     *
+     * @returns {Array<string>}
+     */
+    function literals() {
+        if (processLiterals.length === 0) return currentRules.literals;
+        return [...new Set([...processLiterals, ...currentRules.literals])].sort((a, b) => b.length - a.length);
+    }
+
+    /**
+     * 统计被隐藏的密钥
+     *
+     * @param {Array} matches - 匹配结果
+     */
+    function countMatches(matches) {
+        for (const match of matches) {
+            counts.total++;
+            counts.by_type[match.type] = (counts.by_type[match.type] || 0) + 1;
+        }
+    }
+
+    /**
+     * 处理暂存的数据
+     *
+     * @param {boolean} final - 是否处理全部数据（不再等待行尾）
+     */
+    function drain(final) {
+        // 私钥块的占位符已经输出，END之前的内容全部丢弃
+        if (inPrivateKey) {
+            const end = PRIVATE_KEY_END.exec(pending);
+            if (!end) {
+                // 保留最后一行，END标记可能被拆到下一块数据中
+                const lastBreak = Math.max(pending.lastIndexOf('\n'), pending.lastIndexOf('\r'));
+                pending = final || pending.length > MAX_HOLD ? '' : pending.substring(lastBreak + 1);
+                return;
+            }
+            pending = pending.substring(end.index + end[0].length);
+            inPrivateKey = false;
+        }
+        if (!pending) return;
+
+        const force = final || pending.length > MAX_HOLD;
+        let cut = force ? pending.length : Math.max(pending.lastIndexOf('\n'), pending.lastIndexOf('\r')) + 1;
+        if (!force) {
+            // 私钥块等到END出现后整体处理
+            const open = openPrivateKeyIndex(pending);
+            if (open !== -1) cut = Math.min(cut, open);
+        }
+        if (cut === 0) return;
+
+        const result = redact(pending.substring(0, cut), literals());
+        pending = pending.substring(cut);
+        countMatches(result.matches);
+        if (result.openPrivateKey) inPrivateKey = true;
+        if (result.text) onOutput(result.text);
+    }
+
+    /**
+     * 写入一块原始输出
+     *
+     * @param {string} text - 输出
+     */
+    function write(text) {
+        pending += text;
+        drain(false);
+        clearTimeout(flushTimer);
+        flushTimer = pending ? setTimeout(flush, config.REDACTION_FLUSH_MS) : null;
+    }
+
+    /**
+     * 立即处理所有暂存的数据（空闲超时、shell标记或进程退出时）
+     */
+    function flush() {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        drain(true);
+    }
+
+    /**
+     * 进程的环境变量被 set_env / unset_env 修改后追加需要隐藏的字面值（删除的变量的值仍然隐藏）
+     *
+     * @param {Object} newEnv - 新的环境变量
+     */
+    function setEnv(newEnv) {
+        processLiterals = [...new Set([...processLiterals, ...collectEnvLiterals(newEnv)])].sort((a, b) => b.length - a.length);
+    }
+
+    /**
+     * 对一段独立的文本脱敏（例如前台程序的命令行参数、内置命令的输出）
+     *
+     * @param {string} text - 文本
+     * @param {Object} [options]
+     * @param {boolean} [options.count] - 是否计入统计（文本会出现在输出中时）
+     * @returns {string}
+     */
+    function redactText(text, { count = false } = {}) {
+        const result = redact(text, literals());
+        if (count) countMatches(result.matches);
+        return result.text;
+    }
+
+    return {
+        write,
+        flush,
+        setEnv,
+        redactText,
+        get counts() { return counts; }
+    };
+}
+
+module.exports = {
+    watchRules,
+    createRedactor
+};
@@ -0,0 +1,180 @@
+/**
+ * resources.js
+ *
+ * 资源统计与限制 - 定期遍历每个托管shell的进程树，统计CPU、内存、子进程数和打开的文件数，
+ * 并按配置的上限判断是否需要终止
+ *
+ * 统计项（每个会话）：
+ * - cpu_percent   两次采样之间整棵进程树的CPU占用（100表示一个核心跑满）
+ * - cpu_time_ms   会话启动以来整棵进程树累计的CPU时间（包括已退出的子进程）
+ * - job_cpu_time_ms 正在运行的命令（shell的后代进程）累计使用的CPU时间，不含shell自身（cpu_time 限制使用这个值）
+ * - rss_bytes     进程树的常驻内存之和
+ * - children      shell的后代进程数
+ * - open_files    进程树打开的文件描述符总数
+ *
+ * 限制（0表示不限制；进程选项 limits 只能收紧，不能放宽本地配置）：
+ * - memory     进程树的常驻内存（MB）
+ * - cpu_time   正在运行的命令（shell的后代进程）累计使用的CPU时间（秒）
+ * - children   后代进程数
+ * - wall_clock 会话存在的时间（秒）
+ *
+ * 统计依赖 Linux 的 /proc，其他平台不统计也不限制。
+ * 调用 setsid 脱离会话并被init接管的进程不再属于进程树，无法统计和限制。
+ */
+
+const procfs = require('./procfs');
+const config = require('./config');
+
+const LIMIT_NAMES = ['memory', 'cpu_time', 'children', 'wall_clock'];
+// 进程选项 limits 中的字段与限制名称的对应关系
+const OPTION_FIELDS = {
+    memory: 'memory_mb',
+    cpu_time: 'cpu_seconds',
+    children: 'children',
+    wall_clock: 'wall_seconds'
+};
+
+// 每个会话上一次采样的CPU节拍数和时间，用于计算CPU占用
+const previousSamples = new Map();
+
+/**
+ * 本地配置的限制
+ *
+ * @returns {Object} { memory, cpu_time, children, wall_clock }，单位与进程选项相同，0表示不限制
+ */
+function configuredLimits() {
+    return {
+        memory: config.LIMIT_MEMORY_MB,
+        cpu_time: config.LIMIT_CPU_SECONDS,
+        children: config.LIMIT_CHILDREN,
+        wall_clock: config.LIMIT_WALL_SECONDS
+    };
+}
+
+/**
+ * 合并本地配置和进程选项中的限制，取两者中更严格的值
+ *
+ * @param {Object|null} optionLimits - 进程选项中校验过的 limits
+ * @returns {Object} { memory, cpu_time, children, wall_clock }，0表示不限制
+ */
+function resolveLimits(optionLimits) {
+    const limits = configuredLimits();
+    if (!optionLimits) return limits;
+    for (const name of LIMIT_NAMES) {
+        const value = optionLimits[OPTION_FIELDS[name]];
+        if (value > 0 && (limits[name] === 0 || value < limits[name])) {
+            limits[name] = value;
+        }
+    }
+    return limits;
+}
+
+/**
+ * 统计一组会话的资源使用（只扫描一次 /proc）
+ *
+ * @param {Array<string>} pids - shell的进程ID
+ * @returns {Map<string, Object>|null} 进程ID到统计结果的映射；没有 /proc 时返回null
+ */
+function measureSessions(pids) {
+    const processes = procfs.listProcesses();
+    if (!processes) return null;
+    const { clockTicks, pageSize } = procfs.getSystemConstants();
+
+    const byPid = new Map();
+    const childrenOf = new Map();
+    for (const stat of processes) {
+        byPid.set(stat.pid, stat);
+        if (!childrenOf.has(stat.ppid)) childrenOf.set(stat.ppid, []);
+        childrenOf.get(stat.ppid).push(stat);
+    }
+
+    const now = Date.now();
+    const results = new Map();
+    for (const pid of pids) {
+        const root = byPid.get(Number(pid));
+        if (!root) continue;
+
+        // 广度优先收集后代进程
+        const descendants = [];
+        const queue = [...(childrenOf.get(root.pid) || [])];
+        while (queue.length > 0) {
+            const stat = queue.shift();
+            descendants.push(stat);
+            queue.push(...(childrenOf.get(stat.pid) || []));
+        }
+
+        const tree = [root, ...descendants];
+        // 子进程退出并被回收后，它的CPU时间转入父进程的 cutime/cstime，累计值保持连续
+        const totalTicks = tree.reduce((sum, stat) => sum + stat.utime + stat.stime + stat.cutime + stat.cstime, 0);
+        // 正在运行的命令：只统计后代进程（含其已回收的子进程）；shell自身的CPU时间在会话期间一直累加，
+        // 计入后长时间运行的会话即使空闲也会超出限制
+        const jobTicks = descendants.reduce((sum, stat) => sum + stat.utime + stat.stime + stat.cutime + stat.cstime, 0);
+
+        const previous = previousSamples.get(pid);
+        let cpuPercent = null;
+        if (previous && now > previous.time) {
+            const ticks = Math.max(0, totalTicks - previous.ticks);
+            cpuPercent = Math.round((ticks / clockTicks) / ((now - previous.time) / 1000) * 1000) / 10;
+        }
+        previousSamples.set(pid, { ticks: totalTicks, time: now });
+
+        results.set(pid, {
+            cpu_percent: cpuPercent,
+            cpu_time_ms: Math.round(totalTicks / clockTicks * 1000),
+            job_cpu_time_ms: Math.round(jobTicks / clockTicks * 1000),
+            rss_bytes: tree.reduce((sum, stat) => sum + stat.rss, 0) * pageSize,
+            children: descendants.length,
+            open_files: tree.reduce((sum, stat) => sum + procfs.countOpenFiles(stat.pid), 0),
+            descendants: descendants.map((stat) => stat.pid),
+            sampled_at: new Date(now).toISOString()
+        });
+    }
+
+    for (const pid of previousSamples.keys()) {
+        if (!results.has(pid)) previousSamples.delete(pid);
+    }
+    return results;
+}
+
+/**
+ * 检查会话是否超出限制
+ *
+ * @param {Object} usage - measureSessions 的统计结果
+ * @param {Object} limits - resolveLimits 的结果
+ * @param {number} startedAt - 会话启动时间（毫秒时间戳）
+ * @returns {Object|null} 第一个超出的限制 { limit, value, threshold }，value 与 threshold 的单位与限制配置相同；没有超出时返回null
+ */
+function checkLimits(usage, limits, startedAt) {
+    const values = {
+        memory: usage.rss_bytes / (1024 * 1024),
+        cpu_time: usage.job_cpu_time_ms / 1000,
+        children: usage.children,
+        wall_clock: (Date.now() - startedAt) / 1000
+    };
+    for (const name of LIMIT_NAMES) {
+        if (limits[name] > 0 && values[name] > limits[name]) {
+            return { limit: name, value: Math.round(values[name] * 10) / 10, threshold: limits[name] };
+        }
+    }
+    return null;
+}
+
+/**
+ * 生成可以上报的统计结果（去掉内部使用的字段）
+ *
+ * @param {Object|null} usage - 统计结果
+ * @returns {Object|null}
+ */
+function describeUsage(usage) {
+    if (!usage) return null;
+    const { descendants, ...rest } = usage;
+    return rest;
+}
+
+module.exports = {
+    OPTION_FIELDS,
+    resolveLimits,
+    measureSessions,
+    checkLimits,
+    describeUsage
+};
@@ -0,0 +1,93 @@
+/**
+ * scrollback.js
+ *
+ * 本地滚动缓冲 - 每个进程保留最近的一段输出，供网页终端和控制台展示
+ *
+ * 与输出日志（outputLog.js）不同，滚动缓冲与服务器的确认无关：服务器确认后输出日志会释放数据，
+ * 而滚动缓冲始终保留最近 SCROLLBACK_LIMIT 个字符，超出时丢弃最旧的数据。
+ * 偏移量按字符计算，单调递增，调用方可以从上次读取的位置继续读取。
+ */
+
+/**
+ * 创建滚动缓冲
+ *
+ * @param {Object} options - 配置
+ * @param {number} options.limit - 保留的字符数上限
+ * @returns {Object} 滚动缓冲对象
+ */
+function createScrollback({ limit }) {
+    // 数据块 { offset, text }，按偏移量递增排列
+    let chunks = [];
+    let length = 0;
+    // 当前保留的最小偏移量
+    let start = 0;
+    // 下一个写入字符的偏移量
+    let end = 0;
+
+    /**
+     * 追加输出，超出上限时丢弃最旧的数据块
+     *
+     * @param {string} text - 输出内容
+     */
+    function append(text) {
+        if (!text) return;
+        chunks.push({ offset: end, text });
+        length += text.length;
+        end += text.length;
+
+        while (length > limit && chunks.length > 1) {
+            length -= chunks.shift().text.length;
+            start = chunks[0].offset;
+        }
+    }
+
+    /**
+     * 读取 [from, end) 范围内的数据
+     *
+     * @param {number} from - 起始偏移量
+     * @returns {string}
+     */
+    function readFrom(from) {
+        return chunks
+            .filter((chunk) => chunk.offset + chunk.text.length > from)
+            .map((chunk) => (chunk.offset < from ? chunk.text.substring(from - chunk.offset) : chunk.text))
+            .join('');
+    }
+
+    /**
+     * 从指定偏移量开始读取
+     *
+     * @param {number} from - 起始偏移量
+     * @param {number} maxLength - 最多读取的字符数
+     * @returns {{offset: number, end: number, data: string, dropped: number}}
+     *          offset为实际读取的起始偏移量，end为本次读取到的结束偏移量，dropped为请求的位置已被丢弃的字符数
+     */
+    function read(from, maxLength) {
+        const requested = Math.min(Math.max(Number(from) || 0, 0), end);
+        const offset = Math.max(requested, start);
+        const data = readFrom(offset).substring(0, maxLength);
+        return { offset, end: offset + data.length, data, dropped: offset - requested };
+    }
+
+    /**
+     * 读取最新的输出
+     *
+     * @param {number} maxLength - 最多读取的字符数
+     * @returns {string}
+     */
+    function tail(maxLength) {
+        return readFrom(Math.max(start, end - maxLength));
+    }
+
+    return {
+        append,
+        read,
+        tail,
+        get start() { return start; },
+        get end() { return end; }
+    };
+}
+
+module.exports = {
+    createScrollback
+};
@@ -0,0 +1,75 @@
+/**
+ * serverTls.js
+ *
+ * 服务器TLS固定 - 可选地只信任指定的CA，或只接受指定指纹的服务器证书
+ *
+ * - SERVER_CA_FILE：PEM格式的CA证书（可以包含多张），代替系统CA验证服务器证书
+ * - SERVER_CERT_FINGERPRINT：服务器证书的SHA-256指纹（逗号分隔可以指定多个，证书轮换时使用），
+ *   大小写和冒号均可省略
+ *
+ * 同一组选项同时用于HTTP心跳（axios）和WebSocket连接。
+ */
+
+const fs = require('fs');
+const https = require('https');
+const tls = require('tls');
+const config = require('./config');
+
+let cachedOptions = null;
+
+/**
+ * 规范化证书指纹：去掉冒号并转为大写
+ *
+ * @param {string} fingerprint - 指纹
+ * @returns {string}
+ */
+function normalizeFingerprint(fingerprint) {
+    return String(fingerprint).replace(/:/g, '').trim().toUpperCase();
+}
+
+/**
+ * 获取连接服务器时使用的TLS选项
+ *
+ * @returns {Object} 可以传给 https.Agent 或 ws 的选项，没有配置固定时为空对象
+ */
+function getTlsOptions() {
+    if (cachedOptions) return cachedOptions;
+
+    const options = {};
+    if (config.SERVER_CA_FILE) {
+        options.ca = fs.readFileSync(config.SERVER_CA_FILE);
+        console.log(`Pinning server TLS to CA certificates from ${config.SERVER_CA_FILE}`);
+    }
+
+    const fingerprints = config.SERVER_CERT_FINGERPRINT.map(normalizeFingerprint);
+    if (fingerprints.length > 0) {
+        options.checkServerIdentity = (host, cert) => {
+            const error = tls.checkServerIdentity(host, cert);
+            if (error) return error;
+            if (!fingerprints.includes(normalizeFingerprint(cert.fingerprint256))) {
+                return new Error(`Server certificate fingerprint ${cert.fingerprint256} does not match SERVER_CERT_FINGERPRINT`);
+            }
+            return undefined;
+        };
+        console.log(`Pinning server TLS to ${fingerprints.length} certificate fingerprint(s)`);
+    }
+
+    cachedOptions = options;
+    return options;
+}
+
+/**
+ * 创建HTTP心跳使用的 https.Agent
+ *
+ * @returns {https.Agent|undefined} 没有配置固定时返回undefined（使用默认设置）
+ */
+function createHttpsAgent() {
+    const options = getTlsOptions();
+    if (Object.keys(options).length === 0) return undefined;
+    return new https.Agent({ keepAlive: true, ...options });
+}
+
+module.exports = {
+    getTlsOptions,
+    createHttpsAgent
+};
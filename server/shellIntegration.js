@@ -0,0 +1,179 @@
+/**
+ * shellIntegration.js
+ *
+ * Shell集成模块 - 通过OSC转义序列可靠地检测命令的开始与结束
+ *
+ * 启动bash时通过 --rcfile 注入一段初始化脚本：
+ * - PS0 在每条命令开始执行前输出开始标记：ESC ] 6973 ; <nonce> ; C BEL
+ * - PROMPT_COMMAND 在每次显示提示符前输出结束标记：ESC ] 6973 ; <nonce> ; D ; <退出码> ; <工作目录> BEL
+ *
+ * nonce 为每个会话随机生成，其他会话的输出或偶然出现的类似序列不会被识别为标记。
+ * 但会话内的命令可以读到 nonce（$PS0、declare -f __agentplus_prompt），从而打印出格式正确的标记，
+ * 因此标记内容不可信：解析时校验退出码和路径的格式，使用方还需要结合 /proc 判断（见 process.js 的 handleShellMarker）。
+ * 标记在进入输出缓冲之前被剥离，用户看不到它们。
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const OSC_PREFIX = '\x1b]6973;';
+const OSC_TERMINATOR = '\x07';
+// 单个标记的最大长度，超过则认为不是我们的标记，避免无限缓冲
+const MAX_MARKER_LENGTH = 8192;
+// 标记中工作目录的最大长度（Linux的 PATH_MAX）
+const MAX_CWD_LENGTH = 4096;
+
+/**
+ * 判断shell是否支持集成
+ *
+ * @param {string} shell - shell可执行文件路径或名称
+ * @returns {boolean}
+ */
+function supportsIntegration(shell) {
+    return path.basename(shell) === 'bash';
+}
+
+/**
+ * 为新会话生成集成脚本
+ *
+ * --rcfile 对登录shell无效，因此登录模式下由脚本按登录shell的顺序加载profile文件
+ *
+ * @param {Object} [options] - 集成选项
+ * @param {boolean} [options.login] - 是否模拟登录shell
+ * @returns {{nonce: string, rcfile: string, args: string[]}} nonce、脚本路径以及启动bash所需的参数
+ */
+function createIntegration({ login = false } = {}) {
+    const nonce = crypto.randomBytes(8).toString('hex');
+    const rcfile = path.join(os.tmpdir(), `agentplus-rc-${nonce}.sh`);
+
+    const startup = login
+        ? '[ -f /etc/profile ] && source /etc/profile; for f in ~/.bash_profile ~/.bash_login ~/.profile; do [ -f "$f" ] && { source "$f"; break; }; done'
+        : '[ -f ~/.bashrc ] && source ~/.bashrc';
+
+    const script = [
+        startup,
+        `__agentplus_prompt() { local ec=$?; printf '\\033]6973;${nonce};D;%s;%s\\007' "$ec" "$PWD"; return $ec; }`,
+        `PS0="\${PS0}\\e]6973;${nonce};C\\a"`,
+        'PROMPT_COMMAND="__agentplus_prompt${PROMPT_COMMAND:+; $PROMPT_COMMAND}"',
+        ''
+    ].join('\n');
+
+    fs.writeFileSync(rcfile, script, { mode: 0o600 });
+
+    return { nonce, rcfile, args: ['--rcfile', rcfile] };
+}
+
+/**
+ * 删除集成脚本（bash读取后即可删除）
+ *
+ * @param {string} rcfile - 脚本路径
+ */
+function removeIntegration(rcfile) {
+    fs.unlink(rcfile, () => {});
+}
+
+/**
+ * 创建标记解析器
+ *
+ * 解析器是有状态的：跨数据块被截断的标记会被缓存，直到后续数据补全。
+ *
+ * @param {string} nonce - 会话nonce
+ * @returns {{feed: Function}} feed(text) 返回按顺序排列的片段数组，
+ *          字符串为普通输出，对象为标记 { type: 'start' } 或 { type: 'end', exitCode, cwd }
+ */
+function createMarkerParser(nonce) {
+    const prefix = `${OSC_PREFIX}${nonce};`;
+    let pending = '';
+
+    function feed(text) {
+        let input = pending + text;
+        pending = '';
+        const parts = [];
+
+        while (input.length > 0) {
+            const start = input.indexOf(prefix);
+
+            if (start === -1) {
+                // 末尾可能是被截断的标记前缀，先保留
+                const keep = partialPrefixLength(input, prefix);
+                if (input.length > keep) parts.push(input.substring(0, input.length - keep));
+                pending = input.substring(input.length - keep);
+                break;
+            }
+
+            if (start > 0) parts.push(input.substring(0, start));
+
+            const end = input.indexOf(OSC_TERMINATOR, start + prefix.length);
+            if (end === -1) {
+                const rest = input.substring(start);
+                if (rest.length > MAX_MARKER_LENGTH) {
+                    // 不是合法标记，按普通输出处理
+                    parts.push(rest);
+                } else {
+                    pending = rest;
+                }
+                break;
+            }
+
+            const marker = parseMarker(input.substring(start + prefix.length, end));
+            if (marker) {
+                parts.push(marker);
+            } else {
+                parts.push(input.substring(start, end + 1));
+            }
+            input = input.substring(end + 1);
+        }
+
+        return parts;
+    }
+
+    return { feed };
+}
+
+/**
+ * 解析标记内容
+ *
+ * @param {string} body - nonce之后、终止符之前的内容
+ * @returns {Object|null} 标记对象，无法识别时返回null
+ */
+function parseMarker(body) {
+    if (body === 'C') {
+        return { type: 'start' };
+    }
+    if (body.startsWith('D;')) {
+        const fields = body.substring(2).split(';');
+        // 标记可能是伪造的：退出码只接受0-255的整数，工作目录只接受绝对路径，否则视为未知
+        const exitCode = /^\d{1,3}$/.test(fields[0]) && Number(fields[0]) <= 255 ? Number(fields[0]) : null;
+        // 工作目录中可能包含分号
+        const cwd = fields.slice(1).join(';');
+        const validCwd = cwd.startsWith('/') && cwd.length <= MAX_CWD_LENGTH && !cwd.includes('\0');
+        return { type: 'end', exitCode, cwd: validCwd ? cwd : null };
+    }
+    return null;
+}
+
+/**
+ * 计算字符串末尾与前缀开头重合的长度
+ *
+ * @param {string} text - 输入
+ * @param {string} prefix - 标记前缀
+ * @returns {number}
+ */
+function partialPrefixLength(text, prefix) {
+    const max = Math.min(text.length, prefix.length - 1);
+    for (let len = max; len > 0; len--) {
+        if (prefix.startsWith(text.substring(text.length - len))) {
+            return len;
+        }
+    }
+    return 0;
+}
+
+module.exports = {
+    supportsIntegration,
+    createIntegration,
+    removeIntegration,
+    createMarkerParser
+};
@@ -0,0 +1,296 @@
+/**
+ * signing.js
+ *
+ * 消息签名模块 - 为发往服务器的心跳签名，并验证服务器返回的任务
+ *
+ * 密钥文件（JSON）示例：
+ * {
+ *   "require_signed_responses": true,
+ *   "signing_key": { "key_id": "agent-2026-10", "algorithm": "hmac-sha256", "secret": "..." },
+ *   "verification_keys": [
+ *     { "key_id": "server-2026-10", "algorithm": "hmac-sha256", "secret": "..." },
+ *     { "key_id": "server-ed-1", "algorithm": "ed25519", "public_key": "-----BEGIN PUBLIC KEY-----\n..." }
+ *   ]
+ * }
+ *
+ * - signing_key 可以是 hmac-sha256（secret）或 ed25519（private_key，PEM格式）
+ * - verification_keys 可以同时包含多把密钥，按 key_id 选择，轮换时新旧密钥并存一段时间即可
+ * - 密钥文件修改后自动重新加载，不需要重启代理；新文件不合法时继续使用之前的密钥
+ *
+ * 签名放在消息的 signature 字段中：{ key_id, algorithm, timestamp, nonce, value }
+ * 被签名的内容为以下各行用 \n 连接：algorithm、key_id、timestamp、nonce、代理的 CLI_TOKEN、
+ * 去掉 signature 字段后消息的规范JSON（对象的键按字典序排列，其余与 JSON.stringify 相同），value 为 base64 编码的签名。
+ * CLI_TOKEN 只参与签名、不随签名发送，发给其他代理的响应不能在这个代理上通过验证。
+ *
+ * 服务器响应的 timestamp 与本地时间相差超过 SIGNATURE_MAX_SKEW_MS 或 nonce 重复时视为重放，一律拒绝。
+ * 已使用的nonce只保存在内存中，所以 timestamp 早于代理启动时间的响应同样拒绝，重启后不能重放之前的响应
+ * （服务器时钟比本地慢时，启动后的这段时间内的响应会被拒绝，心跳退避后重试）。
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const config = require('./config');
+
+const ALGORITHMS = new Set(['hmac-sha256', 'ed25519']);
+
+// 当前生效的密钥，null表示没有密钥文件（不签名、不验证）
+let currentKeys = null;
+let watching = false;
+// 已使用过的服务器nonce及其过期时间
+const seenNonces = new Map();
+// 代理启动时间，早于此时间签名的响应可能已在上次运行中使用过
+const startedAt = Date.now();
+// 代理的 CLI_TOKEN，签名绑定到该代理
+let agentToken = '';
+
+/**
+ * 设置代理的 CLI_TOKEN，签名和验证都会用到
+ *
+ * @param {string} token - CLI_TOKEN
+ */
+function setAgentToken(token) {
+    agentToken = String(token || '');
+}
+
+/**
+ * 生成对象的规范JSON：对象的键按字典序排列
+ *
+ * @param {*} value - 任意可序列化的值
+ * @returns {string}
+ */
+function canonicalJson(value) {
+    if (value && typeof value.toJSON === 'function') {
+        return canonicalJson(value.toJSON());
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map((item) => canonicalJson(item === undefined ? null : item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+        return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * 校验并编译一把密钥
+ *
+ * @param {Object} raw - 密钥配置
+ * @param {string} usage - 'sign' 或 'verify'
+ * @returns {Object} { keyId, algorithm, key }
+ * @throws {Error} 密钥不合法时
+ */
+function compileKey(raw, usage) {
+    if (!raw || typeof raw !== 'object' || !raw.key_id) {
+        throw new Error('Every key needs a key_id');
+    }
+    if (!ALGORITHMS.has(raw.algorithm)) {
+        throw new Error(`Key ${raw.key_id}: unsupported algorithm ${raw.algorithm}`);
+    }
+
+    let key;
+    if (raw.algorithm === 'hmac-sha256') {
+        if (!raw.secret || String(raw.secret).length < 32) {
+            throw new Error(`Key ${raw.key_id}: secret must be at least 32 characters`);
+        }
+        key = Buffer.from(String(raw.secret), 'utf8');
+    } else if (usage === 'sign') {
+        key = crypto.createPrivateKey(raw.private_key);
+    } else {
+        key = crypto.createPublicKey(raw.public_key);
+    }
+
+    return { keyId: String(raw.key_id), algorithm: raw.algorithm, key };
+}
+
+/**
+ * 加载密钥文件
+ *
+ * @returns {boolean} 是否加载成功
+ */
+function loadKeys() {
+    let text;
+    try {
+        text = fs.readFileSync(config.SIGNING_KEY_FILE, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            if (currentKeys !== null) {
+                console.warn(`Signing key file ${config.SIGNING_KEY_FILE} was removed, messages are no longer signed or verified`);
+            }
+            currentKeys = null;
+            return true;
+        }
+        console.error(`Error reading signing key file ${config.SIGNING_KEY_FILE}:`, error.message);
+        return false;
+    }
+
+    try {
+        const raw = JSON.parse(text);
+        const verificationKeys = new Map();
+        for (const entry of raw.verification_keys || []) {
+            const key = compileKey(entry, 'verify');
+            verificationKeys.set(key.keyId, key);
+        }
+        currentKeys = {
+            signingKey: raw.signing_key ? compileKey(raw.signing_key, 'sign') : null,
+            verificationKeys,
+            requireSignedResponses: raw.require_signed_responses !== false
+        };
+        console.log(`Loaded signing keys from ${config.SIGNING_KEY_FILE} (signing key ${currentKeys.signingKey ? currentKeys.signingKey.keyId : 'none'}, ${verificationKeys.size} verification keys)`);
+        return true;
+    } catch (error) {
+        console.error(`Invalid signing key file ${config.SIGNING_KEY_FILE}, keeping previous keys:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * 加载密钥并在文件变化时自动重新加载（用于密钥轮换）
+ */
+function watchKeys() {
+    loadKeys();
+    if (!currentKeys) {
+        console.warn(`No signing key file at ${config.SIGNING_KEY_FILE}, heartbeats are unsigned and server responses are not verified`);
+    }
+    if (watching) return;
+    watching = true;
+    fs.watchFile(config.SIGNING_KEY_FILE, { interval: 1000 }, (curr, prev) => {
+        if (curr.mtimeMs !== prev.mtimeMs || curr.size !== prev.size) {
+            loadKeys();
+        }
+    }).unref();
+}
+
+/**
+ * 生成待签名的字符串
+ *
+ * @param {Object} signature - 签名元数据 { key_id, algorithm, timestamp, nonce }
+ * @param {Object} body - 去掉 signature 字段后的消息
+ * @returns {Buffer}
+ */
+function signingInput(signature, body) {
+    return Buffer.from([signature.algorithm, signature.key_id, signature.timestamp, signature.nonce, agentToken, canonicalJson(body)].join('\n'), 'utf8');
+}
+
+/**
+ * 为消息签名，签名写入 signature 字段
+ *
+ * @param {Object} message - 要发送的消息（心跳数据）
+ * @returns {Object} 同一个消息对象；没有签名密钥时原样返回
+ */
+function signMessage(message) {
+    const keys = currentKeys;
+    if (!keys || !keys.signingKey) return message;
+
+    const { keyId, algorithm, key } = keys.signingKey;
+    const { signature: _ignored, ...body } = message;
+    const signature = {
+        key_id: keyId,
+        algorithm,
+        timestamp: Date.now(),
+        nonce: crypto.randomBytes(16).toString('hex')
+    };
+
+    const input = signingInput(signature, body);
+    signature.value = algorithm === 'hmac-sha256'
+        ? crypto.createHmac('sha256', key).update(input).digest('base64')
+        : crypto.sign(null, input, key).toString('base64');
+
+    message.signature = signature;
+    return message;
+}
+
+/**
+ * 删除已过期的nonce
+ */
+function pruneNonces() {
+    const now = Date.now();
+    for (const [nonce, expiresAt] of seenNonces.entries()) {
+        if (expiresAt <= now) seenNonces.delete(nonce);
+    }
+}
+
+/**
+ * 验证服务器响应的签名
+ *
+ * @param {Object} message - 服务器响应
+ * @returns {{ok: boolean, reason: string|null, keyId: string|null}}
+ */
+function verifyMessage(message) {
+    const keys = currentKeys;
+    if (!keys || !keys.requireSignedResponses) {
+        return { ok: true, reason: null, keyId: null };
+    }
+
+    const signature = message && message.signature;
+    if (!signature || typeof signature !== 'object') {
+        return { ok: false, reason: 'Response is not signed', keyId: null };
+    }
+
+    const keyId = signature.key_id ? String(signature.key_id) : null;
+    const key = keys.verificationKeys.get(keyId);
+    if (!key) {
+        return { ok: false, reason: `Unknown verification key: ${keyId}`, keyId };
+    }
+    if (signature.algorithm !== key.algorithm) {
+        return { ok: false, reason: `Algorithm ${signature.algorithm} does not match key ${keyId}`, keyId };
+    }
+
+    const timestamp = Number(signature.timestamp);
+    if (!Number.isFinite(timestamp) || Math.abs(Date.now() - timestamp) > config.SIGNATURE_MAX_SKEW_MS) {
+        return { ok: false, reason: 'Signature timestamp is outside the allowed window', keyId };
+    }
+    if (timestamp < startedAt) {
+        return { ok: false, reason: 'Signature timestamp is earlier than the agent start (possible replay)', keyId };
+    }
+    if (typeof signature.nonce !== 'string' || signature.nonce.length < 16) {
+        return { ok: false, reason: 'Signature nonce is missing', keyId };
+    }
+    pruneNonces();
+    if (seenNonces.has(signature.nonce)) {
+        return { ok: false, reason: 'Signature nonce was already used (replay)', keyId };
+    }
+
+    const { signature: _ignored, ...body } = message;
+    const input = signingInput(signature, body);
+    let value;
+    try {
+        value = Buffer.from(String(signature.value), 'base64');
+    } catch (error) {
+        return { ok: false, reason: 'Signature value is not valid base64', keyId };
+    }
+
+    let valid;
+    if (key.algorithm === 'hmac-sha256') {
+        const expected = crypto.createHmac('sha256', key.key).update(input).digest();
+        valid = expected.length === value.length && crypto.timingSafeEqual(expected, value);
+    } else {
+        valid = crypto.verify(null, input, key.key, value);
+    }
+    if (!valid) {
+        return { ok: false, reason: 'Signature does not match', keyId };
+    }
+
+    // nonce在时间窗口内保持有效，过期后的重放会被时间戳检查拒绝
+    seenNonces.set(signature.nonce, timestamp + config.SIGNATURE_MAX_SKEW_MS);
+    return { ok: true, reason: null, keyId };
+}
+
+/**
+ * 是否启用了响应验证
+ *
+ * @returns {boolean}
+ */
+function isVerificationEnabled() {
+    return !!(currentKeys && currentKeys.requireSignedResponses);
+}
+
+module.exports = {
+    canonicalJson,
+    setAgentToken,
+    loadKeys,
+    watchKeys,
+    signMessage,
+    verifyMessage,
+    isVerificationEnabled
+};
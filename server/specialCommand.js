@@ -1,7 +1,150 @@
+/**
+ * specialCommand.js
+ *
+ * 内置命令模块 - 以保留前缀开头的命令在代理进程内处理，不会发送给bash
+ *
+ * 例如：
+ *   @agent help           列出所有内置命令
+ *   @agent status         当前会话与代理的状态
+ *   @agent sysinfo        系统信息摘要
+ *   @agent env            当前会话shell的环境变量名（不显示值）
+ *   @agent restart-shell  重启当前会话的shell
+ *
+ * 内置命令与普通命令一样在进程的命令队列中排队，轮到时才执行；
+ * 输出与普通命令走相同的通道：写入进程输出日志，并作为该命令的 command_results 和 command_finished 上报。
+ * 新的内置命令通过 registerSpecialCommand 注册。
+ */
 
+const os = require('os');
+const si = require('systeminformation');
 
+// 内置命令前缀
+const SPECIAL_COMMAND_PREFIX = '@agent';
 
-export const executeSpecialCommand = () =>{
+// 已注册的内置命令，键为命令名
+const handlers = new Map();
 
-    return("")
-}
\ No newline at end of file
+/**
+ * 注册内置命令
+ *
+ * @param {string} name - 命令名，例如 'status'
+ * @param {Function} handler - 异步处理函数 (args, context) => 输出字符串
+ * @param {string} [description] - 在 help 中显示的说明
+ */
+function registerSpecialCommand(name, handler, description = '') {
+    handlers.set(name, { handler, description });
+}
+
+/**
+ * 判断命令是否为内置命令
+ *
+ * @param {string} command - 命令内容
+ * @returns {boolean}
+ */
+function isSpecialCommand(command) {
+    const trimmed = String(command).trim();
+    return trimmed === SPECIAL_COMMAND_PREFIX || trimmed.startsWith(`${SPECIAL_COMMAND_PREFIX} `);
+}
+
+/**
+ * 执行内置命令
+ *
+ * @param {string} command - 完整命令，例如 '@agent status'
+ * @param {Object} context - 执行上下文，由进程管理模块提供
+ * @param {string} context.pid - 命令所属的进程ID
+ * @param {Function} context.getProcessStatus - 获取所有进程状态
+ * @param {Function} context.getEnvNames - 获取当前会话shell的环境变量名
+ * @param {Function} context.restartShell - 重启当前会话的shell，返回新的PID
+ * @returns {Promise<string>} 命令输出
+ * @throws {Error} 命令不存在或执行失败时
+ */
+async function executeSpecialCommand(command, context) {
+    const [name = 'help', ...args] = String(command).trim().substring(SPECIAL_COMMAND_PREFIX.length).trim().split(/\s+/).filter(Boolean);
+
+    const entry = handlers.get(name);
+    if (!entry) {
+        throw new Error(`Unknown built-in command: ${name}. Run "${SPECIAL_COMMAND_PREFIX} help" for a list.`);
+    }
+
+    return entry.handler(args, context);
+}
+
+/**
+ * 将对象格式化为对齐的 "键: 值" 文本
+ *
+ * @param {Object} fields - 字段
+ * @returns {string}
+ */
+function formatFields(fields) {
+    const width = Math.max(...Object.keys(fields).map((key) => key.length));
+    return Object.entries(fields)
+        .map(([key, value]) => `${key.padEnd(width)}  ${value}`)
+        .join('\n');
+}
+
+/**
+ * 格式化字节数
+ *
+ * @param {number} bytes - 字节数
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(1)} ${units[unit]}`;
+}
+
+// --- 内置命令 ---
+
+registerSpecialCommand('help', async () => {
+    const lines = [...handlers.entries()].map(([name, { description }]) => `${SPECIAL_COMMAND_PREFIX} ${name.padEnd(14)} ${description}`);
+    return lines.join('\n');
+}, 'List built-in commands');
+
+registerSpecialCommand('status', async (args, context) => {
+    const processes = context.getProcessStatus();
+    const current = processes.find((p) => p.PID === context.pid) || {};
+    return formatFields({
+        'PID': context.pid,
+        'Status': current.status || 'unknown',
+        'Working directory': current.cwd || '',
+        'Last exit code': current.lastExitCode === null || current.lastExitCode === undefined ? '-' : current.lastExitCode,
+        'Managed processes': processes.map((p) => `${p.PID} (${p.status})`).join(', '),
+        'Agent uptime': `${Math.round(process.uptime())}s`,
+        'Agent memory': formatBytes(process.memoryUsage().rss)
+    });
+}, 'Show the state of this session and the agent');
+
+registerSpecialCommand('sysinfo', async () => {
+    const [osInfo, cpu, load, mem] = await Promise.all([si.osInfo(), si.cpu(), si.currentLoad(), si.mem()]);
+    return formatFields({
+        'Host': os.hostname(),
+        'OS': `${osInfo.distro} ${osInfo.release} (${osInfo.arch})`,
+        'Kernel': osInfo.kernel,
+        'CPU': `${cpu.manufacturer} ${cpu.brand}, ${cpu.cores} cores`,
+        'Load': `${load.currentLoad.toFixed(1)}%`,
+        'Memory': `${formatBytes(mem.active)} / ${formatBytes(mem.total)} used`,
+        'Uptime': `${Math.round(os.uptime() / 3600)}h`
+    });
+}, 'Show a summary of the host system');
+
+registerSpecialCommand('env', async (args, context) => {
+    return context.getEnvNames().join('\n');
+}, 'List the environment variable names of this shell (as started, plus set_env/unset_env changes)');
+
+registerSpecialCommand('restart-shell', async (args, context) => {
+    const newPid = await context.restartShell();
+    return `Shell ${context.pid} restarted, new PID: ${newPid}`;
+}, 'Kill this shell and start a new one');
+
+module.exports = {
+    SPECIAL_COMMAND_PREFIX,
+    registerSpecialCommand,
+    isSpecialCommand,
+    executeSpecialCommand
+};
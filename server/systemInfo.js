@@ -0,0 +1,247 @@
+/**
+ * systemInfo.js
+ *
+ * 系统信息采集 - 每个采集器按自己的周期在后台采集并缓存，心跳只读取缓存，不再等待采集
+ *
+ * - 静态信息（os、cpu）只在启动时采集一次
+ * - 动态指标按 SYSINFO_INTERVALS 中的周期采集
+ * - 心跳的 system_info 只包含上次成功发送之后发生变化的采集器；
+ *   新连接（WebSocket重新连接、HTTP心跳从离线恢复）之后的第一次心跳发送全部数据，并带上 system_info_full: true
+ *
+ * 启用哪些采集器由 SYSINFO_COLLECTORS 决定，默认为 os、cpu、load、memory、disks；
+ * 可选的采集器：network（网卡和流量）、processes（CPU占用最高的进程）、docker（运行中的容器）、
+ * battery（电池）、temperature（CPU温度），主机不支持时值为null。
+ */
+
+const si = require('systeminformation');
+const config = require('./config');
+
+/**
+ * 采集器定义
+ *
+ * static 为 true 的采集器只采集一次；其余按 interval（毫秒）周期采集，可以被 SYSINFO_INTERVALS 覆盖
+ */
+const COLLECTORS = {
+    os: { static: true, collect: () => si.osInfo() },
+    cpu: { static: true, collect: () => si.cpu() },
+    load: { interval: 5000, collect: () => si.currentLoad() },
+    memory: { interval: 5000, collect: () => si.mem() },
+    disks: { interval: 60000, collect: () => si.fsSize() },
+    network: { interval: 30000, collect: collectNetwork },
+    processes: { interval: 15000, collect: collectTopProcesses },
+    docker: { interval: 30000, collect: collectDocker },
+    battery: { interval: 60000, collect: collectBattery },
+    temperature: { interval: 30000, collect: collectTemperature }
+};
+
+// 静态采集器失败后重试的间隔（毫秒）
+const STATIC_RETRY_MS = 60000;
+
+// 各采集器最近一次采集的结果，键为采集器名称
+const cache = new Map();
+// 各采集器最近一次成功发送的值（JSON），用于判断是否变化
+const lastSent = new Map();
+// 下一次心跳是否发送全部数据
+let sendFull = true;
+const timers = new Map();
+
+/**
+ * 网卡和流量计数
+ *
+ * @returns {Promise<Object>}
+ */
+async function collectNetwork() {
+    const [interfaces, stats] = await Promise.all([si.networkInterfaces(), si.networkStats('*')]);
+    return {
+        interfaces: (Array.isArray(interfaces) ? interfaces : [interfaces]).map((item) => ({
+            iface: item.iface,
+            ip4: item.ip4,
+            ip6: item.ip6,
+            mac: item.mac,
+            internal: item.internal,
+            operstate: item.operstate,
+            type: item.type,
+            speed: item.speed
+        })),
+        stats: stats.map((item) => ({
+            iface: item.iface,
+            rx_bytes: item.rx_bytes,
+            tx_bytes: item.tx_bytes,
+            rx_sec: item.rx_sec,
+            tx_sec: item.tx_sec
+        }))
+    };
+}
+
+/**
+ * CPU占用最高的进程（不包含命令行参数，参数中可能有密钥）
+ *
+ * @returns {Promise<Array<Object>>}
+ */
+async function collectTopProcesses() {
+    const { list } = await si.processes();
+    return list
+        .sort((a, b) => b.cpu - a.cpu)
+        .slice(0, config.SYSINFO_TOP_PROCESSES)
+        .map((item) => ({
+            pid: item.pid,
+            parent_pid: item.parentPid,
+            name: item.name,
+            user: item.user,
+            state: item.state,
+            cpu: item.cpu,
+            mem: item.mem,
+            mem_rss: item.memRss
+        }));
+}
+
+/**
+ * 运行中的docker容器，没有docker时为空数组
+ *
+ * @returns {Promise<Array<Object>>}
+ */
+async function collectDocker() {
+    const containers = await si.dockerContainers();
+    return containers.map((item) => ({
+        id: item.id,
+        name: item.name,
+        image: item.image,
+        state: item.state,
+        started: item.started,
+        restart_count: item.restartCount
+    }));
+}
+
+/**
+ * 电池状态，没有电池时为null
+ *
+ * @returns {Promise<Object|null>}
+ */
+async function collectBattery() {
+    const battery = await si.battery();
+    if (!battery.hasBattery) return null;
+    return {
+        percent: battery.percent,
+        is_charging: battery.isCharging,
+        ac_connected: battery.acConnected,
+        time_remaining: battery.timeRemaining
+    };
+}
+
+/**
+ * CPU温度，无法读取时为null
+ *
+ * @returns {Promise<Object|null>}
+ */
+async function collectTemperature() {
+    const temperature = await si.cpuTemperature();
+    if (temperature.main === null || temperature.main === undefined) return null;
+    return {
+        main: temperature.main,
+        max: temperature.max,
+        cores: temperature.cores
+    };
+}
+
+/**
+ * 启用的采集器
+ *
+ * @returns {Array<string>}
+ */
+function enabledCollectors() {
+    return config.SYSINFO_COLLECTORS.filter((name) => {
+        if (COLLECTORS[name]) return true;
+        console.warn(`Unknown system info collector ${name} in SYSINFO_COLLECTORS, ignoring`);
+        return false;
+    });
+}
+
+/**
+ * 采集器的采集周期
+ *
+ * @param {string} name - 采集器名称
+ * @returns {number} 毫秒
+ */
+function collectorInterval(name) {
+    const override = Number(config.SYSINFO_INTERVALS[name]);
+    return Number.isInteger(override) && override > 0 ? override : COLLECTORS[name].interval;
+}
+
+/**
+ * 运行一次采集器，完成后安排下一次
+ *
+ * @param {string} name - 采集器名称
+ */
+async function runCollector(name) {
+    const collector = COLLECTORS[name];
+    let delay;
+    try {
+        const value = await collector.collect();
+        cache.set(name, value === undefined ? null : value);
+        if (collector.static) return;
+        delay = collectorInterval(name);
+    } catch (error) {
+        console.error(`Error collecting system info ${name}:`, error.message);
+        delay = collector.static ? STATIC_RETRY_MS : collectorInterval(name);
+    }
+    // 上一次采集结束后才安排下一次，慢的采集器不会堆积
+    timers.set(name, setTimeout(() => runCollector(name), delay).unref());
+}
+
+/**
+ * 启动所有启用的采集器
+ */
+function start() {
+    const names = enabledCollectors();
+    console.log(`System info collectors: ${names.join(', ') || 'none'}`);
+    for (const name of names) {
+        if (!timers.has(name)) {
+            timers.set(name, null);
+            runCollector(name);
+        }
+    }
+}
+
+/**
+ * 下一次心跳发送全部数据（新连接时调用）
+ */
+function reset() {
+    sendFull = true;
+    lastSent.clear();
+}
+
+/**
+ * 取出需要发送的系统信息
+ *
+ * @returns {{data: Object, full: boolean}} 变化的采集器数据；full 为 true 时 data 包含全部已采集的数据
+ */
+function takeChanges() {
+    const data = {};
+    for (const [name, value] of cache.entries()) {
+        if (sendFull || lastSent.get(name) !== JSON.stringify(value)) {
+            data[name] = value;
+        }
+    }
+    return { data, full: sendFull };
+}
+
+/**
+ * 记录已成功发送的系统信息
+ *
+ * @param {Object} data - 心跳中的 system_info
+ * @param {boolean} full - 是否为全部数据
+ */
+function markSent(data, full) {
+    if (!data) return;
+    for (const [name, value] of Object.entries(data)) {
+        lastSent.set(name, JSON.stringify(value));
+    }
+    if (full) sendFull = false;
+}
+
+module.exports = {
+    start,
+    reset,
+    takeChanges,
+    markSent
+};
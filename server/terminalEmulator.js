@@ -0,0 +1,129 @@
+/**
+ * terminalEmulator.js
+ *
+ * 无界面终端模拟 - 把每个进程的原始pty输出送入 @xterm/headless，得到渲染后的文本
+ *
+ * - 纯文本：每当光标因换行离开一行时，该行的渲染结果（颜色等转义序列已去除、\r 覆盖和退格已生效、
+ *   自动折行的多行合并为一行）通过 onLine 回调交给调用方，组成干净的纯文本记录；
+ *   全屏程序（top、vim 等）使用备用屏幕缓冲区，期间的行不计入纯文本记录
+ * - 屏幕快照：当前屏幕的每一行文本和光标位置
+ *
+ * xterm 的解析是异步的，快照可能比刚写入的数据稍晚一点。
+ */
+
+const { Terminal } = require('@xterm/headless');
+
+// 模拟器保留的滚动行数，只用于合并自动折行的长行
+const SCROLLBACK = 1000;
+
+/**
+ * 创建终端模拟器
+ *
+ * @param {Object} options - 配置
+ * @param {number} options.cols - 列数
+ * @param {number} options.rows - 行数
+ * @param {Function} [options.onLine] - 一行结束时的回调，参数为该行的纯文本
+ * @returns {Object} 模拟器对象
+ */
+function createTerminalEmulator({ cols, rows, onLine }) {
+    const term = new Terminal({ cols, rows, scrollback: SCROLLBACK, allowProposedApi: true });
+
+    /**
+     * 读取一个逻辑行（自动折行的多行合并）
+     *
+     * @param {Object} buffer - xterm缓冲区
+     * @param {number} y - 逻辑行最后一行的绝对行号
+     * @returns {string}
+     */
+    function readLogicalLine(buffer, y) {
+        const parts = [];
+        let line = buffer.getLine(y);
+        while (line) {
+            parts.unshift(line.translateToString(true));
+            if (!line.isWrapped || y === 0) break;
+            y--;
+            line = buffer.getLine(y);
+        }
+        return parts.join('');
+    }
+
+    if (onLine) {
+        term.onLineFeed(() => {
+            const buffer = term.buffer.active;
+            if (buffer.type === 'alternate') return;
+            const y = buffer.baseY + buffer.cursorY - 1;
+            if (y < 0) return;
+            onLine(readLogicalLine(buffer, y));
+        });
+    }
+
+    /**
+     * 写入原始输出
+     *
+     * @param {string} data - pty输出
+     */
+    function write(data) {
+        term.write(data);
+    }
+
+    /**
+     * 调整尺寸
+     *
+     * @param {number} newCols - 列数
+     * @param {number} newRows - 行数
+     */
+    function resize(newCols, newRows) {
+        term.resize(newCols, newRows);
+    }
+
+    /**
+     * 光标所在的行（尚未结束，例如提示符或进度条）
+     *
+     * @returns {string}
+     */
+    function currentLine() {
+        const buffer = term.buffer.active;
+        return readLogicalLine(buffer, buffer.baseY + buffer.cursorY).replace(/\s+$/, '');
+    }
+
+    /**
+     * 当前屏幕快照
+     *
+     * @returns {{cols: number, rows: number, cursor_x: number, cursor_y: number, alternate: boolean, lines: string[]}}
+     */
+    function snapshot() {
+        const buffer = term.buffer.active;
+        const lines = [];
+        for (let y = 0; y < term.rows; y++) {
+            const line = buffer.getLine(buffer.baseY + y);
+            lines.push(line ? line.translateToString(true) : '');
+        }
+        return {
+            cols: term.cols,
+            rows: term.rows,
+            cursor_x: buffer.cursorX,
+            cursor_y: buffer.cursorY,
+            alternate: buffer.type === 'alternate',
+            lines
+        };
+    }
+
+    /**
+     * 释放模拟器
+     */
+    function dispose() {
+        term.dispose();
+    }
+
+    return {
+        write,
+        resize,
+        currentLine,
+        snapshot,
+        dispose
+    };
+}
+
+module.exports = {
+    createTerminalEmulator
+};
@@ -0,0 +1,150 @@
+/**
+ * terminalSocket.js
+ *
+ * 网页终端 - 控制台通过WebSocket连接到某个托管进程的伪终端
+ *
+ * 连接地址：ws://127.0.0.1:4000/process/<pid>/terminal?token=<本地API令牌>
+ *
+ * 服务端发送：
+ *   { type: 'snapshot', data, cols, rows }  连接后先发送最近的输出（本地滚动缓冲，与服务器的确认无关）和当前终端尺寸
+ *   { type: 'output', data }                新的输出
+ *   { type: 'resize', cols, rows }          终端尺寸被调整（可能来自服务器的 resize 任务）
+ *   { type: 'exit' }                        进程已结束，随后关闭连接
+ *   { type: 'error', error }                输入或调整尺寸失败
+ * 客户端发送：
+ *   { type: 'input', data }                 按键输入，原样写入终端
+ *   { type: 'resize', cols, rows }          调整终端尺寸
+ *
+ * 本地操作员的输入不经过命令策略检查，与本地API的其他接口一致。
+ */
+
+const WebSocket = require('ws');
+const config = require('./config');
+const apiAuth = require('./apiAuth');
+const processManager = require('./process');
+
+const TERMINAL_PATH = /^\/process\/(\d+)\/terminal$/;
+// 连接时发送的历史输出上限（字符）
+const SNAPSHOT_LIMIT = 64 * 1024;
+
+/**
+ * 在HTTP服务器上处理网页终端的WebSocket升级请求
+ *
+ * @param {http.Server} server - Express使用的HTTP服务器
+ */
+function attachTerminalSocket(server) {
+    const wss = new WebSocket.Server({ noServer: true });
+
+    // 每个终端连接都会订阅进程事件
+    processManager.events.setMaxListeners(0);
+
+    server.on('upgrade', (req, socket, head) => {
+        const url = new URL(req.url, 'http://localhost');
+        const match = url.pathname.match(TERMINAL_PATH);
+        const rejected = rejectReason(req, match);
+
+        if (rejected) {
+            socket.write(`HTTP/1.1 ${rejected}\r\nConnection: close\r\n\r\n`);
+            socket.destroy();
+            return;
+        }
+
+        wss.handleUpgrade(req, socket, head, (ws) => handleConnection(ws, match[1]));
+    });
+}
+
+/**
+ * 检查升级请求，返回拒绝时的HTTP状态行
+ *
+ * @param {Object} req - 升级请求
+ * @param {Array|null} match - 路径匹配结果
+ * @returns {string|null} 例如 '401 Unauthorized'，允许连接时返回null
+ */
+function rejectReason(req, match) {
+    if (!match) return '404 Not Found';
+    if (!apiAuth.isValidToken(apiAuth.tokenFromRequest(req, true))) return '401 Unauthorized';
+    // 浏览器的WebSocket不受CORS限制，需要自行检查来源
+    const origin = req.headers.origin;
+    if (origin && !config.DASHBOARD_ORIGINS.includes(origin)) return '403 Forbidden';
+    return null;
+}
+
+/**
+ * 发送JSON消息
+ *
+ * @param {WebSocket} ws - 连接
+ * @param {Object} message - 消息
+ */
+function send(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * 处理一个终端连接
+ *
+ * @param {WebSocket} ws - 连接
+ * @param {string} pid - 进程ID
+ */
+function handleConnection(ws, pid) {
+    const proc = processManager.runningProcesses.get(pid);
+    if (!proc) {
+        send(ws, { type: 'exit' });
+        ws.close();
+        return;
+    }
+
+    send(ws, {
+        type: 'snapshot',
+        data: proc._scrollback.tail(SNAPSHOT_LIMIT),
+        cols: proc.cols,
+        rows: proc.rows
+    });
+    console.log(`Web terminal attached to process ${pid}`);
+
+    const onOutput = (outputPid, data) => {
+        if (outputPid === pid) send(ws, { type: 'output', data });
+    };
+    const onResize = (resizedPid, size) => {
+        if (resizedPid === pid) send(ws, { type: 'resize', ...size });
+    };
+    const onExit = (exitedPid) => {
+        if (exitedPid !== pid) return;
+        send(ws, { type: 'exit' });
+        ws.close();
+    };
+    processManager.events.on('output', onOutput);
+    processManager.events.on('resize', onResize);
+    processManager.events.on('exit', onExit);
+
+    ws.on('message', (raw) => {
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (e) {
+            return;
+        }
+
+        try {
+            if (message.type === 'input') {
+                processManager.sendInput(pid, message.data);
+            } else if (message.type === 'resize') {
+                processManager.resizeProcess(pid, message.cols, message.rows);
+            }
+        } catch (error) {
+            send(ws, { type: 'error', error: error.message });
+        }
+    });
+
+    ws.on('close', () => {
+        processManager.events.off('output', onOutput);
+        processManager.events.off('resize', onResize);
+        processManager.events.off('exit', onExit);
+        console.log(`Web terminal detached from process ${pid}`);
+    });
+}
+
+module.exports = {
+    attachTerminalSocket
+};
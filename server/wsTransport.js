@@ -0,0 +1,178 @@
+/**
+ * wsTransport.js
+ *
+ * WebSocket传输模块 - 与服务器保持一条持久的双向连接
+ *
+ * 连接建立后：
+ * - 服务器可以随时推送 { type: 'response', data } 消息，data 的格式与HTTP心跳的响应体完全相同
+ *   (statusCode / tasks / callback)，因此任务会在产生时立即下发，而不必等待下一次心跳
+ * - 代理在有新输出或新回调时主动推送 { type: 'heartbeat', payload } 消息，payload 与HTTP心跳的请求体相同
+ *
+ * 连接不可用时由 index.js 回退到原有的HTTP心跳，两种传输共用同一套任务与回调格式。
+ */
+
+const WebSocket = require('ws');
+const config = require('./config');
+const { backoffDelay } = require('./backoff');
+const serverTls = require('./serverTls');
+
+// 推送防抖时间（毫秒）：合并短时间内的多次输出，避免每个字节都发送一次
+const PUSH_DEBOUNCE = 100;
+// 断线后第一次重连的间隔（毫秒），连续失败时按指数退避增长
+const RECONNECT_DELAY = 5000;
+
+let socket = null;
+let connected = false;
+let reconnectTimer = null;
+let pushTimer = null;
+let options = null;
+let stopped = false;
+// 连续重连失败的次数
+let reconnectAttempts = 0;
+// 串行处理服务器消息，保证任务按到达顺序执行
+let messageQueue = Promise.resolve();
+
+/**
+ * 启动WebSocket传输
+ *
+ * @param {Object} opts - 传输配置
+ * @param {string} opts.url - WebSocket服务器地址
+ * @param {Function} opts.buildPayload - 异步构建心跳数据的函数
+ * @param {Function} opts.handleResponse - 处理服务器响应数据的异步函数
+ * @param {Function} [opts.onSent] - 心跳数据写入连接后的回调，参数为心跳数据
+ * @param {Function} [opts.onStatusChange] - 连接状态变化时的回调，参数为是否已连接
+ */
+function start(opts) {
+    options = opts;
+    stopped = false;
+    connect();
+}
+
+/**
+ * 建立连接并注册事件监听器
+ */
+function connect() {
+    if (stopped) return;
+
+    console.log(`Connecting to WebSocket server ${options.url}...`);
+    socket = new WebSocket(options.url, serverTls.getTlsOptions());
+
+    socket.on('open', () => {
+        console.log('WebSocket connection established.');
+        connected = true;
+        reconnectAttempts = 0;
+        if (options.onStatusChange) options.onStatusChange(true);
+        // 连接建立后立即发送一次完整的心跳数据
+        push();
+    });
+
+    socket.on('message', (raw) => {
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (e) {
+            console.error(`Ignoring malformed WebSocket message: ${e.message}`);
+            return;
+        }
+
+        if (message && message.type === 'response' && message.data) {
+            messageQueue = messageQueue
+                .then(() => options.handleResponse(message.data))
+                .catch((error) => console.error('Error handling WebSocket message:', error));
+        }
+    });
+
+    socket.on('close', () => {
+        const wasConnected = connected;
+        connected = false;
+        socket = null;
+        if (wasConnected) {
+            console.log('WebSocket connection closed.');
+            if (options.onStatusChange) options.onStatusChange(false);
+        }
+        scheduleReconnect();
+    });
+
+    socket.on('error', (error) => {
+        // close事件会紧随其后，重连在那里处理
+        console.error('WebSocket error:', error.message);
+    });
+}
+
+/**
+ * 安排重连
+ */
+function scheduleReconnect() {
+    if (stopped || reconnectTimer) return;
+    reconnectAttempts++;
+    const delay = backoffDelay(reconnectAttempts, RECONNECT_DELAY, config.HEARTBEAT_BACKOFF_MAX_MS);
+    console.log(`Reconnecting to WebSocket server in ${delay}ms`);
+    reconnectTimer = setTimeout(() => {
+        reconnectTimer = null;
+        connect();
+    }, delay);
+}
+
+/**
+ * 请求推送一次心跳数据（带防抖）
+ */
+function requestPush() {
+    if (!connected || pushTimer) return;
+    pushTimer = setTimeout(() => {
+        pushTimer = null;
+        push();
+    }, PUSH_DEBOUNCE);
+}
+
+/**
+ * 立即构建并推送心跳数据
+ *
+ * @returns {Promise<number>} 发送的字节数，未发送时为0
+ */
+async function push() {
+    if (!connected || !socket) return 0;
+
+    try {
+        const payload = await options.buildPayload();
+        // 构建数据期间连接可能已断开
+        if (!connected || !socket) return 0;
+        const message = JSON.stringify({ type: 'heartbeat', payload });
+        socket.send(message);
+        if (options.onSent) options.onSent(payload);
+        return Buffer.byteLength(message);
+    } catch (error) {
+        console.error('Error pushing heartbeat over WebSocket:', error.message);
+        return 0;
+    }
+}
+
+/**
+ * 当前是否已连接
+ *
+ * @returns {boolean}
+ */
+function isConnected() {
+    return connected;
+}
+
+/**
+ * 关闭连接并停止重连
+ */
+function stop() {
+    stopped = true;
+    clearTimeout(reconnectTimer);
+    clearTimeout(pushTimer);
+    reconnectTimer = null;
+    pushTimer = null;
+    if (socket) {
+        socket.close();
+    }
+}
+
+module.exports = {
+    start,
+    stop,
+    push,
+    requestPush,
+    isConnected
+};
@@ -0,0 +1,167 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 配置在引入模块之前设置
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agentplus-fileops-'));
+process.env.POLICY_FILE = path.join(workDir, 'policy.json');
+process.env.FILE_WRITE_LIMIT = '4096';
+
+const fileOps = require('../server/fileOps');
+const policy = require('../server/policy');
+
+const root = path.join(workDir, 'root');
+fs.mkdirSync(root);
+
+/**
+ * 写入策略文件并立即加载
+ *
+ * @param {Object|null} raw - 策略内容，null表示删除策略文件
+ */
+function usePolicy(raw) {
+    if (raw) {
+        fs.writeFileSync(process.env.POLICY_FILE, JSON.stringify(raw));
+    } else {
+        fs.rmSync(process.env.POLICY_FILE, { force: true });
+    }
+    policy.loadPolicy();
+}
+
+function applyPatch(patch, original) {
+    const [filePatch] = fileOps.parsePatch(patch);
+    return fileOps.applyHunks(original, filePatch);
+}
+
+test('parsePatch reads file headers and hunks', () => {
+    const files = fileOps.parsePatch([
+        '--- a/old.txt',
+        '+++ b/new.txt',
+        '@@ -1,2 +1,2 @@',
+        ' keep',
+        '-drop',
+        '+add',
+        '--- /dev/null',
+        '+++ b/created.txt',
+        '@@ -0,0 +1 @@',
+        '+hello',
+        '\\ No newline at end of file',
+        ''
+    ].join('\n'));
+
+    assert.equal(files.length, 2);
+    assert.equal(files[0].oldPath, 'old.txt');
+    assert.equal(files[0].newPath, 'new.txt');
+    assert.deepEqual(files[0].hunks[0].lines.map((line) => line.type + line.text), [' keep', '-drop', '+add']);
+    assert.equal(files[1].oldPath, null);
+    assert.equal(files[1].hunks[0].lines[0].noNewline, true);
+});
+
+test('applyHunks replaces lines and keeps the rest of the file', () => {
+    const patch = '--- a/f\n+++ b/f\n@@ -2,3 +2,3 @@\n b\n-c\n+C\n d\n';
+    assert.equal(applyPatch(patch, 'a\nb\nc\nd\ne\n'), 'a\nb\nC\nd\ne\n');
+});
+
+test('applyHunks finds hunks whose line numbers are off', () => {
+    const patch = '--- a/f\n+++ b/f\n@@ -1,3 +1,3 @@\n b\n-c\n+C\n d\n';
+    assert.equal(applyPatch(patch, 'x\ny\na\nb\nc\nd\n'), 'x\ny\na\nb\nC\nd\n');
+});
+
+test('applyHunks honours "No newline at end of file"', () => {
+    const patch = '--- a/f\n+++ b/f\n@@ -1 +1 @@\n-a\n+b\n\\ No newline at end of file\n';
+    assert.equal(applyPatch(patch, 'a\n'), 'b');
+});
+
+test('applyHunks rejects hunks whose context does not match', () => {
+    const patch = '--- a/f\n+++ b/f\n@@ -1,2 +1,2 @@\n x\n-y\n+z\n';
+    assert.throws(() => applyPatch(patch, 'a\nb\n'), { code: 'EPATCH' });
+});
+
+test('applyHunks only searches near the declared line', () => {
+    const lines = Array.from({ length: 3000 }, (_, i) => `line ${i}`);
+    const patch = '--- a/f\n+++ b/f\n@@ -1,1 +1,1 @@\n-line 2500\n+changed\n';
+    assert.throws(() => applyPatch(patch, `${lines.join('\n')}\n`), { code: 'EPATCH' });
+});
+
+test('apply_patch creates, modifies and deletes files', async () => {
+    usePolicy(null);
+    fs.writeFileSync(path.join(root, 'modify.txt'), 'one\ntwo\n');
+    fs.writeFileSync(path.join(root, 'remove.txt'), 'bye\n');
+
+    const result = await fileOps.executeFileOperation({
+        op: 'apply_patch',
+        patch: [
+            '--- a/modify.txt', '+++ b/modify.txt', '@@ -1,2 +1,2 @@', ' one', '-two', '+2',
+            '--- /dev/null', '+++ b/create.txt', '@@ -0,0 +1 @@', '+new',
+            '--- a/remove.txt', '+++ /dev/null', '@@ -1 +0,0 @@', '-bye',
+            ''
+        ].join('\n')
+    }, root);
+
+    assert.equal(result.success, true, result.error);
+    assert.equal(fs.readFileSync(path.join(root, 'modify.txt'), 'utf8'), 'one\n2\n');
+    assert.equal(fs.readFileSync(path.join(root, 'create.txt'), 'utf8'), 'new\n');
+    assert.equal(fs.existsSync(path.join(root, 'remove.txt')), false);
+});
+
+test('apply_patch does not overwrite an existing file when creating', async () => {
+    usePolicy(null);
+    fs.writeFileSync(path.join(root, 'exists.txt'), 'keep\n');
+
+    const result = await fileOps.executeFileOperation({
+        op: 'apply_patch',
+        patch: '--- /dev/null\n+++ b/exists.txt\n@@ -0,0 +1 @@\n+replaced\n'
+    }, root);
+
+    assert.equal(result.error_code, 'EEXIST');
+    assert.equal(fs.readFileSync(path.join(root, 'exists.txt'), 'utf8'), 'keep\n');
+});
+
+test('apply_patch refuses patches and files over FILE_WRITE_LIMIT', async () => {
+    usePolicy(null);
+    const bigPatch = `--- /dev/null\n+++ b/big.txt\n@@ -0,0 +1 @@\n+${'x'.repeat(5000)}\n`;
+    const tooBig = await fileOps.executeFileOperation({ op: 'apply_patch', patch: bigPatch }, root);
+    assert.equal(tooBig.error_code, 'EFBIG');
+
+    fs.writeFileSync(path.join(root, 'large.txt'), `${'y'.repeat(5000)}\n`);
+    const largeSource = await fileOps.executeFileOperation({
+        op: 'apply_patch',
+        patch: '--- a/large.txt\n+++ b/large.txt\n@@ -1 +1 @@\n-y\n+z\n'
+    }, root);
+    assert.equal(largeSource.error_code, 'EFBIG');
+});
+
+test('file operations follow the policy default when allowed_paths is not set', async () => {
+    fs.writeFileSync(path.join(root, 'read.txt'), 'data');
+
+    usePolicy({ default: 'deny' });
+    const denied = await fileOps.executeFileOperation({ op: 'read_file', path: 'read.txt' }, root);
+    assert.equal(denied.error_code, 'EPOLICY');
+
+    usePolicy({ default: 'allow' });
+    const allowed = await fileOps.executeFileOperation({ op: 'read_file', path: 'read.txt' }, root);
+    assert.equal(allowed.success, true, allowed.error);
+});
+
+test('file operations do not follow symlinks out of allowed_paths', async () => {
+    const outside = path.join(workDir, 'outside');
+    fs.mkdirSync(outside, { recursive: true });
+    fs.writeFileSync(path.join(outside, 'secret.txt'), 'secret');
+    fs.symlinkSync(outside, path.join(root, 'escape'));
+    usePolicy({ default: 'deny', allowed_paths: [root] });
+
+    const read = await fileOps.executeFileOperation({ op: 'read_file', path: 'escape/secret.txt' }, root);
+    assert.equal(read.error_code, 'EPOLICY');
+
+    const write = await fileOps.executeFileOperation({ op: 'write_file', path: 'escape/new.txt', content: 'eA==' }, root);
+    assert.equal(write.error_code, 'EPOLICY');
+    assert.equal(fs.existsSync(path.join(outside, 'new.txt')), false);
+
+    const inside = await fileOps.executeFileOperation({ op: 'write_file', path: 'inside.txt', content: 'eA==' }, root);
+    assert.equal(inside.success, true, inside.error);
+});
+
+test.after(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
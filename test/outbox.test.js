@@ -0,0 +1,57 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 配置在引入模块之前设置
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agentplus-outbox-'));
+process.env.STATE_FILE = path.join(workDir, 'agent-state.json');
+
+const outbox = require('../server/outbox');
+const processManager = require('../server/process');
+
+function pendingIds() {
+    return outbox.pending().map((event) => event.event_id);
+}
+
+beforeEach(() => {
+    outbox.acknowledge(pendingIds());
+});
+
+test('acknowledge removes only the listed events', () => {
+    const first = outbox.enqueue('process_death', '1');
+    const second = outbox.enqueue('process_death', '2');
+    outbox.acknowledge([first.event_id, 'evt-unknown']);
+    assert.deepEqual(pendingIds(), [second.event_id]);
+});
+
+test('events_ack from the server takes precedence over the sent batch', () => {
+    const first = outbox.enqueue('process_death', '1');
+    const second = outbox.enqueue('process_death', '2');
+    processManager.acknowledgeEvents([second.event_id], [first.event_id, second.event_id]);
+    assert.deepEqual(pendingIds(), [first.event_id]);
+});
+
+test('a legacy ack only confirms the events of the request it answers', () => {
+    const sent = outbox.enqueue('process_death', '1');
+    const payload = processManager.prepareHeartbeatData('token');
+    const sentIds = payload.events.map((event) => event.event_id);
+    // 请求发出之后产生的事件不在这次请求中
+    const later = outbox.enqueue('process_death', '2');
+
+    processManager.acknowledgeEvents(undefined, sentIds);
+    assert.deepEqual(pendingIds(), [later.event_id]);
+    assert.ok(!pendingIds().includes(sent.event_id));
+});
+
+test('an ack without ids and without a sent batch confirms nothing', () => {
+    const event = outbox.enqueue('process_death', '1');
+    processManager.prepareHeartbeatData('token');
+    processManager.acknowledgeEvents(undefined, undefined);
+    assert.deepEqual(pendingIds(), [event.event_id]);
+});
+
+test.after(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
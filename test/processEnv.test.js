@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// 配置在引入模块之前设置
+process.env.CLI_TOKEN = 'test-token-0123456789';
+
+const processEnv = require('../server/processEnv');
+
+test('validateEnvChange accepts ordinary variables', () => {
+    assert.deepEqual(processEnv.validateEnvChange({ FOO: 'bar' }, ['OLD']), { set: { FOO: 'bar' }, unset: ['OLD'] });
+});
+
+test('validateEnvChange rejects invalid names and empty changes', () => {
+    assert.throws(() => processEnv.validateEnvChange({ 'BAD-NAME': 'x' }, []));
+    assert.throws(() => processEnv.validateEnvChange({}, ['1BAD']));
+    assert.throws(() => processEnv.validateEnvChange({}, []), /No environment variables to change/);
+});
+
+test('validateEnvChange refuses to set or unset reserved variables', () => {
+    for (const name of ['PROMPT_COMMAND', 'PS0', 'BASH_ENV', 'ENV', 'LD_PRELOAD', 'DYLD_INSERT_LIBRARIES', 'CLI_TOKEN']) {
+        assert.throws(() => processEnv.validateEnvChange({ [name]: 'x' }, []), /reserved/, `set ${name}`);
+        assert.throws(() => processEnv.validateEnvChange({}, [name]), /reserved/, `unset ${name}`);
+    }
+});
+
+test('validateEnvChange refuses to copy the agent token into another variable', () => {
+    assert.throws(() => processEnv.validateEnvChange({ COPY: process.env.CLI_TOKEN }, []), /reserved/);
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+
+// 配置在引入模块之前设置
+process.env.ALLOWED_SHELLS = 'bash';
+process.env.ALLOWED_ROOTS = os.tmpdir();
+
+const { validateProcessOptions, ProcessOptionsError } = require('../server/processOptions');
+
+function validateArgs(args) {
+    return validateProcessOptions({ shell: 'bash', cwd: os.tmpdir(), args });
+}
+
+test('shell options that only adjust behaviour are accepted', () => {
+    assert.deepEqual(validateArgs(['-ex', '--noprofile', '-o', 'pipefail', '+O', 'histappend']).args,
+        ['-ex', '--noprofile', '-o', 'pipefail', '+O', 'histappend']);
+});
+
+test('arguments that run code or replace the rcfile are rejected', () => {
+    for (const args of [['-c', 'id'], ['-i'], ['-s'], ['--rcfile', '/tmp/rc'], ['--init-file', '/tmp/rc'], ['script.sh'], ['-xc']]) {
+        assert.throws(() => validateArgs(args), ProcessOptionsError, args.join(' '));
+    }
+});
+
+test('login and posix arguments that skip the rcfile are rejected', () => {
+    assert.throws(() => validateArgs(['-l']), /use the login option instead/);
+    assert.throws(() => validateArgs(['--login']), /use the login option instead/);
+    assert.throws(() => validateArgs(['--posix']), ProcessOptionsError);
+    assert.throws(() => validateArgs(['-o', 'posix']), ProcessOptionsError);
+    assert.throws(() => validateArgs(['-el']), ProcessOptionsError);
+    assert.equal(validateArgs(['+o', 'posix']).args.length, 2);
+});
+
+test('-o and -O need an option name', () => {
+    assert.throws(() => validateArgs(['-o']), /must be followed by an option name/);
+    assert.throws(() => validateArgs(['-O', '$(id)']), /must be followed by an option name/);
+});
+
+test('reserved variables cannot be passed in env', () => {
+    assert.throws(() => validateProcessOptions({ shell: 'bash', cwd: os.tmpdir(), env: { PROMPT_COMMAND: 'id' } }), /reserved/);
+    assert.throws(() => validateProcessOptions({ shell: 'bash', cwd: os.tmpdir(), env: { LD_PRELOAD: '/tmp/x.so' } }), /reserved/);
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMarkerParser } = require('../server/shellIntegration');
+
+const NONCE = '0123456789abcdef';
+
+function marker(body) {
+    return `\x1b]6973;${NONCE};${body}\x07`;
+}
+
+test('start and end markers are separated from the output', () => {
+    const parser = createMarkerParser(NONCE);
+    assert.deepEqual(parser.feed(`ls${marker('C')}a b\r\n${marker('D;0;/home/dev')}$ `), [
+        'ls',
+        { type: 'start' },
+        'a b\r\n',
+        { type: 'end', exitCode: 0, cwd: '/home/dev' },
+        '$ '
+    ]);
+});
+
+test('markers split across chunks are reassembled', () => {
+    const parser = createMarkerParser(NONCE);
+    const text = marker('D;2;/tmp/a;b');
+    assert.deepEqual(parser.feed(`out${text.substring(0, 5)}`), ['out']);
+    assert.deepEqual(parser.feed(text.substring(5, 20)), []);
+    assert.deepEqual(parser.feed(text.substring(20)), [{ type: 'end', exitCode: 2, cwd: '/tmp/a;b' }]);
+});
+
+test('forged end markers cannot carry invalid exit codes or working directories', () => {
+    const parser = createMarkerParser(NONCE);
+    assert.deepEqual(parser.feed(marker('D;256;relative')), [{ type: 'end', exitCode: null, cwd: null }]);
+    assert.deepEqual(parser.feed(marker('D;-1;/ok')), [{ type: 'end', exitCode: null, cwd: '/ok' }]);
+    assert.deepEqual(parser.feed(marker(`D;0;/${'x'.repeat(5000)}`)), [{ type: 'end', exitCode: 0, cwd: null }]);
+});
+
+test('markers with another nonce or an unknown body are passed through as output', () => {
+    const parser = createMarkerParser(NONCE);
+    const other = '\x1b]6973;ffffffffffffffff;C\x07';
+    assert.deepEqual(parser.feed(other), [other]);
+    assert.deepEqual(parser.feed(marker('X')), [marker('X')]);
+});
@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 配置在引入模块之前设置
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agentplus-signing-'));
+process.env.SIGNING_KEY_FILE = path.join(workDir, 'signing-keys.json');
+
+const signing = require('../server/signing');
+
+const SECRET = '0123456789abcdef0123456789abcdef';
+fs.writeFileSync(process.env.SIGNING_KEY_FILE, JSON.stringify({
+    signing_key: { key_id: 'test', algorithm: 'hmac-sha256', secret: SECRET },
+    verification_keys: [{ key_id: 'test', algorithm: 'hmac-sha256', secret: SECRET }]
+}));
+signing.loadKeys();
+signing.setAgentToken('agent-a');
+
+// 模拟经过网络传输的服务器响应
+function roundTrip(message) {
+    return JSON.parse(JSON.stringify(signing.signMessage(message)));
+}
+
+test('a signed response verifies once', () => {
+    const message = roundTrip({ statusCode: 1, tasks: { commands: ['ls'] } });
+    assert.deepEqual(signing.verifyMessage(message), { ok: true, reason: null, keyId: 'test' });
+    assert.match(signing.verifyMessage(message).reason, /replay/);
+});
+
+test('a modified response is rejected', () => {
+    const message = roundTrip({ statusCode: 1, tasks: { commands: ['ls'] } });
+    message.tasks.commands = ['rm -rf /'];
+    assert.equal(signing.verifyMessage(message).reason, 'Signature does not match');
+});
+
+test('unsigned responses and unknown keys are rejected', () => {
+    assert.equal(signing.verifyMessage({ statusCode: 1 }).reason, 'Response is not signed');
+    const message = roundTrip({ statusCode: 1 });
+    message.signature.key_id = 'other';
+    assert.match(signing.verifyMessage(message).reason, /Unknown verification key/);
+});
+
+test('a response signed for another agent is rejected', () => {
+    signing.setAgentToken('agent-b');
+    const message = roundTrip({ statusCode: 1 });
+    signing.setAgentToken('agent-a');
+    assert.equal(signing.verifyMessage(message).reason, 'Signature does not match');
+});
+
+test('responses signed before the agent started are rejected', () => {
+    const message = { statusCode: 1 };
+    signing.signMessage(message);
+    // 用过去的时间戳重新签名，模拟上次运行期间截获的响应
+    const { value: _value, ...signature } = message.signature;
+    signature.timestamp -= 60 * 1000;
+    delete message.signature;
+    const input = [signature.algorithm, signature.key_id, signature.timestamp, signature.nonce, 'agent-a', signing.canonicalJson(message)].join('\n');
+    message.signature = { ...signature, value: crypto.createHmac('sha256', SECRET).update(input).digest('base64') };
+    assert.match(signing.verifyMessage(message).reason, /earlier than the agent start/);
+});
+
+test.after(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
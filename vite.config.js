@@ -1,13 +1,47 @@
-import { defineConfig } from 'vite';
+import fs from 'fs';
+import path from 'path';
+import { defineConfig, loadEnv } from 'vite';
 import react from '@vitejs/plugin-react';
 
-export default defineConfig({
-  plugins: [react()],
-  root: 'client', // Set the root to the 'client' directory
-  build: {
-    outDir: '../dist', // Output build files to a top-level 'dist' directory
-  },
-  server: {
-    port: 3000, // Run the dev server on port 3000
-  },
+// Serves the backend's session token to the dashboard. The backend writes a new
+// token to API_TOKEN_FILE on every start; only same-origin requests may read it.
+function agentApiToken(tokenFile) {
+  return {
+    name: 'agent-api-token',
+    configureServer(server) {
+      server.middlewares.use('/api-token', (req, res) => {
+        const origin = req.headers.origin;
+        if (req.headers['sec-fetch-site'] === 'cross-site' || (origin && origin !== `http://${req.headers.host}`)) {
+          res.statusCode = 403;
+          res.end();
+          return;
+        }
+        try {
+          const token = fs.readFileSync(tokenFile, 'utf8').trim();
+          res.setHeader('Content-Type', 'application/json');
+          res.setHeader('Cache-Control', 'no-store');
+          res.end(JSON.stringify({ token }));
+        } catch (err) {
+          res.statusCode = 503;
+          res.end(JSON.stringify({ error: 'Backend has not written an API token yet' }));
+        }
+      });
+    },
+  };
+}
+
+export default defineConfig(({ mode }) => {
+  const env = loadEnv(mode, process.cwd(), '');
+  const tokenFile = path.resolve(env.API_TOKEN_FILE || './api-token');
+
+  return {
+    plugins: [react(), agentApiToken(tokenFile)],
+    root: 'client', // Set the root to the 'client' directory
+    build: {
+      outDir: '../dist', // Output build files to a top-level 'dist' directory
+    },
+    server: {
+      port: 3000, // Run the dev server on port 3000
+    },
+  };
 });